@@ -0,0 +1,59 @@
+// Service worker: keeps the app shell and built assets available offline.
+// API data is not cached here — src/api.js keeps last-known responses per farm in
+// IndexedDB and queues edits, since responses depend on the signed-in user and farm.
+
+const SHELL_CACHE = "farmbot-shell-v1";
+const ASSET_CACHE = "farmbot-assets-v1";
+const SHELL = ["/", "/manifest.webmanifest", "/icon.svg"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(SHELL_CACHE).then((c) => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+// Drops caches from earlier versions of this worker.
+self.addEventListener("activate", (event) => {
+  const keep = new Set([SHELL_CACHE, ASSET_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((k) => !keep.has(k)).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Keeps a successful shell response. A changed shell means a new deploy whose assets have new
+// hashed names, so the old ones are dropped; the page refills the asset cache as it loads.
+async function updateShell(res) {
+  const cache = await caches.open(SHELL_CACHE);
+  const old = await cache.match("/");
+  if (old && (await old.text()) !== (await res.clone().text())) await caches.delete(ASSET_CACHE);
+  await cache.put("/", res);
+}
+
+// Navigations: network first so deploys show up, cached shell when offline. Error pages (a 500,
+// a proxy's 502) are passed through but never replace the cached shell.
+async function navigate(request) {
+  try {
+    const res = await fetch(request);
+    if (res.ok) await updateShell(res.clone()).catch(() => {});
+    return res;
+  } catch {
+    return (await caches.match("/")) || Response.error();
+  }
+}
+
+// Built assets have content hashes in their names: cache first, fill on miss.
+async function asset(request) {
+  const hit = await caches.match(request);
+  if (hit) return hit;
+  const res = await fetch(request);
+  if (res.ok) (await caches.open(ASSET_CACHE)).put(request, res.clone());
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin || url.pathname.startsWith("/api/")) return;
+  if (request.mode === "navigate") event.respondWith(navigate(request));
+  else event.respondWith(asset(request));
+});
@@ -3,7 +3,78 @@
 
 import express from "express";
 import cors from "cors";
-import https from "https";
+import multer from "multer";
+import { openStore } from "./server/storage.js";
+import { createChangeFeed, watchStore } from "./server/changes.js";
+import {
+  hashPassword,
+  verifyPassword,
+  createSession,
+  destroySession,
+  bearerToken,
+  publicUser,
+  requireAuth,
+  randomToken,
+  tokenId
+} from "./server/auth.js";
+import { SCHEMA_VERSION } from "./server/storage.js";
+import { HttpError, badRequest, validationError, notFound, wrap, sendError, errorHandler } from "./server/errors.js";
+import {
+  validate,
+  CropSchema,
+  PlotSchema,
+  TodoSchema,
+  ChatSchema,
+  ConfirmSchema,
+  DiagnoseSchema,
+  FollowUpSchema,
+  InputSchema,
+  ExpenseSchema,
+  YieldSchema
+} from "./server/validation.js";
+import { summarizeRecords } from "./server/records.js";
+import {
+  COLLECTIONS,
+  CSV_COLUMNS,
+  toCsv,
+  csvRows,
+  fromCsv,
+  backupDocument,
+  fromBackup,
+  planImport
+} from "./server/transfer.js";
+import { todosCalendar } from "./server/ical.js";
+import {
+  newConversation,
+  summaryView,
+  buildMessages,
+  compact,
+  transcript
+} from "./server/conversations.js";
+import { createFarmTools, localDateTime } from "./server/tools.js";
+import { runAssistant, resumeAssistant, pendingView } from "./server/assistant.js";
+import { createProviderFromEnv } from "./server/llm/index.js";
+import { summarizeForecast } from "./server/agronomy.js";
+import { contextSections, fitContext } from "./server/context.js";
+import { createKnowledgeBase, passagesPrompt, citedSources } from "./server/knowledge.js";
+import { SERVER_CLIENT, clientKey, createRateLimiter, createUsageMeter, guard } from "./server/usage.js";
+import { log, errorFields, onUpstream, timeUpstream, requestLogger } from "./server/log.js";
+import { createMetrics, CONTENT_TYPE } from "./server/metrics.js";
+import { evaluateTodos } from "./server/rules.js";
+import { plotGeometry } from "./server/geo.js";
+import { findTemplate, expectedHarvestFor, lifecycle, planFor, templateList } from "./server/catalog.js";
+import { createNotifier } from "./server/notifier.js";
+import { createScheduler, clearSeries } from "./server/scheduler.js";
+import { createWeatherProvider, createWeatherService, cacheControl } from "./server/weather/index.js";
+import { VOICE_PLACEHOLDER, withoutAudio } from "./server/voice.js";
+import {
+  IMAGE_TYPES,
+  DIAGNOSIS_SCHEMA,
+  diagnosisPrompt,
+  parseDiagnosis,
+  diagnosisText,
+  followUpTodos
+} from "./server/diagnosis.js";
 
 // If you use node-fetch in your project, uncomment the next line:
 // import fetch from "node-fetch";
@@ -12,12 +83,117 @@ import https from "https";
 
 // Environment
 const PORT = process.env.PORT || 4000;
+// Approximate tokens of past conversation (summary + recent turns) sent with each chat message.
+const CHAT_HISTORY_TOKENS = Number(process.env.CHAT_HISTORY_TOKENS) || 3000;
+// Approximate tokens of farm context (crops, tasks, weather) put into the chat prompt.
+const CHAT_CONTEXT_TOKENS = Number(process.env.CHAT_CONTEXT_TOKENS) || 1200;
+// Knowledge base: Markdown/text documents retrieved into the chat prompt (see server/knowledge.js).
+const KNOWLEDGE_DIR = process.env.KNOWLEDGE_DIR || "knowledge";
+const KNOWLEDGE_TOKENS = Number(process.env.KNOWLEDGE_TOKENS) || 800; // approximate budget for passages
+const KNOWLEDGE_RESULTS = Number(process.env.KNOWLEDGE_RESULTS) || 4; // passages retrieved per message
+// Largest recorded voice message accepted by the chat routes (decoded bytes).
+const VOICE_MAX_BYTES = Number(process.env.VOICE_MAX_BYTES) || 2 * 1024 * 1024;
+// Largest leaf photo accepted by POST /api/diagnose.
+const PHOTO_MAX_BYTES = Number(process.env.PHOTO_MAX_BYTES) || 8 * 1024 * 1024;
 const FRONTEND_ORIGIN = (process.env.CORS_ORIGIN || "http://localhost:5173")
   .split(",")
   .map(s => s.trim());
+// "file" persists to DATA_FILE; "memory" keeps data for the life of the process (tests/dev).
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || "file";
+const DATA_FILE = process.env.DATA_FILE || "data/farm.json";
+const WEATHER_CACHE_MAX = Number(process.env.WEATHER_CACHE_MAX) || 500; // entries per kind (current/forecast)
+// Reminders & recurring todos
+const NOTIFIER = process.env.NOTIFIER || "inapp"; // comma-separated: inapp, log
+const REMINDER_LEAD_MIN = Number(process.env.REMINDER_LEAD_MIN ?? 60);
+const RECURRENCE_HORIZON_DAYS = Number(process.env.RECURRENCE_HORIZON_DAYS) || 14;
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60_000;
+// Largest import (JSON backup or CSV) accepted by POST /api/import.
+const IMPORT_MAX_BYTES = Number(process.env.IMPORT_MAX_BYTES) || 5 * 1024 * 1024;
+// Limits on the routes that call paid upstream APIs, per client (user, or IP when signed out).
+// Counts of 0 switch a limit off; quotas reset at 00:00 UTC.
+const CHAT_RATE_PER_MIN = Number(process.env.CHAT_RATE_PER_MIN ?? 10); // chat, confirm and photo diagnosis
+const CHAT_DAILY_REQUESTS = Number(process.env.CHAT_DAILY_REQUESTS ?? 200);
+const CHAT_DAILY_TOKENS = Number(process.env.CHAT_DAILY_TOKENS ?? 300_000);
+const WEATHER_RATE_PER_MIN = Number(process.env.WEATHER_RATE_PER_MIN ?? 60); // weather, forecast and alerts
+const WEATHER_DAILY_REQUESTS = Number(process.env.WEATHER_DAILY_REQUESTS ?? 2000);
+// Prices for the usage report's cost estimate (USD; defaults are gemini-2.0-flash list prices).
+const LLM_PRICE_INPUT_PER_MTOK = Number(process.env.LLM_PRICE_INPUT_PER_MTOK ?? 0.1);
+const LLM_PRICE_OUTPUT_PER_MTOK = Number(process.env.LLM_PRICE_OUTPUT_PER_MTOK ?? 0.4);
+const WEATHER_PRICE_PER_CALL = Number(process.env.WEATHER_PRICE_PER_CALL ?? 0);
+// Usernames allowed to read GET /api/admin/usage (comma-separated).
+const ADMIN_USERS = (process.env.ADMIN_USERS || "").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+// Express "trust proxy" setting, so limits see the client's IP behind a reverse proxy (e.g. 1 or "loopback").
+const TRUST_PROXY = process.env.TRUST_PROXY;
+// Bearer token required to scrape GET /metrics; open when unset.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+// Used for farms that never reported a time zone.
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Writes to crops, todos, plots and farm records are broadcast to the farm's open dashboards (GET /api/changes).
+const changes = createChangeFeed();
+const store = watchStore(await openStore({ driver: STORAGE_DRIVER, file: DATA_FILE }), changes, {
+  collections: ["crops", "todos", "plots", "inputs", "expenses", "yields"],
+  view: async (name, rec) =>
+    name === "crops" ? cropView(rec, farmToday((await store.get("farms", rec.farmId)) ?? {})) : rec
+});
+
+// =============================
+// Observability: access logs (server/log.js) and Prometheus metrics (server/metrics.js)
+// =============================
+const metrics = createMetrics();
+const httpRequests = metrics.counter("http_requests_total", "HTTP requests by method, route pattern and status code.");
+const httpDuration = metrics.histogram("http_request_duration_seconds", "HTTP request latency by method and route pattern.");
+const upstreamRequests = metrics.counter("upstream_requests_total", "Calls to upstream services (weather, llm) by outcome.");
+const upstreamDuration = metrics.histogram(
+  "upstream_request_duration_seconds",
+  "Upstream call latency by service; for llm, the time to the model's complete answer."
+);
+const llmTokens = metrics.counter("llm_tokens_total", "LLM tokens used, by direction (input, output).");
+const weatherKinds = () => Object.entries(weather.stats()).filter(([, v]) => typeof v === "object");
+metrics.counter("weather_cache_lookups_total", "Weather cache lookups by kind and result.", {
+  collect: () =>
+    weatherKinds().flatMap(([kind, c]) =>
+      [["hit", c.hits], ["stale", c.stale], ["miss", c.misses], ["stale_error", c.staleOnError]].map(([result, value]) => ({
+        labels: { kind, result },
+        value
+      }))
+    )
+});
+metrics.gauge("weather_cache_hit_ratio", "Share of weather lookups answered from the cache (fresh or stale).", {
+  collect: () => weatherKinds().map(([kind, c]) => ({ labels: { kind }, value: c.hitRatio }))
+});
+metrics.gauge("weather_cache_entries", "Entries in the weather cache.", {
+  collect: () => weatherKinds().map(([kind, c]) => ({ labels: { kind }, value: c.size }))
+});
+metrics.gauge("change_feed_clients", "Open live-update streams.", { collect: () => [{ value: changes.stats().clients }] });
+metrics.gauge("knowledge_base_passages", "Passages indexed in the knowledge base.", { collect: () => [{ value: knowledge.size }] });
+metrics.gauge("process_uptime_seconds", "Seconds since the server started.", { collect: () => [{ value: Math.round(process.uptime()) }] });
+metrics.gauge("process_resident_memory_bytes", "Resident memory of the server process.", {
+  collect: () => [{ value: process.memoryUsage().rss }]
+});
+
+// Outcome of the latest call to each upstream service, for the readiness check.
+const lastUpstream = {};
+onUpstream(({ service, ms, ok }) => {
+  upstreamRequests.inc({ service, outcome: ok ? "ok" : "error" });
+  upstreamDuration.observe({ service }, ms / 1000);
+  lastUpstream[service] = { ok, at: new Date().toISOString(), ms: Math.round(ms) };
+});
 
 // Create app and middleware
 const app = express();
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+const QUIET_PATHS = new Set(["/metrics", "/api/health", "/api/ready"]);
+app.use(requestLogger({
+  quiet: (req) => QUIET_PATHS.has(req.path),
+  onDone: ({ method, route, status, seconds }) => {
+    httpRequests.inc({ method, route, status });
+    httpDuration.observe({ method, route }, seconds);
+  }
+}));
+// Chat bodies may carry a base64 voice clip (4/3 of its size) on top of the usual fields.
+app.use("/api/gemini-chat", express.json({ limit: Math.ceil((VOICE_MAX_BYTES * 4) / 3) + 64 * 1024 }));
+app.use("/api/import", express.json({ limit: IMPORT_MAX_BYTES }), express.text({ type: ["text/csv", "text/plain"], limit: IMPORT_MAX_BYTES }));
 app.use(express.json());
 app.use(
   cors({
@@ -26,145 +202,1298 @@ app.use(
   })
 );
 
-// Health
+// Liveness: the process is up and serving requests.
 app.get("/api/health", (_req, res) => res.json({ ok: true }));
 
+// Readiness: whether this instance can do its job — the store answers and the LLM and weather
+// providers are configured (503 otherwise). `last` is the latest upstream call's outcome; it is
+// reported but does not decide readiness, since providers recover on their own.
+app.get("/api/ready", async (_req, res) => {
+  const checks = {};
+  try {
+    await store.list("farms");
+    checks.storage = { ok: true, driver: STORAGE_DRIVER };
+  } catch (e) {
+    checks.storage = { ok: false, driver: STORAGE_DRIVER, ...errorFields(e) };
+  }
+  checks.llm = {
+    ok: Boolean(llm),
+    provider: llmSettings.provider,
+    ...(llm ? { model: llm.model } : { error: llmMissing }),
+    last: lastUpstream.llm ?? null
+  };
+  checks.weather = {
+    ok: weatherProvider.configured,
+    provider: weatherProvider.name,
+    ...(weatherProvider.configured ? {} : { error: "OPENWEATHER_API_KEY missing" }),
+    last: lastUpstream.weather ?? null
+  };
+  checks.knowledgeBase = { ok: true, dir: KNOWLEDGE_DIR, passages: knowledge.size };
+  const ready = Object.values(checks).every(c => c.ok);
+  res.status(ready ? 200 : 503).json({ ready, checks });
+});
+
+// Prometheus scrape endpoint (outside /api; Bearer METRICS_TOKEN when set).
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && req.get("Authorization") !== `Bearer ${METRICS_TOKEN}`) {
+    return sendError(res, 401, "Metrics token required");
+  }
+  res.type(CONTENT_TYPE).send(metrics.render());
+});
+
+const makeId = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2));
+
 // =============================
-// Weather (OpenWeather) — Fast, cached proxy
+// Usage limits and metering for the paid upstream APIs (see server/usage.js)
 // =============================
-const httpsAgent = new https.Agent({ keepAlive: true });
-const WEATHER_TTL_MS = 60_000; // 60s cache
-const weatherCache = new Map(); // key -> { ts, data }
+const usage = await createUsageMeter({ store });
+usage.start();
+
+const chatGuard = guard({
+  kind: "chat",
+  limiter: createRateLimiter({ max: CHAT_RATE_PER_MIN }),
+  meter: usage,
+  quota: { requests: CHAT_DAILY_REQUESTS, tokens: CHAT_DAILY_TOKENS }
+});
+const weatherGuard = guard({
+  kind: "weather",
+  limiter: createRateLimiter({ max: WEATHER_RATE_PER_MIN }),
+  meter: usage,
+  quota: { requests: WEATHER_DAILY_REQUESTS }
+});
 
-app.get("/api/weather", async (req, res) => {
+// Books LLM calls and tokens ({ inputTokens, outputTokens, calls }) to the request's client.
+// A call that failed before reporting usage still counts as one call.
+const recordLlm = (req, { inputTokens = 0, outputTokens = 0, calls = 1 } = {}) => {
+  usage.add(clientKey(req), { llmCalls: calls, inputTokens, outputTokens });
+  llmTokens.inc({ direction: "input" }, inputTokens);
+  llmTokens.inc({ direction: "output" }, outputTokens);
+};
+
+// =============================
+// Accounts & farms
+// =============================
+// users: {id,username,passwordHash,createdAt}
+// farms: {id,name,members:[userId],createdAt} — a farm owns its crops and todos
+
+const authed = requireAuth(store);
+
+const farmView = (f) => ({ id: f.id, name: f.name, members: f.members, timezone: f.timezone || DEFAULT_TIMEZONE });
+
+// IANA zone name if the runtime knows it, else null.
+function validTimezone(tz) {
+  if (!tz || typeof tz !== "string") return null;
   try {
-    const { lat, lon, units = "metric", lang = "en" } = req.query;
-    if (!lat || !lon) {
-      return res.status(400).json({ error: "lat and lon are required" });
-    }
-    if (!process.env.OPENWEATHER_API_KEY) {
-      return res.status(500).json({ error: "OPENWEATHER_API_KEY missing in server/.env" });
-    }
+    new Intl.DateTimeFormat("en", { timeZone: tz });
+    return tz;
+  } catch {
+    return null;
+  }
+}
 
-    const key = `${Number(lat).toFixed(3)},${Number(lon).toFixed(3)},${units},${lang}`;
-    const now = Date.now();
-    const cached = weatherCache.get(key);
-    if (cached && now - cached.ts < WEATHER_TTL_MS) {
-      res.set("Cache-Control", "public, max-age=30, stale-while-revalidate=120");
-      return res.json(cached.data);
+// Records created before accounts existed have no farmId; hand them to the first farm.
+async function claimOrphans(farmId) {
+  for (const name of ["crops", "todos"]) {
+    for (const r of await store.list(name)) {
+      if (!r.farmId) await store.update(name, r.id, { farmId });
     }
+  }
+}
 
-    const url = `https://api.openweathermap.org/data/2.5/weather?lat=${lat}&lon=${lon}&units=${units}&lang=${lang}&appid=${process.env.OPENWEATHER_API_KEY}`;
-    const r = await fetch(url, { agent: httpsAgent });
-    const data = await r.json();
-    if (!r.ok) {
-      // Common: 401 invalid key; 429 rate limit; 404 bad params
-      return res.status(r.status).json(data);
-    }
+app.post("/api/auth/register", wrap(async (req, res) => {
+  const { username = "", password = "", farmName = "", timezone = "" } = req.body || {};
+  const uname = String(username).trim().toLowerCase();
+  if (!uname || String(password).length < 8) {
+    throw badRequest("username and a password of at least 8 characters are required");
+  }
+  const users = await store.list("users");
+  if (users.some(u => u.username === uname)) {
+    throw new HttpError(409, "Username already taken");
+  }
 
-    weatherCache.set(key, { ts: now, data });
-    res.set("Cache-Control", "public, max-age=30, stale-while-revalidate=120");
-    res.json(data);
-  } catch (e) {
-    res.status(500).json({ error: "Weather fetch failed", details: e?.message ?? String(e) });
+  const now = Date.now();
+  const user = await store.insert("users", {
+    id: makeId(),
+    username: uname,
+    passwordHash: await hashPassword(String(password)),
+    createdAt: now
+  });
+  const firstFarm = (await store.list("farms")).length === 0;
+  const farm = await store.insert("farms", {
+    id: makeId(),
+    name: String(farmName).trim() || `${uname}'s farm`,
+    members: [user.id],
+    timezone: validTimezone(timezone) || DEFAULT_TIMEZONE,
+    createdAt: now
+  });
+  if (firstFarm) await claimOrphans(farm.id);
+
+  const token = await createSession(store, user.id);
+  res.status(201).json({ token, user: publicUser(user), farms: [farmView(farm)] });
+}));
+
+app.post("/api/auth/login", wrap(async (req, res) => {
+  const { username = "", password = "" } = req.body || {};
+  const uname = String(username).trim().toLowerCase();
+  const user = (await store.list("users")).find(u => u.username === uname);
+  if (!user || !(await verifyPassword(String(password), user.passwordHash))) {
+    throw new HttpError(401, "Invalid username or password");
   }
+  const token = await createSession(store, user.id);
+  const farms = (await store.list("farms")).filter(f => f.members.includes(user.id));
+  res.json({ token, user: publicUser(user), farms: farms.map(farmView) });
+}));
+
+app.post("/api/auth/logout", wrap(async (req, res) => {
+  await destroySession(store, bearerToken(req));
+  res.status(204).end();
+}));
+
+app.get("/api/auth/me", authed, (req, res) => {
+  res.json({ user: publicUser(req.user), farm: farmView(req.farm), farms: req.farms.map(farmView) });
 });
 
+app.post("/api/farms", authed, wrap(async (req, res) => {
+  const name = String(req.body?.name ?? "").trim();
+  if (!name) throw validationError([{ field: "name", message: "is required" }]);
+  const farm = await store.insert("farms", {
+    id: makeId(),
+    name,
+    members: [req.user.id],
+    timezone: validTimezone(req.body?.timezone) || req.farm.timezone || DEFAULT_TIMEZONE,
+    createdAt: Date.now()
+  });
+  res.status(201).json(farmView(farm));
+}));
+
+// Add an existing user (e.g. a family member) to the active farm.
+app.post("/api/farms/:id/members", authed, wrap(async (req, res) => {
+  if (req.params.id !== req.farm.id) {
+    throw new HttpError(403, "Not a member of this farm");
+  }
+  const uname = String(req.body?.username ?? "").trim().toLowerCase();
+  const user = (await store.list("users")).find(u => u.username === uname);
+  if (!user) throw notFound("User");
+  const members = req.farm.members.includes(user.id) ? req.farm.members : [...req.farm.members, user.id];
+  res.json(farmView(await store.update("farms", req.farm.id, { members })));
+}));
+
+// Remove a member from the active farm, or leave it (your own id). Their session no longer
+// reaches the farm (X-Farm-Id gets 403) and their calendar feed for it stops working. The last
+// member cannot leave: the farm's records would be orphaned.
+app.delete("/api/farms/:id/members/:userId", authed, wrap(async (req, res) => {
+  if (req.params.id !== req.farm.id) {
+    throw new HttpError(403, "Not a member of this farm");
+  }
+  if (!req.farm.members.includes(req.params.userId)) throw notFound("Member");
+  if (req.farm.members.length === 1) {
+    throw new HttpError(409, "The last member cannot leave the farm");
+  }
+  const members = req.farm.members.filter(id => id !== req.params.userId);
+  res.json(farmView(await store.update("farms", req.farm.id, { members })));
+}));
+
 // =============================
-// Crops & To‑Dos (in‑memory)
+// Weather — provider (OpenWeather or offline fixtures) behind a bounded SWR cache
 // =============================
-let crops = []; // {id,name,variety}
-let todos = []; // {id,title,cropId,done,when} where when is "YYYY-MM-DDTHH:mm" local
+// Every upstream fetch (a cache miss or revalidation) is metered and timed; fetches are shared
+// through the cache, so they are not booked to a client.
+const upstreamFetch = (fetch) => (q) => {
+  usage.add(SERVER_CLIENT, { weatherUpstream: 1 });
+  return timeUpstream("weather", () => fetch(q));
+};
+const weatherProvider = createWeatherProvider();
+const weather = createWeatherService({
+  provider: { ...weatherProvider, current: upstreamFetch(weatherProvider.current), forecast: upstreamFetch(weatherProvider.forecast) },
+  maxEntries: WEATHER_CACHE_MAX
+});
 
-const makeId = () => (globalThis.crypto?.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2));
+const getCurrentWeather = async (query) => (await weather.current(query)).value;
+
+const weatherError = (res, e) => {
+  if (e instanceof HttpError) return sendError(res, e.status, e.message, { code: e.code, details: e.details });
+  sendError(res, 500, "Weather fetch failed", { details: e?.message ?? String(e) });
+};
 
-app.get("/api/crops", (_req, res) => res.json(crops));
+// X-Cache: HIT | STALE (revalidating in background) | MISS | STALE-ERROR (upstream failed, older copy served)
+const sendCached = (res, kind, { value, status, ageMs }) => {
+  res.set({
+    "Cache-Control": cacheControl(kind),
+    "X-Cache": status.toUpperCase(),
+    Age: String(Math.floor(ageMs / 1000))
+  });
+  res.json(value);
+};
 
-app.post("/api/crops", (req, res) => {
-  const { name = "Crop", variety = "" } = req.body || {};
-  const c = { id: makeId(), name, variety };
-  crops.push(c);
-  res.status(201).json(c);
+app.get("/api/weather", weatherGuard, async (req, res) => {
+  try {
+    sendCached(res, "current", await weather.current(req.query));
+  } catch (e) {
+    weatherError(res, e);
+  }
 });
 
-app.put("/api/crops/:id", (req, res) => {
-  crops = crops.map(c => (c.id === req.params.id ? { ...c, ...req.body } : c));
-  const found = crops.find(c => c.id === req.params.id) || null;
-  res.json(found);
+// 5-day forecast summarized per local day with agronomic metrics (see server/agronomy.js).
+// Query: lat, lon, lang, crops=Wheat,Rice (names to compute growing degree days for).
+// Always metric — the metrics are defined in °C and mm.
+app.get("/api/weather/forecast", weatherGuard, async (req, res) => {
+  try {
+    const { lat, lon, lang = "en", crops = "" } = req.query;
+    const result = await weather.forecast({ lat, lon, lang, units: "metric" });
+    sendCached(res, "forecast", { ...result, value: summarizeForecast(result.value, { crops: String(crops).split(",") }) });
+  } catch (e) {
+    weatherError(res, e);
+  }
 });
 
-app.delete("/api/crops/:id", (req, res) => {
-  crops = crops.filter(c => c.id !== req.params.id);
+// Cache hit/miss counters per kind.
+app.get("/api/weather/stats", (_req, res) => res.json(weather.stats()));
+
+// =============================
+// Plots, Crops & To‑Dos (persisted via store, scoped to req.farm)
+// =============================
+// plots: {id,farmId,name,lat,lon,boundary,notes,areaAcres,areaHectares}
+//        (boundary: GeoJSON Polygon or null; lat/lon default to its centroid)
+// crops: {id,farmId,name,variety,plot,plotId,areaAcres,sowingDate,expectedHarvest,template}
+//        (dates "YYYY-MM-DD"; template is a server/catalog.js key)
+// todos: {id,farmId,title,cropId,done,when} where when is "YYYY-MM-DDTHH:mm" local
+// All three carry `version`, bumped on every client edit. PUT/DELETE with `If-Match: <version>`
+// get 409 when the record changed since the client read it (e.g. an offline edit replayed late).
+
+const RECORD_NAMES = { plots: "Plot", crops: "Crop", todos: "Todo", inputs: "Input", expenses: "Expense", yields: "Yield", diagnoses: "Diagnosis" };
+
+// Fetch a record of the active farm: 404 if missing, 403 if it belongs to another farm,
+// 409 if `version` is given and the stored record has moved on.
+async function findOwned(name, id, farm, version = null) {
+  const rec = await store.get(name, id);
+  if (!rec) throw notFound(RECORD_NAMES[name]);
+  if (rec.farmId !== farm.id) throw new HttpError(403, "Record belongs to another farm");
+  if (version !== null && (rec.version ?? 1) !== version) {
+    throw new HttpError(409, `${RECORD_NAMES[name]} was changed by someone else`, { details: { current: rec } });
+  }
+  return rec;
+}
+
+// If-Match: 3 (quotes and W/ tolerated, as sent for ETags); null when absent.
+function expectedVersion(req) {
+  const raw = req.get("If-Match");
+  if (!raw || raw.trim() === "*") return null;
+  const n = Number(raw.trim().replace(/^W\//, "").replace(/"/g, ""));
+  if (!Number.isInteger(n)) throw badRequest("If-Match must be a record version");
+  return n;
+}
+
+const nextVersion = (rec) => (rec.version ?? 1) + 1;
+
+const listOwned = async (name, farm) => (await store.list(name)).filter(r => r.farmId === farm.id);
+
+// cropId must reference a crop of the same farm.
+async function checkCropRef(cropId, farm) {
+  if (!cropId) return;
+  const crop = await store.get("crops", cropId);
+  if (!crop || crop.farmId !== farm.id) {
+    throw validationError([{ field: "cropId", message: "does not reference an existing crop" }]);
+  }
+}
+
+// plotId must reference a plot of the same farm; returns it.
+async function checkPlotRef(plotId, farm) {
+  if (!plotId) return null;
+  const plot = await store.get("plots", plotId);
+  if (!plot || plot.farmId !== farm.id) {
+    throw validationError([{ field: "plotId", message: "does not reference an existing plot" }]);
+  }
+  return plot;
+}
+
+// Centroid and area from the boundary; a plot without one must give lat and lon.
+function plotFields(fields) {
+  const geo = plotGeometry(fields);
+  if (geo.lat == null || geo.lon == null) {
+    throw validationError([{ field: "lat", message: "lat and lon (or a boundary) are required" }]);
+  }
+  return { ...fields, ...geo };
+}
+
+app.get("/api/plots", authed, wrap(async (req, res) => {
+  res.json(await listOwned("plots", req.farm));
+}));
+
+app.post("/api/plots", authed, wrap(async (req, res) => {
+  const fields = plotFields(validate(PlotSchema, req.body));
+  res.status(201).json(await store.insert("plots", { id: makeId(), farmId: req.farm.id, ...fields, version: 1 }));
+}));
+
+app.put("/api/plots/:id", authed, wrap(async (req, res) => {
+  const found = await findOwned("plots", req.params.id, req.farm, expectedVersion(req));
+  const patch = validate(PlotSchema, req.body, { partial: true });
+  const next = { ...found, ...patch };
+  // A new boundary moves the centroid unless the client sent one too.
+  if (patch.boundary && patch.lat === undefined && patch.lon === undefined) {
+    next.lat = null;
+    next.lon = null;
+  }
+  const { id, farmId, ...fields } = plotFields(next);
+  res.json(await store.update("plots", found.id, { ...fields, version: nextVersion(found) }));
+}));
+
+// Crops on a deleted plot stay, unassigned.
+app.delete("/api/plots/:id", authed, wrap(async (req, res) => {
+  const found = await findOwned("plots", req.params.id, req.farm, expectedVersion(req));
+  for (const c of await listOwned("crops", req.farm)) {
+    if (c.plotId === found.id) await store.update("crops", c.id, { plotId: null, version: nextVersion(c) });
+  }
+  await store.remove("plots", found.id);
   res.status(204).end();
-});
+}));
 
-app.get("/api/todos", (_req, res) => res.json(todos));
+// Todo operations shared by the routes and the chat assistant's tools.
+async function createTodo(farm, body) {
+  const fields = validate(TodoSchema, body);
+  await checkCropRef(fields.cropId, farm);
+  if (fields.recurrence && !fields.when) {
+    throw validationError([{ field: "when", message: "is required for recurring tasks" }]);
+  }
+  const todo = await store.insert("todos", { id: makeId(), farmId: farm.id, ...fields, version: 1 });
+  // Materialize the first occurrences (and any due reminder) without waiting for the next tick.
+  if (todo.recurrence || todo.when) scheduler.run();
+  return todo;
+}
 
-app.post("/api/todos", (req, res) => {
-  const { title = "Task", cropId = null, when = null } = req.body || {};
-  const t = { id: makeId(), title, cropId, when, done: false };
-  todos.push(t);
-  res.status(201).json(t);
-});
+async function updateTodo(farm, id, body, version = null) {
+  const found = await findOwned("todos", id, farm, version);
+  const patch = validate(TodoSchema, body, { partial: true });
+  await checkCropRef(patch.cropId, farm);
+  if (patch.recurrence && !(patch.when ?? found.when)) {
+    throw validationError([{ field: "when", message: "is required for recurring tasks" }]);
+  }
+  // A moved or re-opened task deserves a fresh reminder.
+  if ((patch.when !== undefined && patch.when !== found.when) || patch.remindBeforeMin !== undefined || patch.done === false) {
+    patch.remindedAt = null;
+  }
+  // A series whose rule or start changed is regenerated: its upcoming occurrences were made
+  // for the old schedule (and are dropped for good when the rule is removed).
+  const rescheduled =
+    (patch.recurrence !== undefined && JSON.stringify(patch.recurrence) !== JSON.stringify(found.recurrence ?? null)) ||
+    (patch.when !== undefined && patch.when !== found.when);
+  if (found.recurrence && !found.seriesId && rescheduled) {
+    await clearSeries(store, found.id, farmNow(farm));
+    patch.materializedThrough = null;
+  }
+  const todo = await store.update("todos", found.id, { ...patch, version: nextVersion(found) });
+  if (patch.recurrence || patch.when) scheduler.run();
+  return todo;
+}
+
+// Deleting a series template takes its upcoming occurrences with it.
+async function deleteTodo(farm, id, version = null) {
+  const found = await findOwned("todos", id, farm, version);
+  await store.remove("todos", found.id);
+  if (found.recurrence && !found.seriesId) await clearSeries(store, found.id, farmNow(farm), { unlink: true });
+  return found;
+}
 
-app.put("/api/todos/:id", (req, res) => {
-  todos = todos.map(t => (t.id === req.params.id ? { ...t, ...req.body } : t));
-  const found = todos.find(t => t.id === req.params.id) || null;
-  res.json(found);
+// Farm-local wall-clock time ("YYYY-MM-DDTHH:mm") and calendar date, for schedules, crop stages and plans.
+const farmNow = (farm) => localDateTime(new Date(), farm.timezone || DEFAULT_TIMEZONE);
+const farmToday = (farm) => farmNow(farm).slice(0, 10);
+
+// Crops go out with their derived lifecycle ({day, stage, daysToHarvest, progress} or null).
+const cropView = (crop, today) => ({ ...crop, lifecycle: lifecycle(crop, today) });
+
+const listCrops = async (farm) => {
+  const today = farmToday(farm);
+  return (await listOwned("crops", farm)).map(c => cropView(c, today));
+};
+
+function checkHarvestDate({ sowingDate, expectedHarvest }) {
+  if (sowingDate && expectedHarvest && expectedHarvest <= sowingDate) {
+    throw validationError([{ field: "expectedHarvest", message: "must be after sowingDate" }]);
+  }
+}
+
+app.get("/api/crop-templates", (req, res) => {
+  res.json(templateList());
 });
 
-app.delete("/api/todos/:id", (req, res) => {
-  todos = todos.filter(t => t.id !== req.params.id);
+app.get("/api/crops", authed, wrap(async (req, res) => {
+  res.json(await listCrops(req.farm));
+}));
+
+app.post("/api/crops", authed, wrap(async (req, res) => {
+  const fields = validate(CropSchema, req.body);
+  const plot = await checkPlotRef(fields.plotId, req.farm);
+  if (plot) {
+    fields.plot ||= plot.name;
+    fields.areaAcres ??= plot.areaAcres;
+  }
+  fields.template ??= findTemplate(fields.name);
+  fields.expectedHarvest ??= expectedHarvestFor(fields.template, fields.sowingDate);
+  checkHarvestDate(fields);
+  const c = await store.insert("crops", { id: makeId(), farmId: req.farm.id, ...fields, version: 1 });
+  res.status(201).json(cropView(c, farmToday(req.farm)));
+}));
+
+app.put("/api/crops/:id", authed, wrap(async (req, res) => {
+  const found = await findOwned("crops", req.params.id, req.farm, expectedVersion(req));
+  const patch = validate(CropSchema, req.body, { partial: true });
+  const plot = await checkPlotRef(patch.plotId, req.farm);
+  if (plot && patch.plot === undefined) patch.plot = plot.name;
+  if (patch.template === undefined && patch.name && !found.template) {
+    patch.template = findTemplate(patch.name);
+  }
+  // Keep a template-derived harvest date in step with a new sowing date or template;
+  // a date the farmer entered stays as is.
+  const wasDefault = !found.expectedHarvest || found.expectedHarvest === expectedHarvestFor(found.template, found.sowingDate);
+  if (patch.expectedHarvest === undefined && wasDefault && (patch.sowingDate !== undefined || patch.template !== undefined)) {
+    const next = { ...found, ...patch };
+    patch.expectedHarvest = expectedHarvestFor(next.template, next.sowingDate);
+  }
+  checkHarvestDate({ ...found, ...patch });
+  patch.version = nextVersion(found);
+  res.json(cropView(await store.update("crops", found.id, patch), farmToday(req.farm)));
+}));
+
+// Generates the template's stage-by-stage operations as todos. Operations before today
+// are skipped, as are ones already on the list (same crop, title and time), so the plan
+// can be re-generated after changing the sowing date.
+app.post("/api/crops/:id/plan", authed, wrap(async (req, res) => {
+  const crop = await findOwned("crops", req.params.id, req.farm);
+  if (!crop.template || !crop.sowingDate) {
+    throw validationError([{ field: crop.template ? "sowingDate" : "template", message: "is required to generate a plan" }]);
+  }
+  const existing = (await listOwned("todos", req.farm)).filter(t => t.cropId === crop.id);
+  const created = [];
+  let skipped = 0;
+  for (const body of planFor(crop, { from: farmToday(req.farm) })) {
+    if (existing.some(t => t.title === body.title && t.when === body.when)) {
+      skipped++;
+      continue;
+    }
+    created.push(await createTodo(req.farm, body));
+  }
+  res.status(201).json({ created, skipped });
+}));
+
+app.delete("/api/crops/:id", authed, wrap(async (req, res) => {
+  const found = await findOwned("crops", req.params.id, req.farm, expectedVersion(req));
+  await store.remove("crops", found.id);
+  res.status(204).end();
+}));
+
+app.get("/api/todos", authed, wrap(async (req, res) => {
+  res.json(await listOwned("todos", req.farm));
+}));
+
+app.post("/api/todos", authed, wrap(async (req, res) => {
+  res.status(201).json(await createTodo(req.farm, req.body));
+}));
+
+app.put("/api/todos/:id", authed, wrap(async (req, res) => {
+  res.json(await updateTodo(req.farm, req.params.id, req.body, expectedVersion(req)));
+}));
+
+app.delete("/api/todos/:id", authed, wrap(async (req, res) => {
+  await deleteTodo(req.farm, req.params.id, expectedVersion(req));
   res.status(204).end();
+}));
+
+// =============================
+// Farm records: inputs, expenses and yields (shapes and the summary in server/records.js)
+// =============================
+// Same CRUD contract as the resources above (versions, If-Match). ?cropId= filters the lists.
+
+const RECORD_SCHEMAS = { inputs: InputSchema, expenses: ExpenseSchema, yields: YieldSchema };
+
+// todoId must reference a todo of the same farm.
+async function checkTodoRef(todoId, farm) {
+  if (!todoId) return;
+  const todo = await store.get("todos", todoId);
+  if (!todo || todo.farmId !== farm.id) {
+    throw validationError([{ field: "todoId", message: "does not reference an existing todo" }]);
+  }
+}
+
+for (const [name, schema] of Object.entries(RECORD_SCHEMAS)) {
+  app.get(`/api/${name}`, authed, wrap(async (req, res) => {
+    const list = (await listOwned(name, req.farm))
+      .filter(r => !req.query.cropId || r.cropId === req.query.cropId)
+      .sort((a, b) => b.date.localeCompare(a.date));
+    res.json(list);
+  }));
+
+  app.post(`/api/${name}`, authed, wrap(async (req, res) => {
+    const fields = validate(schema, req.body);
+    await checkCropRef(fields.cropId, req.farm);
+    await checkTodoRef(fields.todoId, req.farm);
+    fields.date ??= farmToday(req.farm);
+    res.status(201).json(await store.insert(name, { id: makeId(), farmId: req.farm.id, ...fields, version: 1 }));
+  }));
+
+  app.put(`/api/${name}/:id`, authed, wrap(async (req, res) => {
+    const found = await findOwned(name, req.params.id, req.farm, expectedVersion(req));
+    const patch = validate(schema, req.body, { partial: true });
+    await checkCropRef(patch.cropId, req.farm);
+    await checkTodoRef(patch.todoId, req.farm);
+    res.json(await store.update(name, found.id, { ...patch, version: nextVersion(found) }));
+  }));
+
+  app.delete(`/api/${name}/:id`, authed, wrap(async (req, res) => {
+    const found = await findOwned(name, req.params.id, req.farm, expectedVersion(req));
+    await store.remove(name, found.id);
+    res.status(204).end();
+  }));
+}
+
+// Cost, yield and margin per crop and season (plus per acre where the crop has an area).
+// Query: season ("kharif-2025", see seasonOf), cropId.
+app.get("/api/records/summary", authed, wrap(async (req, res) => {
+  const [crops, inputs, expenses, yields] = await Promise.all(
+    ["crops", "inputs", "expenses", "yields"].map(name => listOwned(name, req.farm))
+  );
+  const { season = null, cropId = null } = req.query;
+  res.json(summarizeRecords({ crops, inputs, expenses, yields }, { season, cropId }));
+}));
+
+// =============================
+// Export / import (formats and the import planner in server/transfer.js) and the calendar feed
+// =============================
+
+const attachment = (res, type, filename) =>
+  res.type(type).set("Content-Disposition", `attachment; filename="${filename}"`);
+
+const fileSlug = (farm) => farm.name.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "farm";
+
+// GET /api/export/crops.csv, /api/export/todos.csv
+for (const name of Object.keys(CSV_COLUMNS)) {
+  app.get(`/api/export/${name}.csv`, authed, wrap(async (req, res) => {
+    const records = await listOwned(name, req.farm);
+    const crops = name === "todos" ? await listOwned("crops", req.farm) : [];
+    attachment(res, "text/csv; charset=utf-8", `${fileSlug(req.farm)}-${name}.csv`);
+    res.send(toCsv(CSV_COLUMNS[name], csvRows(name, records, crops)));
+  }));
+}
+
+// Everything the farm owns, ids included, for POST /api/import.
+app.get("/api/export/backup.json", authed, wrap(async (req, res) => {
+  const names = Object.keys(COLLECTIONS);
+  const lists = await Promise.all(names.map(name => listOwned(name, req.farm)));
+  const doc = backupDocument({
+    farm: req.farm,
+    schemaVersion: SCHEMA_VERSION,
+    collections: Object.fromEntries(names.map((name, i) => [name, lists[i]]))
+  });
+  attachment(res, "application/json", `${fileSlug(req.farm)}-backup-${farmToday(req.farm)}.json`);
+  res.send(JSON.stringify(doc, null, 2));
+}));
+
+// The checks and defaults the create routes apply, for records arriving through an import.
+const prepareImport = (farm) => (name, fields) => {
+  if (name === "plots") return plotFields(fields);
+  if (name === "crops") {
+    fields.template ??= findTemplate(fields.name);
+    fields.expectedHarvest ??= expectedHarvestFor(fields.template, fields.sowingDate);
+    checkHarvestDate(fields);
+  }
+  if (name === "todos" && fields.recurrence && !fields.when) {
+    throw validationError([{ field: "when", message: "is required for recurring tasks" }]);
+  }
+  if (RECORD_SCHEMAS[name]) fields.date ??= farmToday(farm);
+  return fields;
+};
+
+// Body: a backup document (application/json) or CSV (text/csv) with ?collection=crops|todos.
+// Query: mode=merge (default; create and update) or replace (also delete records missing from
+// the import, in the collections it contains); dryRun=1 to only get the report.
+// Responds { dryRun, applied, mode, collections: { <name>: { create, update, delete, unchanged } },
+// errors }. Nothing is written when there are errors (422 unless dryRun).
+app.post("/api/import", authed, wrap(async (req, res) => {
+  const mode = req.query.mode ?? "merge";
+  if (mode !== "merge" && mode !== "replace") throw badRequest('mode must be "merge" or "replace"');
+  const dryRun = ["1", "true"].includes(String(req.query.dryRun));
+
+  let incoming;
+  let csvErrors = [];
+  if (req.is("text/csv") || req.is("text/plain")) {
+    const name = req.query.collection;
+    if (!CSV_COLUMNS[name]) throw badRequest(`collection must be one of ${Object.keys(CSV_COLUMNS).join(", ")}`);
+    const { records, errors } = fromCsv(name, typeof req.body === "string" ? req.body : "", await listOwned("crops", req.farm));
+    incoming = { [name]: records };
+    csvErrors = errors;
+  } else {
+    incoming = fromBackup(req.body);
+  }
+
+  const names = Object.keys(COLLECTIONS);
+  const existing = {};
+  const foreign = {};
+  for (const name of names) {
+    const all = await store.list(name);
+    existing[name] = all.filter(r => r.farmId === req.farm.id);
+    foreign[name] = new Set(all.filter(r => r.farmId !== req.farm.id).map(r => r.id));
+  }
+  const { ops, report } = planImport({ incoming, existing, foreign, mode, prepare: prepareImport(req.farm), makeId });
+  report.errors.unshift(...csvErrors);
+
+  if (report.errors.length) {
+    if (!dryRun) throw new HttpError(422, "Import has errors; nothing was changed", { code: "import_invalid", details: report });
+    return res.json({ dryRun, applied: false, ...report });
+  }
+  if (!dryRun) {
+    for (const name of names) {
+      for (const p of ops[name]?.create ?? []) {
+        await store.insert(name, { id: p.id, farmId: req.farm.id, ...p.fields, version: 1 });
+      }
+      for (const p of ops[name]?.update ?? []) {
+        await store.update(name, p.id, { ...p.fields, version: nextVersion(p.before) });
+      }
+    }
+    for (const name of [...names].reverse()) {
+      for (const r of ops[name]?.remove ?? []) await store.remove(name, r.id);
+    }
+    scheduler.run();
+  }
+  res.json({ dryRun, applied: !dryRun, ...report });
+}));
+
+// Calendar feed: calendar apps cannot send the session header, so the feed URL carries its own
+// secret. calendarFeeds: {id: tokenId(token), farmId, userId, createdAt} — one per user and farm.
+const myFeeds = async (req) =>
+  (await store.list("calendarFeeds")).filter(f => f.farmId === req.farm.id && f.userId === req.user.id);
+
+app.get("/api/calendar/feed", authed, wrap(async (req, res) => {
+  const [feed] = await myFeeds(req);
+  res.json({ active: Boolean(feed), createdAt: feed?.createdAt ?? null });
+}));
+
+// Creates the feed link, replacing (and so revoking) any earlier one. The token is only shown here.
+app.post("/api/calendar/feed", authed, wrap(async (req, res) => {
+  for (const f of await myFeeds(req)) await store.remove("calendarFeeds", f.id);
+  const token = randomToken();
+  const createdAt = Date.now();
+  await store.insert("calendarFeeds", { id: tokenId(token), farmId: req.farm.id, userId: req.user.id, createdAt });
+  res.status(201).json({ active: true, createdAt, path: `/api/calendar.ics?token=${token}` });
+}));
+
+app.delete("/api/calendar/feed", authed, wrap(async (req, res) => {
+  for (const f of await myFeeds(req)) await store.remove("calendarFeeds", f.id);
+  res.status(204).end();
+}));
+
+app.get("/api/calendar.ics", wrap(async (req, res) => {
+  const token = typeof req.query.token === "string" ? req.query.token : "";
+  const feed = token ? await store.get("calendarFeeds", tokenId(token)) : null;
+  const farm = feed ? await store.get("farms", feed.farmId) : null;
+  if (!farm || !farm.members.includes(feed.userId)) throw new HttpError(401, "Invalid or revoked calendar link");
+  const [todos, crops] = await Promise.all([listOwned("todos", farm), listOwned("crops", farm)]);
+  const calendar = todosCalendar({
+    farm,
+    todos,
+    crops,
+    timeZone: farm.timezone || DEFAULT_TIMEZONE,
+    defaultLeadMin: REMINDER_LEAD_MIN,
+    host: req.hostname
+  });
+  res.type("text/calendar; charset=utf-8").set("Cache-Control", "private, max-age=300").send(calendar);
+}));
+
+// Server-Sent Events: `change` events for the active farm's crops, todos, plots and records.
+app.get("/api/changes", authed, (req, res) => changes.stream(req.farm.id, req, res));
+
+// =============================
+// Reminders (scheduler + notifier) and the in-app notification feed
+// =============================
+const notifier = createNotifier(NOTIFIER, { store, makeId });
+const scheduler = createScheduler({
+  store,
+  notifier,
+  makeId,
+  intervalMs: SCHEDULER_INTERVAL_MS,
+  horizonDays: RECURRENCE_HORIZON_DAYS,
+  defaultLeadMin: REMINDER_LEAD_MIN,
+  defaultTimezone: DEFAULT_TIMEZONE
 });
 
+// Newest first; ?unread=1 for unread only.
+app.get("/api/notifications", authed, wrap(async (req, res) => {
+  const mine = (await store.list("notifications"))
+    .filter(n => n.farmId === req.farm.id && (!req.query.unread || !n.readAt))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, 50);
+  res.json(mine);
+}));
+
+app.post("/api/notifications/:id/read", authed, wrap(async (req, res) => {
+  const n = await store.get("notifications", req.params.id);
+  if (!n) throw notFound("Notification");
+  if (n.farmId !== req.farm.id) throw new HttpError(403, "Record belongs to another farm");
+  res.json(await store.update("notifications", n.id, { readAt: n.readAt ?? Date.now() }));
+}));
+
 // =============================
-// Gemini Chat (Google Gen AI SDK)
+// Weather alerts for upcoming todos (rules in server/rules.js)
 // =============================
-// Install in server:  npm install @google/genai
-import { GoogleGenAI } from "@google/genai";
+// Query: lat, lon of the farm. Responds { alerts: [...] } with a suggested reschedule per alert.
+app.get("/api/alerts", authed, weatherGuard, wrap(async (req, res) => {
+  const { lat, lon } = req.query;
+  const { value: forecast } = await weather.forecast({ lat, lon, units: "metric", lang: "en" });
+  const alerts = evaluateTodos(await listOwned("todos", req.farm), forecast);
+  res.json({ alerts });
+}));
+
+// =============================
+// Knowledge base (documents in KNOWLEDGE_DIR, BM25 retrieval — see server/knowledge.js)
+// =============================
+const knowledge = createKnowledgeBase({ dir: KNOWLEDGE_DIR });
+await knowledge.load();
+
+// The indexed documents: [{id, title, source, url, chunks, updatedAt}].
+app.get("/api/knowledge", authed, wrap(async (_req, res) => {
+  res.json(await knowledge.documents());
+}));
+
+// Passages the chat would retrieve for ?q= (limit 1–20, default KNOWLEDGE_RESULTS).
+app.get("/api/knowledge/search", authed, wrap(async (req, res) => {
+  const q = String(req.query.q ?? "").trim();
+  if (!q) throw badRequest("q is required");
+  const limit = Math.min(20, Math.max(1, Number(req.query.limit) || KNOWLEDGE_RESULTS));
+  res.json(await knowledge.search(q, limit));
+}));
+
+// =============================
+// Chat (pluggable LLM provider — see server/llm/index.js)
+// =============================
+// LLM_PROVIDER=gemini (default) | openai (any OpenAI-compatible endpoint, e.g. Ollama) | stub (offline, canned)
+const { provider: llmProvider, settings: llmSettings, missing: llmMissing } = createProviderFromEnv();
+// Model calls are timed for the access log and metrics.
+const llm = llmProvider && {
+  ...llmProvider,
+  generate: (request) => timeUpstream("llm", () => llmProvider.generate(request)),
+  stream: (request, onDelta) => timeUpstream("llm", () => llmProvider.stream(request, onDelta))
+};
+
+function requireLlm() {
+  if (!llm) {
+    throw new HttpError(500, llmMissing || "LLM provider not configured", { code: "not_configured" });
+  }
+}
+
+async function summarizeTurns(req, previous, messages) {
+  let result;
+  try {
+    result = await llm.generate({
+      temperature: 0.2,
+      messages: [{
+        role: "user",
+        text: [
+          "Summarize this conversation between a farmer and a farming assistant in under 150 words.",
+          "Keep crops, places, dates, quantities and any advice already given.",
+          previous ? `Earlier summary:\n${previous}` : "",
+          `Conversation:\n${transcript(messages)}`
+        ].filter(Boolean).join("\n\n")
+      }]
+    });
+  } finally {
+    recordLlm(req, result?.usage);
+  }
+  const text = result.text.trim();
+  if (!text) throw new Error("Empty summary");
+  return text;
+}
+
+// Conversations belong to one user within one farm.
+async function findConversation(id, req) {
+  const conv = await store.get("conversations", id);
+  if (!conv) throw notFound("Conversation");
+  if (conv.farmId !== req.farm.id || conv.userId !== req.user.id) {
+    throw new HttpError(403, "Conversation belongs to another user");
+  }
+  return conv;
+}
+
+app.get("/api/conversations", authed, wrap(async (req, res) => {
+  const mine = (await store.list("conversations"))
+    .filter(c => c.farmId === req.farm.id && c.userId === req.user.id)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  res.json(mine.map(summaryView));
+}));
+
+app.get("/api/conversations/:id", authed, wrap(async (req, res) => {
+  const conv = await findConversation(req.params.id, req);
+  res.json({ ...summaryView(conv), messages: conv.messages, pendingAction: pendingView(conv.pending) });
+}));
+
+app.delete("/api/conversations/:id", authed, wrap(async (req, res) => {
+  const conv = await findConversation(req.params.id, req);
+  await store.remove("conversations", conv.id);
+  res.status(204).end();
+}));
+
+// Farm-scoped operations exposed to the assistant's tools.
+const farmOps = (farm) => ({
+  listCrops: () => listCrops(farm),
+  listTodos: () => listOwned("todos", farm),
+  createTodo: (body) => createTodo(farm, body),
+  updateTodo: (id, body) => updateTodo(farm, id, body),
+  deleteTodo: (id) => deleteTodo(farm, id),
+  getWeather: (coords) => getCurrentWeather(coords)
+});
+
+// { lat, lon } of the plot `crop` is on, or null.
+function cropCoords(crop, plots) {
+  const plot = crop?.plotId ? plots.find(p => p.id === crop.plotId) : null;
+  return plot?.lat != null && plot?.lon != null ? { lat: plot.lat, lon: plot.lon } : null;
+}
+
+// English name of a language code for the prompt ("mr" -> "Marathi"); the code itself if unknown.
+function languageName(lang) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(lang.replace("_", "-")) ?? lang;
+  } catch {
+    return lang;
+  }
+}
+
+// Farm context for the chat prompt (see server/context.js). The picked crop is `cropId`, or a
+// crop on record named `cropName`; a name that matches none is returned as `cropName` for the
+// prompt to mention. Weather is for `coords`, else the picked crop's plot; a failed lookup
+// leaves it out rather than failing the chat.
+async function chatContext(farm, { now, cropId, cropName, coords }) {
+  const [crops, plots, todos] = await Promise.all([listCrops(farm), listOwned("plots", farm), listOwned("todos", farm)]);
+  let crop = null;
+  if (cropId) {
+    crop = crops.find(c => c.id === cropId);
+    if (!crop) throw notFound("Crop");
+  } else if (cropName) {
+    crop = crops.find(c => c.name.toLowerCase() === cropName.toLowerCase()) ?? null;
+  }
+  const where = coords?.lat && coords?.lon ? { lat: coords.lat, lon: coords.lon } : cropCoords(crop, plots);
+  const query = where && { ...where, units: "metric", lang: "en" };
+  const [current, forecast] = await Promise.all([
+    query ? weather.current(query).then(r => r.value).catch(() => null) : null,
+    query
+      ? weather.forecast(query).then(r => summarizeForecast(r.value, { crops: crops.map(c => c.name) })).catch(() => null)
+      : null
+  ]);
+  const fitted = fitContext(contextSections({ now, crop, crops, plots, todos, coords: where, current, forecast }), CHAT_CONTEXT_TOKENS);
+  return { ...fitted, crop, coords: where, cropName: crop ? null : cropName };
+}
+
+// Knowledge base passages for a chat message, searched together with the picked crop's name.
+// Voice-only messages (no transcript) retrieve nothing; a failing search is logged and skipped.
+async function retrieve(message, crop) {
+  if (!message) return [];
+  try {
+    return await knowledge.search([message, crop?.name].filter(Boolean).join(" "), KNOWLEDGE_RESULTS);
+  } catch (e) {
+    log.error("Knowledge base search failed", errorFields(e));
+    return [];
+  }
+}
+
+// Cited passages as sent to the client and kept with the reply.
+const sourcesFor = (reply, sources) =>
+  citedSources(reply, sources).map(({ n, docId, title, source, url, heading, text }) => ({
+    n,
+    docId,
+    title,
+    source,
+    url,
+    heading,
+    excerpt: text.length > 300 ? `${text.slice(0, 300)}…` : text
+  }));
+
+// Validates the chat body, loads (or starts) the conversation and returns everything
+// both the plain and the streaming route need to call the model.
+async function prepareChat(req) {
+  requireLlm();
+  const { message, crop, cropId, coords, conversationId, timezone, lang, audio, debug } = validate(ChatSchema, req.body);
+  if (!message && !audio) throw validationError([{ field: "message", message: "is required" }]);
+  if (audio && audio.bytes > VOICE_MAX_BYTES) {
+    throw new HttpError(413, `Voice message is too long (max ${Math.round(VOICE_MAX_BYTES / 1024)} KB)`, { details: { bytes: audio.bytes } });
+  }
+  // Providers that cannot listen answer the browser's transcript instead.
+  const listen = Boolean(audio && llm.acceptsAudio?.(audio.mimeType));
+  if (audio && !listen && !message) {
+    throw new HttpError(422, "This assistant cannot listen to recordings; send a transcript as message", { code: "audio_unsupported" });
+  }
+  const text = message || VOICE_PLACEHOLDER;
+
+  const existing = conversationId ? await findConversation(conversationId, req) : null;
+  let conv = existing || newConversation({ id: makeId(), farmId: req.farm.id, userId: req.user.id, firstMessage: text });
+  // A new message supersedes any unanswered confirmation.
+  const turn = { role: "user", text, ts: Date.now(), ...(audio ? { voice: true } : {}) };
+  conv = { ...conv, pending: null, messages: [...conv.messages, turn] };
+  conv = await compact(conv, CHAT_HISTORY_TOKENS, (previous, turns) => summarizeTurns(req, previous, turns));
+
+  const now = localDateTime(new Date(), timezone || req.farm.timezone || DEFAULT_TIMEZONE);
+  const farmContext = await chatContext(req.farm, { now, cropId, cropName: crop, coords });
+  const passages = passagesPrompt(await retrieve(message, farmContext.crop), KNOWLEDGE_TOKENS);
+  const contextLines = [
+    llmSettings.systemPrompt,
+    "You can read and edit the farmer's crops and tasks and check the weather with the provided tools.",
+    `Current local time: ${now}. Use this format (YYYY-MM-DDTHH:mm) for task times.`,
+    farmContext.cropName ? `Crop: ${farmContext.cropName}` : "",
+    farmContext.text ? `Farm context (from the farm's records and weather service):\n${farmContext.text}` : "",
+    passages.text
+      ? "Reference passages from the farm's knowledge base. Prefer them to general advice where they apply, " +
+        "cite the ones you use as [1], [2] right after the sentence that relies on them, and never cite a passage " +
+        `you did not use:\n${passages.text}`
+      : "",
+    lang ? `Reply in ${languageName(lang)}. Keep product names and units as the farmer would see them on labels.` : "",
+    listen
+      ? `The farmer's last message is a voice recording${lang ? ` (probably ${languageName(lang)})` : ""}.` +
+        (message ? " The text with it is an automatic transcript and may contain mistakes; trust the audio." : "")
+      : ""
+  ].filter(Boolean);
+
+  const messages = buildMessages(conv, CHAT_HISTORY_TOKENS);
+  if (listen) messages[messages.length - 1] = { role: "user", text: message, audio: { mimeType: audio.mimeType, data: audio.data } };
 
-let ai = null;
-if (process.env.GEMINI_API_KEY) {
-  ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
+  const request = { system: contextLines.join("\n"), messages, temperature: llmSettings.temperature };
+  return {
+    conv,
+    isNew: !existing,
+    coords: farmContext.coords,
+    tools: createFarmTools(farmOps(req.farm), { coords: farmContext.coords }),
+    request,
+    sources: passages.sources,
+    // exactly what the model is sent, for auditing answers
+    context: debug
+      ? {
+          system: request.system,
+          messages: withoutAudio(messages),
+          tokens: farmContext.tokens,
+          budget: farmContext.budget,
+          sections: farmContext.sections,
+          coords: farmContext.coords,
+          passages: passages.sources.map(({ n, docId, heading, score }) => ({ n, docId, heading, score }))
+        }
+      : undefined
+  };
 }
 
-app.post("/api/gemini-chat", async (req, res) => {
+// Appends the assistant turn (with any tool calls / pending confirmation) and persists.
+// A paused action keeps the chat's weather location, so the tools resume with the same context.
+async function saveReply({ conv, isNew, coords = null }, { text, toolCalls = [], pending = null }, extra = {}) {
+  const now = Date.now();
+  const message = { role: "assistant", text, ts: now, ...extra };
+  if (toolCalls.length) message.toolCalls = toolCalls;
+  if (pending) message.pendingAction = pendingView(pending);
+  // Voice clips are not persisted; a paused action resumes from the transcript.
+  const kept = pending?.request
+    ? { ...pending, coords, request: { ...pending.request, messages: withoutAudio(pending.request.messages) } }
+    : pending;
+  const next = { ...conv, pending: kept, messages: [...conv.messages, message], updatedAt: now };
+  if (isNew) await store.insert("conversations", next);
+  else await store.update("conversations", next.id, next);
+  return next;
+}
+
+const replyText = ({ text, pending }) => text || (pending ? `Please confirm: ${pending.summary}` : "No reply.");
+
+const chatError = (e) =>
+  e instanceof HttpError ? e : new HttpError(500, "LLM error", { code: "upstream_error", details: e?.message ?? String(e) });
+
+app.post("/api/gemini-chat", authed, chatGuard, async (req, res) => {
+  try {
+    const chat = await prepareChat(req);
+    let out;
+    try {
+      out = await runAssistant({ llm, request: chat.request, tools: chat.tools });
+    } finally {
+      recordLlm(req, out?.usage);
+    }
+    const reply = replyText(out);
+    const sources = sourcesFor(reply, chat.sources);
+    await saveReply(chat, { ...out, text: reply }, sources.length ? { sources } : {});
+    res.json({
+      reply,
+      conversationId: chat.conv.id,
+      toolCalls: out.toolCalls,
+      pendingAction: pendingView(out.pending),
+      sources,
+      context: chat.context
+    });
+  } catch (e) {
+    const err = chatError(e);
+    sendError(res, err.status, err.message, { code: err.code, details: err.details });
+  }
+});
+
+// Approve or decline the destructive action the assistant paused on.
+// Body: { conversationId, actionId, approve }. Responds like /api/gemini-chat.
+app.post("/api/gemini-chat/confirm", authed, chatGuard, async (req, res) => {
   try {
-    if (!ai) {
-      return res.status(500).json({ error: "GEMINI_API_KEY missing in server/.env" });
+    requireLlm();
+    const { conversationId, actionId, approve } = validate(ConfirmSchema, req.body);
+    const conv = await findConversation(conversationId, req);
+    if (!conv.pending?.request || conv.pending.id !== actionId) {
+      throw new HttpError(409, "No such pending action (it may have expired)");
     }
-    const { message = "", crop = "", coords = null, weather = null } = req.body || {};
+    const coords = conv.pending.coords ?? null;
+    const tools = createFarmTools(farmOps(req.farm), { coords });
+    let out;
+    try {
+      out = await resumeAssistant({ llm, pending: conv.pending, approved: approve, tools });
+    } finally {
+      recordLlm(req, out?.usage);
+    }
+    const reply = replyText(out);
+    await saveReply({ conv, isNew: false, coords }, { ...out, text: reply });
+    res.json({ reply, conversationId: conv.id, toolCalls: out.toolCalls, pendingAction: pendingView(out.pending) });
+  } catch (e) {
+    const err = chatError(e);
+    sendError(res, err.status, err.message, { code: err.code, details: err.details });
+  }
+});
 
-    const contextLines = [
-      "You are a helpful farming assistant.",
-      crop ? `Crop: ${crop}` : "",
-      coords?.lat && coords?.lon ? `Coords: ${coords.lat},${coords.lon}` : "",
-      weather ? `Weather: ${JSON.stringify(weather)}` : ""
-    ].filter(Boolean);
+// Same contract as /api/gemini-chat, answered as Server-Sent Events:
+//   event: start    {conversationId, context?}  (context only with debug: true)
+//   event: delta    {text}                      (one per streamed chunk)
+//   event: tool     {name, args, result, status} (after each tool the assistant ran)
+//   event: done     {conversationId, reply, pendingAction, sources}
+//   event: error    {error, code, details}      (ends the stream; no "done" follows)
+// Closing the connection aborts the upstream request; the partial reply is kept in history.
+app.post("/api/gemini-chat/stream", authed, chatGuard, async (req, res) => {
+  let chat;
+  try {
+    chat = await prepareChat(req);
+  } catch (e) {
+    const err = chatError(e);
+    return sendError(res, err.status, err.message, { code: err.code, details: err.details });
+  }
+
+  const controller = new AbortController();
+  let finished = false;
+  res.on("close", () => {
+    if (!finished) controller.abort();
+  });
 
-    const prompt = `${contextLines.join(" | ")}\nUser: ${message}`.trim();
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no" // keep nginx-style proxies from buffering the stream
+  });
+  res.flushHeaders();
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send("start", { conversationId: chat.conv.id, context: chat.context });
 
-    // Fast, cost‑effective model; change if needed
-    const result = await ai.models.generateContent({
-      model: "gemini-2.0-flash",
-      contents: [{ role: "user", parts: [{ text: prompt }] }]
+  let text = "";
+  let out = { toolCalls: [], pending: null };
+  let failed = false;
+  try {
+    out = await runAssistant({
+      llm,
+      request: chat.request,
+      tools: chat.tools,
+      stream: true,
+      signal: controller.signal,
+      onDelta: (piece) => {
+        text += piece;
+        send("delta", { text: piece });
+      },
+      onToolCall: (entry) => {
+        out.toolCalls.push(entry);
+        send("tool", entry);
+      }
     });
+  } catch (e) {
+    if (!controller.signal.aborted) {
+      const err = chatError(e);
+      failed = true;
+      send("error", { error: err.message, code: err.code, details: err.details });
+    }
+  }
+  recordLlm(req, out.usage);
 
-    // Different SDK versions expose text differently; try both
-    const text =
-      (typeof result?.text === "string" && result.text) ||
-      (typeof result?.response?.text === "function" && result.response.text()) ||
-      "No reply.";
-    res.json({ reply: text });
+  const stopped = controller.signal.aborted;
+  finished = true;
+  const reply = replyText({ text, pending: out.pending });
+  const sources = sourcesFor(reply, chat.sources);
+  try {
+    if (text || out.toolCalls.length || out.pending) {
+      await saveReply(chat, { ...out, text: reply }, { ...(stopped ? { stopped: true } : {}), ...(sources.length ? { sources } : {}) });
+    }
   } catch (e) {
-    res.status(500).json({ error: "Gemini error", details: e?.message ?? String(e) });
+    log.error("Failed to save streamed reply", errorFields(e));
+  }
+  if (!stopped) {
+    if (!failed) send("done", { conversationId: chat.conv.id, reply, pendingAction: pendingView(out.pending), sources });
+    res.end();
   }
 });
 
+// =============================
+// Leaf photo diagnosis (vision-capable model; prompt and answer shape in server/diagnosis.js)
+// =============================
+// diagnoses: {id, farmId, userId, cropId, crop, conversationId, issue, category, confidence,
+//             symptoms, actions:[{title,inDays}], notes, todoIds, createdAt}. Photos are not kept.
+
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_MAX_BYTES, files: 1, fields: 10, fieldSize: 8 * 1024 },
+  fileFilter: (_req, file, done) =>
+    IMAGE_TYPES.includes(file.mimetype)
+      ? done(null, true)
+      : done(new HttpError(415, `Photo must be one of ${IMAGE_TYPES.join(", ")}`))
+}).single("photo");
+
+// Runs multer and maps its errors onto the shared error shape.
+const receivePhoto = (req, res, next) =>
+  photoUpload(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return next(err.code === "LIMIT_FILE_SIZE"
+        ? new HttpError(413, `Photo is too large (max ${Math.round(PHOTO_MAX_BYTES / 1024)} KB)`)
+        : badRequest(err.message, { field: err.field }));
+    }
+    next(err);
+  });
+
+const diagnosisView = ({ farmId, userId, ...d }) => d;
+
+// Where the photo was taken: the form's coordinates, else the crop's plot.
+async function photoCoords(fields, crop) {
+  if (fields.lat !== null && fields.lon !== null) return { lat: fields.lat, lon: fields.lon };
+  const plot = crop?.plotId ? await store.get("plots", crop.plotId) : null;
+  return cropCoords(crop, plot ? [plot] : []);
+}
+
+// Multipart: photo (file) + DiagnoseSchema fields. Responds 201
+// { diagnosis, conversationId, reply } and appends the exchange to the chat conversation
+// (a new one unless conversationId is given).
+app.post("/api/diagnose", authed, chatGuard, receivePhoto, wrap(async (req, res) => {
+  requireLlm();
+  if (!req.file) throw validationError([{ field: "photo", message: "is required" }]);
+  const fields = validate(DiagnoseSchema, { ...req.body });
+  if (!llm.acceptsImages?.(req.file.mimetype)) {
+    throw new HttpError(422, "The configured model cannot read photos", { code: "images_unsupported" });
+  }
+
+  const cropRec = fields.cropId ? await findOwned("crops", fields.cropId, req.farm) : null;
+  const crop = cropRec ? [cropRec.name, cropRec.variety].filter(Boolean).join(" ") : fields.crop;
+  const coords = await photoCoords(fields, cropRec);
+  const weatherNow = coords ? await getCurrentWeather(coords).catch(() => null) : null;
+  const question = fields.question || "What is wrong with this plant?";
+
+  let result;
+  try {
+    result = await llm.generate({
+      system: diagnosisPrompt({
+        crop,
+        coords,
+        weather: weatherNow,
+        question: fields.question,
+        language: fields.lang ? languageName(fields.lang) : ""
+      }),
+      messages: [{ role: "user", text: question, image: { mimeType: req.file.mimetype, data: req.file.buffer.toString("base64") } }],
+      temperature: 0.2,
+      responseSchema: DIAGNOSIS_SCHEMA
+    });
+  } catch (e) {
+    throw chatError(e);
+  } finally {
+    recordLlm(req, result?.usage);
+  }
+  let diagnosis;
+  try {
+    diagnosis = parseDiagnosis(result.text);
+  } catch (e) {
+    throw new HttpError(502, "The model did not return a usable diagnosis", { details: e.message });
+  }
+
+  const existing = fields.conversationId ? await findConversation(fields.conversationId, req) : null;
+  const photoText = `📷 ${fields.question || "Leaf photo"}${crop ? ` (${crop})` : ""}`;
+  let conv = existing || newConversation({ id: makeId(), farmId: req.farm.id, userId: req.user.id, firstMessage: photoText });
+  conv = { ...conv, pending: null, messages: [...conv.messages, { role: "user", text: photoText, photo: true, ts: Date.now() }] };
+
+  const rec = await store.insert("diagnoses", {
+    id: makeId(),
+    farmId: req.farm.id,
+    userId: req.user.id,
+    cropId: cropRec?.id ?? null,
+    crop,
+    conversationId: conv.id,
+    ...diagnosis,
+    todoIds: [],
+    createdAt: Date.now()
+  });
+  const reply = diagnosisText(diagnosis);
+  await saveReply({ conv, isNew: !existing }, { text: reply }, { diagnosis: diagnosisView(rec) });
+  res.status(201).json({ diagnosis: diagnosisView(rec), conversationId: conv.id, reply });
+}));
+
+// Newest first; ?cropId= for one crop.
+app.get("/api/diagnoses", authed, wrap(async (req, res) => {
+  const list = (await listOwned("diagnoses", req.farm))
+    .filter(d => !req.query.cropId || d.cropId === req.query.cropId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+  res.json(list.map(diagnosisView));
+}));
+
+// Turns recommended actions into todos for the diagnosed crop (or body.cropId).
+// Body: { actions?: [index], cropId? }. Actions already turned into tasks are skipped.
+// Responds 201 { created: [todo], diagnosis }.
+app.post("/api/diagnoses/:id/todos", authed, wrap(async (req, res) => {
+  const found = await findOwned("diagnoses", req.params.id, req.farm);
+  const { actions, cropId = found.cropId } = validate(FollowUpSchema, req.body ?? {});
+  const done = new Set(found.addedActions ?? []);
+  const indexes = (actions ?? found.actions.map((_, i) => i)).filter(i => !done.has(i) && found.actions[i]);
+  const bodies = followUpTodos(found, { cropId, now: farmNow(req.farm), indexes });
+
+  const created = [];
+  for (const body of bodies) created.push(await createTodo(req.farm, body));
+  const updated = await store.update("diagnoses", found.id, {
+    todoIds: [...found.todoIds, ...created.map(t => t.id)],
+    addedActions: [...done, ...indexes]
+  });
+  res.status(201).json({ created, diagnosis: diagnosisView(updated) });
+}));
+
+// =============================
+// Admin
+// =============================
+const requireAdmin = (req, _res, next) =>
+  next(ADMIN_USERS.includes(req.user.username) ? undefined : new HttpError(403, "Admin only"));
+
+// Calls, tokens and estimated cost per UTC day (newest first) for the last ?days= (1–90,
+// default 30), with the busiest clients of each day. Counters are kept per day and client,
+// so today's numbers are live; the store copy lags by up to 30 seconds.
+app.get("/api/admin/usage", authed, requireAdmin, (req, res) => {
+  const days = Math.min(90, Math.max(1, Number(req.query.days) || 30));
+  const prices = {
+    inputPerMTok: LLM_PRICE_INPUT_PER_MTOK,
+    outputPerMTok: LLM_PRICE_OUTPUT_PER_MTOK,
+    weatherPerCall: WEATHER_PRICE_PER_CALL
+  };
+  res.json({
+    currency: "USD",
+    prices,
+    limits: {
+      chat: { perMinute: CHAT_RATE_PER_MIN, dailyRequests: CHAT_DAILY_REQUESTS, dailyTokens: CHAT_DAILY_TOKENS },
+      weather: { perMinute: WEATHER_RATE_PER_MIN, dailyRequests: WEATHER_DAILY_REQUESTS }
+    },
+    days: usage.report({ days, prices })
+  });
+});
+
+app.use("/api", (_req, _res, next) => next(notFound("Route")));
+app.use(errorHandler);
+
 // =============================
 // Start server
 // =============================
-app.listen(PORT, () => {
-  console.log(`API on http://localhost:${PORT}`);
+scheduler.start();
+
+const server = app.listen(PORT, () => {
+  log.info("API listening", {
+    url: `http://localhost:${server.address().port}`,
+    weatherProvider: weather.provider,
+    reminders: notifier.name,
+    llmProvider: llmSettings.provider,
+    llmModel: llm?.model ?? null,
+    ...(llm ? {} : { llmMissing }),
+    knowledgePassages: knowledge.size,
+    knowledgeDir: KNOWLEDGE_DIR
+  });
 });
@@ -0,0 +1,112 @@
+// server/agronomy.js
+// Derived farm metrics from OpenWeather's 5-day / 3-hour forecast (metric units):
+// daily rainfall, frost risk, growing degree days (GDD) and reference evapotranspiration (ET0).
+
+// Base temperatures (°C) below which the crop does not develop. Keys are lower-case crop names.
+export const GDD_BASE_TEMPS = {
+  wheat: 0,
+  barley: 0,
+  mustard: 5,
+  potato: 7,
+  rice: 10,
+  paddy: 10,
+  maize: 10,
+  corn: 10,
+  soybean: 10,
+  tomato: 10,
+  sorghum: 10,
+  millet: 10,
+  chickpea: 5,
+  groundnut: 10,
+  sugarcane: 12,
+  cotton: 15.5
+};
+export const DEFAULT_GDD_BASE = 10;
+
+export const baseTempFor = (cropName = "") =>
+  GDD_BASE_TEMPS[String(cropName).trim().toLowerCase()] ?? DEFAULT_GDD_BASE;
+
+// Frost risk from the daily minimum: "frost" at or below 0 °C, "risk" up to 2 °C
+// (ground and leaf temperatures run a couple of degrees below air temperature).
+export function frostRisk(tMin) {
+  if (tMin <= 0) return "frost";
+  if (tMin <= 2) return "risk";
+  return "none";
+}
+
+export const growingDegreeDays = (tMin, tMax, base) => Math.max(0, (tMin + tMax) / 2 - base);
+
+// Extraterrestrial radiation Ra in mm/day of evaporation equivalent (FAO-56 eq. 21).
+export function extraterrestrialRadiation(latDeg, dayOfYear) {
+  const phi = (latDeg * Math.PI) / 180;
+  const dr = 1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365);
+  const delta = 0.409 * Math.sin((2 * Math.PI * dayOfYear) / 365 - 1.39);
+  const ws = Math.acos(Math.max(-1, Math.min(1, -Math.tan(phi) * Math.tan(delta))));
+  const raMJ = ((24 * 60) / Math.PI) * 0.082 * dr *
+    (ws * Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.sin(ws));
+  return 0.408 * raMJ;
+}
+
+// Hargreaves reference evapotranspiration (mm/day). Needs only temperatures and latitude,
+// which is all the free forecast gives us.
+export function hargreavesET0(tMin, tMax, latDeg, dayOfYear) {
+  const ra = extraterrestrialRadiation(latDeg, dayOfYear);
+  const tMean = (tMin + tMax) / 2;
+  return Math.max(0, 0.0023 * ra * (tMean + 17.8) * Math.sqrt(Math.max(0, tMax - tMin)));
+}
+
+const dayOfYear = (isoDate) => {
+  const d = new Date(`${isoDate}T00:00:00Z`);
+  return Math.floor((d - Date.UTC(d.getUTCFullYear(), 0, 0)) / 86_400_000);
+};
+
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+// forecast: raw OpenWeather /forecast response. crops: names to report GDD for.
+// Days are grouped by the location's local date (city.timezone is the UTC offset in seconds).
+export function summarizeForecast(forecast, { crops = [] } = {}) {
+  const offset = (forecast.city?.timezone ?? 0) * 1000;
+  const lat = forecast.city?.coord?.lat ?? 0;
+  const byDate = new Map();
+
+  for (const slot of forecast.list ?? []) {
+    const date = new Date(slot.dt * 1000 + offset).toISOString().slice(0, 10);
+    if (!byDate.has(date)) byDate.set(date, []);
+    byDate.get(date).push(slot);
+  }
+
+  const cropBases = [...new Set(crops.map(c => String(c).trim()).filter(Boolean))]
+    .map(name => ({ name, baseTemp: baseTempFor(name) }));
+
+  const days = [...byDate.entries()].map(([date, slots]) => {
+    const temps = slots.flatMap(s => [s.main?.temp_min ?? s.main?.temp, s.main?.temp_max ?? s.main?.temp]);
+    const tMin = Math.min(...temps);
+    const tMax = Math.max(...temps);
+    const rainMm = slots.reduce((n, s) => n + (s.rain?.["3h"] ?? 0) + (s.snow?.["3h"] ?? 0), 0);
+    return {
+      date,
+      slots: slots.length, // < 8 means a partial day at either end of the forecast
+      tMin: round(tMin),
+      tMax: round(tMax),
+      rainMm: round(rainMm),
+      maxPop: Math.max(...slots.map(s => s.pop ?? 0)),
+      maxWindMs: round(Math.max(...slots.map(s => s.wind?.speed ?? 0))),
+      humidity: Math.round(slots.reduce((n, s) => n + (s.main?.humidity ?? 0), 0) / slots.length),
+      frost: frostRisk(tMin),
+      et0Mm: round(hargreavesET0(tMin, tMax, lat, dayOfYear(date))),
+      gdd: Object.fromEntries(cropBases.map(c => [c.name, round(growingDegreeDays(tMin, tMax, c.baseTemp))])),
+      conditions: slots[Math.floor(slots.length / 2)]?.weather?.[0]?.description ?? ""
+    };
+  });
+
+  return {
+    city: forecast.city ? { name: forecast.city.name, coord: forecast.city.coord, timezone: forecast.city.timezone } : null,
+    days,
+    crops: cropBases.map(c => ({ ...c, gddTotal: round(days.reduce((n, d) => n + d.gdd[c.name], 0)) })),
+    totals: {
+      rainMm: round(days.reduce((n, d) => n + d.rainMm, 0)),
+      et0Mm: round(days.reduce((n, d) => n + d.et0Mm, 0)),
+      frostDays: days.filter(d => d.frost !== "none").length
+    }
+  };
+}
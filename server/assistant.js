@@ -0,0 +1,101 @@
+// server/assistant.js
+// Function-calling loop: call the model with tools, run the tools it asks for, feed the
+// results back, repeat until it answers in text. A destructive tool call pauses the loop
+// and returns a `pending` action; resumeAssistant() continues once the farmer decides.
+// Works on provider-neutral messages (server/llm/index.js).
+
+import crypto from "crypto";
+import { toolDeclarations } from "./tools.js";
+
+const MAX_ROUNDS = 5;
+
+async function runTool(tool, args) {
+  try {
+    return { ok: true, result: await tool.run(args ?? {}) };
+  } catch (e) {
+    // Hand validation/not-found errors back to the model so it can correct itself.
+    return { ok: false, result: { error: e?.message ?? String(e), details: e?.details } };
+  }
+}
+
+// Token usage summed over the loop's model calls, with `calls` counting them.
+const addUsage = (a, b) => ({
+  inputTokens: a.inputTokens + (b?.inputTokens ?? 0),
+  outputTokens: a.outputTokens + (b?.outputTokens ?? 0),
+  calls: a.calls + 1
+});
+
+// request: { system, messages, temperature } for the provider; tools: from createFarmTools().
+// Returns { text, toolCalls: [{name,args,result,status}], pending: null | {...}, usage }.
+export async function runAssistant({ llm, request, tools, stream = false, signal, onDelta, onToolCall }) {
+  const messages = [...request.messages];
+  const declarations = toolDeclarations(tools);
+  const toolCalls = [];
+  let usage = { inputTokens: 0, outputTokens: 0, calls: 0 };
+  let text = "";
+
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const req = { ...request, messages, tools: declarations, signal };
+    const turn = stream ? await llm.stream(req, onDelta) : await llm.generate(req);
+    usage = addUsage(usage, turn.usage);
+    text += turn.text;
+    if (!turn.toolCalls.length) return { text, toolCalls, pending: null, usage };
+
+    const calls = turn.toolCalls.map(c => ({ ...c, id: c.id || crypto.randomUUID() }));
+    messages.push({ role: "assistant", text: turn.text, toolCalls: calls });
+    const results = [];
+    let pending = null;
+
+    for (const call of calls) {
+      const tool = tools[call.name];
+      if (!tool) {
+        results.push({ id: call.id, name: call.name, result: { error: `Unknown tool ${call.name}` } });
+        continue;
+      }
+      if (tool.destructive) {
+        if (pending) {
+          results.push({ id: call.id, name: call.name, result: { error: "Only one confirmation at a time; ask again afterwards." } });
+          continue;
+        }
+        pending = { id: crypto.randomUUID(), call, summary: await tool.describe(call.args ?? {}) };
+        continue;
+      }
+      const { ok, result } = await runTool(tool, call.args);
+      const entry = { name: call.name, args: call.args ?? {}, result, status: ok ? "done" : "failed" };
+      toolCalls.push(entry);
+      onToolCall?.(entry);
+      results.push({ id: call.id, name: call.name, result });
+    }
+
+    if (pending) {
+      // Everything needed to continue the loop after confirmation.
+      return { text, toolCalls, usage, pending: { ...pending, request: { ...request, messages }, results } };
+    }
+    messages.push({ role: "tool", toolResults: results });
+  }
+  return { text: text || "I couldn't finish that request.", toolCalls, pending: null, usage };
+}
+
+// Continues a paused loop. approved=false tells the model the farmer declined.
+export async function resumeAssistant({ llm, pending, approved, tools, signal }) {
+  const { call } = pending;
+  let entry;
+  if (!approved) {
+    entry = { name: call.name, args: call.args ?? {}, result: { error: "The farmer declined this action." }, status: "declined" };
+  } else {
+    const { ok, result } = await runTool(tools[call.name], call.args);
+    entry = { name: call.name, args: call.args ?? {}, result, status: ok ? "done" : "failed" };
+  }
+  const request = {
+    ...pending.request,
+    messages: [
+      ...pending.request.messages,
+      { role: "tool", toolResults: [...pending.results, { id: call.id, name: call.name, result: entry.result }] }
+    ]
+  };
+  const next = await runAssistant({ llm, request, tools, signal });
+  return { ...next, toolCalls: [entry, ...next.toolCalls] };
+}
+
+// What the client sees of a pending action.
+export const pendingView = (p) => (p ? { id: p.id, name: p.call.name, args: p.call.args ?? {}, summary: p.summary } : null);
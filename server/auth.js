@@ -0,0 +1,81 @@
+// server/auth.js
+// Password hashing, bearer-token sessions and the middleware that scopes requests to a farm.
+
+import crypto from "crypto";
+import { promisify } from "util";
+import { HttpError } from "./errors.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString("hex")}`;
+}
+
+export async function verifyPassword(password, stored = "") {
+  const [scheme, salt, hex] = stored.split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+  const expected = Buffer.from(hex, "hex");
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Only a hash of a token is stored (sessions, calendar feeds), so a leaked data file cannot be
+// replayed as credentials.
+export const tokenId = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export const randomToken = () => crypto.randomBytes(32).toString("hex");
+
+export async function createSession(store, userId) {
+  const token = randomToken();
+  const now = Date.now();
+  await store.insert("sessions", { id: tokenId(token), userId, createdAt: now, expiresAt: now + SESSION_TTL_MS });
+  return token;
+}
+
+export async function destroySession(store, token) {
+  if (token) await store.remove("sessions", tokenId(token));
+}
+
+export function bearerToken(req) {
+  const header = req.get("authorization") || "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+// Public view of a user record (never expose the password hash).
+export const publicUser = ({ id, username, createdAt }) => ({ id, username, createdAt });
+
+// Resolves the session to req.user, then the active farm (X-Farm-Id header, else the
+// user's first farm) to req.farm. 401 without a valid session, 403 for a farm the
+// user is not a member of.
+export function requireAuth(store) {
+  return async (req, _res, next) => {
+    try {
+      const token = bearerToken(req);
+      const session = token ? await store.get("sessions", tokenId(token)) : null;
+      if (!session || session.expiresAt < Date.now()) {
+        if (session) await store.remove("sessions", session.id);
+        throw new HttpError(401, "Authentication required");
+      }
+      const user = await store.get("users", session.userId);
+      if (!user) throw new HttpError(401, "Authentication required");
+
+      const farms = (await store.list("farms")).filter(f => f.members.includes(user.id));
+      const wanted = req.get("x-farm-id");
+      const farm = wanted ? farms.find(f => f.id === wanted) : farms[0];
+      if (!farm) {
+        throw new HttpError(403, wanted ? "Not a member of this farm" : "No farm for this user");
+      }
+
+      req.user = user;
+      req.farm = farm;
+      req.farms = farms;
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
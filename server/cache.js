@@ -0,0 +1,94 @@
+// server/cache.js
+// Bounded LRU cache with TTL, stale-while-revalidate and request coalescing.
+//
+//   fresh  (age < ttlMs)                 -> served from cache
+//   stale  (age < ttlMs + staleMs)       -> served from cache, refreshed in the background
+//   expired / missing                    -> loaded; concurrent callers share one load
+//   load fails but an entry younger than ttlMs + staleIfErrorMs exists -> that entry is served
+//
+// get() resolves to { value, status: "hit" | "stale" | "miss" | "stale-error", ageMs }.
+
+export function createCache({ maxEntries = 500, ttlMs = 60_000, staleMs = 0, staleIfErrorMs = 0, now = Date.now } = {}) {
+  const entries = new Map(); // key -> { value, ts }; Map order doubles as LRU order
+  const inflight = new Map(); // key -> Promise of the running load
+  const counters = { hits: 0, misses: 0, stale: 0, staleOnError: 0, coalesced: 0, evictions: 0, errors: 0 };
+
+  const touch = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+  };
+
+  const store = (key, value) => {
+    touch(key, { value, ts: now() });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+      counters.evictions++;
+    }
+  };
+
+  const load = (key, loader) => {
+    if (inflight.has(key)) {
+      counters.coalesced++;
+      return inflight.get(key);
+    }
+    const p = (async () => {
+      try {
+        const value = await loader();
+        store(key, value);
+        return value;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, p);
+    return p;
+  };
+
+  return {
+    async get(key, loader) {
+      const entry = entries.get(key);
+      const age = entry ? now() - entry.ts : Infinity;
+
+      if (entry && age < ttlMs) {
+        counters.hits++;
+        touch(key, entry);
+        return { value: entry.value, status: "hit", ageMs: age };
+      }
+      if (entry && age < ttlMs + staleMs) {
+        counters.stale++;
+        touch(key, entry);
+        load(key, loader).catch(() => { counters.errors++; });
+        return { value: entry.value, status: "stale", ageMs: age };
+      }
+
+      counters.misses++;
+      try {
+        return { value: await load(key, loader), status: "miss", ageMs: 0 };
+      } catch (e) {
+        counters.errors++;
+        if (entry && age < ttlMs + staleIfErrorMs) {
+          counters.staleOnError++;
+          return { value: entry.value, status: "stale-error", ageMs: age };
+        }
+        throw e;
+      }
+    },
+
+    // Cached value without loading or touching LRU order (null if absent or expired).
+    peek(key) {
+      const entry = entries.get(key);
+      return entry && now() - entry.ts < ttlMs + staleMs ? entry.value : null;
+    },
+
+    stats() {
+      const lookups = counters.hits + counters.stale + counters.misses;
+      return {
+        size: entries.size,
+        maxEntries,
+        inflight: inflight.size,
+        ...counters,
+        hitRatio: lookups ? (counters.hits + counters.stale) / lookups : 0
+      };
+    }
+  };
+}
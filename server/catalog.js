@@ -0,0 +1,271 @@
+// server/catalog.js
+// Built-in crop templates: growth stages and standard operations, both as day offsets
+// from sowing. Used to derive a crop's current stage / days to harvest and to generate a
+// stage-by-stage task plan. Durations are typical for Indian conditions and medium-duration
+// varieties; the farmer can override `expectedHarvest` per crop.
+//
+// Dates are local calendar dates "YYYY-MM-DD"; plan tasks get OPERATION_TIME on that day.
+
+const OPERATION_TIME = "07:00";
+
+export const CROP_TEMPLATES = {
+  wheat: {
+    name: "Wheat",
+    season: "rabi",
+    durationDays: 120,
+    stages: [
+      { name: "Germination", day: 0 },
+      { name: "Crown root initiation", day: 18 },
+      { name: "Tillering", day: 25 },
+      { name: "Jointing", day: 45 },
+      { name: "Heading", day: 75 },
+      { name: "Grain filling", day: 90 },
+      { name: "Maturity", day: 110 }
+    ],
+    operations: [
+      { day: 0, title: "Sow wheat with basal NPK" },
+      { day: 21, title: "First irrigation (crown root initiation)" },
+      { day: 25, title: "Top-dress nitrogen (first split)" },
+      { day: 30, title: "Weeding" },
+      { day: 45, title: "Irrigate at jointing and top-dress nitrogen" },
+      { day: 65, title: "Irrigate at flowering" },
+      { day: 85, title: "Irrigate at milk stage" },
+      { day: 120, title: "Harvest wheat" }
+    ]
+  },
+  rice: {
+    name: "Rice (transplanted)",
+    aliases: ["paddy"],
+    season: "kharif",
+    durationDays: 130,
+    stages: [
+      { name: "Nursery", day: 0 },
+      { name: "Transplanting", day: 25 },
+      { name: "Tillering", day: 35 },
+      { name: "Panicle initiation", day: 65 },
+      { name: "Flowering", day: 90 },
+      { name: "Grain filling", day: 100 },
+      { name: "Maturity", day: 120 }
+    ],
+    operations: [
+      { day: 0, title: "Sow rice nursery" },
+      { day: 25, title: "Transplant rice seedlings" },
+      { day: 35, title: "Top-dress nitrogen (tillering)" },
+      { day: 40, title: "Weeding" },
+      { day: 65, title: "Top-dress nitrogen (panicle initiation)" },
+      { day: 110, title: "Drain the field" },
+      { day: 130, title: "Harvest rice" }
+    ]
+  },
+  maize: {
+    name: "Maize",
+    aliases: ["corn"],
+    season: "kharif",
+    durationDays: 110,
+    stages: [
+      { name: "Emergence", day: 0 },
+      { name: "Vegetative", day: 10 },
+      { name: "Knee-high", day: 30 },
+      { name: "Tasseling", day: 55 },
+      { name: "Silking", day: 60 },
+      { name: "Grain filling", day: 70 },
+      { name: "Maturity", day: 100 }
+    ],
+    operations: [
+      { day: 0, title: "Sow maize with basal NPK" },
+      { day: 20, title: "Thin and weed" },
+      { day: 30, title: "Top-dress nitrogen (knee-high)" },
+      { day: 50, title: "Irrigate before tasseling" },
+      { day: 55, title: "Top-dress nitrogen (tasseling)" },
+      { day: 75, title: "Irrigate at grain filling" },
+      { day: 110, title: "Harvest maize" }
+    ]
+  },
+  cotton: {
+    name: "Cotton",
+    season: "kharif",
+    durationDays: 170,
+    stages: [
+      { name: "Emergence", day: 0 },
+      { name: "Squaring", day: 40 },
+      { name: "Flowering", day: 65 },
+      { name: "Boll development", day: 95 },
+      { name: "Boll opening", day: 140 }
+    ],
+    operations: [
+      { day: 0, title: "Sow cotton" },
+      { day: 20, title: "Gap filling and thinning" },
+      { day: 30, title: "Weeding and top-dress nitrogen" },
+      { day: 60, title: "Top-dress nitrogen (flowering)" },
+      { day: 70, title: "Scout for bollworm" },
+      { day: 140, title: "First picking" },
+      { day: 170, title: "Final picking" }
+    ]
+  },
+  soybean: {
+    name: "Soybean",
+    season: "kharif",
+    durationDays: 100,
+    stages: [
+      { name: "Emergence", day: 0 },
+      { name: "Vegetative", day: 10 },
+      { name: "Flowering", day: 40 },
+      { name: "Pod development", day: 55 },
+      { name: "Seed filling", day: 70 },
+      { name: "Maturity", day: 90 }
+    ],
+    operations: [
+      { day: 0, title: "Sow soybean (seed treated with Rhizobium)" },
+      { day: 20, title: "Weeding" },
+      { day: 40, title: "Scout for girdle beetle and defoliators" },
+      { day: 70, title: "Irrigate at seed filling if dry" },
+      { day: 100, title: "Harvest soybean" }
+    ]
+  },
+  chickpea: {
+    name: "Chickpea",
+    aliases: ["gram", "chana"],
+    season: "rabi",
+    durationDays: 110,
+    stages: [
+      { name: "Emergence", day: 0 },
+      { name: "Branching", day: 25 },
+      { name: "Flowering", day: 50 },
+      { name: "Pod filling", day: 70 },
+      { name: "Maturity", day: 100 }
+    ],
+    operations: [
+      { day: 0, title: "Sow chickpea" },
+      { day: 30, title: "Nip growing tips and weed" },
+      { day: 45, title: "Irrigate before flowering" },
+      { day: 55, title: "Scout for pod borer" },
+      { day: 110, title: "Harvest chickpea" }
+    ]
+  },
+  mustard: {
+    name: "Mustard",
+    season: "rabi",
+    durationDays: 120,
+    stages: [
+      { name: "Emergence", day: 0 },
+      { name: "Rosette", day: 20 },
+      { name: "Flowering", day: 45 },
+      { name: "Siliqua formation", day: 70 },
+      { name: "Maturity", day: 110 }
+    ],
+    operations: [
+      { day: 0, title: "Sow mustard" },
+      { day: 15, title: "Thin seedlings" },
+      { day: 30, title: "First irrigation and top-dress nitrogen" },
+      { day: 50, title: "Scout for aphids" },
+      { day: 65, title: "Irrigate at siliqua formation" },
+      { day: 120, title: "Harvest mustard" }
+    ]
+  },
+  tomato: {
+    name: "Tomato (transplanted)",
+    season: "any",
+    durationDays: 120,
+    stages: [
+      { name: "Nursery", day: 0 },
+      { name: "Transplanting", day: 28 },
+      { name: "Vegetative", day: 35 },
+      { name: "Flowering", day: 55 },
+      { name: "Fruiting", day: 75 },
+      { name: "Harvesting", day: 90 }
+    ],
+    operations: [
+      { day: 0, title: "Sow tomato nursery" },
+      { day: 28, title: "Transplant tomato seedlings" },
+      { day: 40, title: "Stake plants and top-dress nitrogen" },
+      { day: 55, title: "Scout for fruit borer and leaf curl" },
+      { day: 90, title: "First tomato picking" },
+      { day: 120, title: "Final tomato picking" }
+    ]
+  },
+  potato: {
+    name: "Potato",
+    season: "rabi",
+    durationDays: 100,
+    stages: [
+      { name: "Sprouting", day: 0 },
+      { name: "Vegetative", day: 15 },
+      { name: "Tuber initiation", day: 35 },
+      { name: "Tuber bulking", day: 50 },
+      { name: "Maturity", day: 85 }
+    ],
+    operations: [
+      { day: 0, title: "Plant potato seed tubers" },
+      { day: 25, title: "Earthing up and top-dress nitrogen" },
+      { day: 35, title: "Irrigate at tuber initiation" },
+      { day: 45, title: "Scout for late blight" },
+      { day: 90, title: "Cut haulms" },
+      { day: 100, title: "Harvest potato" }
+    ]
+  }
+};
+
+// Template key for a crop name ("Paddy" -> "rice"), or null.
+export function findTemplate(name) {
+  const n = String(name ?? "").trim().toLowerCase();
+  if (!n) return null;
+  for (const [key, t] of Object.entries(CROP_TEMPLATES)) {
+    if (key === n || t.aliases?.includes(n)) return key;
+  }
+  return null;
+}
+
+export const templateList = () =>
+  Object.entries(CROP_TEMPLATES).map(([key, t]) => ({ key, ...t }));
+
+// --- calendar-date arithmetic on "YYYY-MM-DD" (UTC noon avoids DST edges) ---
+
+export const addDays = (date, days) => {
+  const d = new Date(`${date}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+};
+
+export const daysBetween = (from, to) =>
+  Math.round((Date.parse(`${to}T12:00:00Z`) - Date.parse(`${from}T12:00:00Z`)) / 86_400_000);
+
+// Default harvest date for a crop being sown from a template.
+export function expectedHarvestFor(templateKey, sowingDate) {
+  const t = CROP_TEMPLATES[templateKey];
+  return t && sowingDate ? addDays(sowingDate, t.durationDays) : null;
+}
+
+// Where a crop is on `today` ("YYYY-MM-DD", farm-local), or null when it was never sown.
+// stage is null before sowing and "Harvest due" once the expected harvest has passed.
+export function lifecycle(crop, today) {
+  if (!crop.sowingDate) return null;
+  const t = CROP_TEMPLATES[crop.template];
+  const day = daysBetween(crop.sowingDate, today);
+  const harvest = crop.expectedHarvest || expectedHarvestFor(crop.template, crop.sowingDate);
+  const daysToHarvest = harvest ? daysBetween(today, harvest) : null;
+
+  let stage = null;
+  if (day >= 0 && t) stage = [...t.stages].reverse().find(s => day >= s.day)?.name ?? null;
+  if (daysToHarvest !== null && daysToHarvest < 0) stage = "Harvest due";
+
+  const total = harvest ? daysBetween(crop.sowingDate, harvest) : null;
+  return {
+    day,
+    stage,
+    daysToHarvest,
+    progress: total > 0 ? Math.min(1, Math.max(0, day / total)) : null
+  };
+}
+
+// Todo bodies (for createTodo) for a crop's template operations. Operations are stretched
+// proportionally when the farmer's expected harvest differs from the template duration.
+// With `from` ("YYYY-MM-DD"), operations before that date are skipped.
+export function planFor(crop, { from } = {}) {
+  const t = CROP_TEMPLATES[crop.template];
+  if (!t || !crop.sowingDate) return [];
+  const span = crop.expectedHarvest ? daysBetween(crop.sowingDate, crop.expectedHarvest) : t.durationDays;
+  const scale = span > 0 ? span / t.durationDays : 1;
+  return t.operations
+    .map(op => ({ title: op.title, cropId: crop.id, when: `${addDays(crop.sowingDate, Math.round(op.day * scale))}T${OPERATION_TIME}` }))
+    .filter(todo => !from || todo.when.slice(0, 10) >= from);
+}
@@ -0,0 +1,87 @@
+// server/changes.js
+// Change feed for open dashboards. watchStore() wraps the store so every insert/update/remove
+// on the watched collections — from routes, the assistant's tools or the scheduler — is
+// published to the owning farm's subscribers; GET /api/changes streams them as SSE.
+//
+// Event: { type: "created" | "updated" | "deleted", collection, id, record? }
+// (`record` is the full record after the change, absent for "deleted").
+
+import { log, errorFields } from "./log.js";
+
+const HEARTBEAT_MS = 25_000;
+
+export function createChangeFeed() {
+  const subscribers = new Map(); // farmId -> Set<send>
+
+  function publish(farmId, event) {
+    for (const send of subscribers.get(farmId) ?? []) send(event);
+  }
+
+  // Streams the farm's changes to `res` until the client goes away.
+  function stream(farmId, req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    const send = (event) => res.write(`event: change\ndata: ${JSON.stringify(event)}\n\n`);
+    const set = subscribers.get(farmId) ?? new Set();
+    subscribers.set(farmId, set);
+    set.add(send);
+    res.write(`event: ready\ndata: {}\n\n`);
+
+    // Comment lines keep proxies from timing out an idle stream.
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      set.delete(send);
+      if (!set.size) subscribers.delete(farmId);
+    });
+  }
+
+  const stats = () => ({
+    farms: subscribers.size,
+    clients: [...subscribers.values()].reduce((n, s) => n + s.size, 0)
+  });
+
+  return { publish, stream, stats };
+}
+
+// Returns a store that publishes changes to `collections` through `feed`.
+// `view(collection, record)` (may be async) shapes records before they go out.
+export function watchStore(store, feed, { collections, view = (_name, rec) => rec }) {
+  const watched = new Set(collections);
+  const emit = async (name, type, rec) => {
+    if (!rec?.farmId) return;
+    try {
+      const event = { type, collection: name, id: rec.id };
+      if (type !== "deleted") event.record = await view(name, rec);
+      feed.publish(rec.farmId, event);
+    } catch (e) {
+      log.error("Change feed publish failed", errorFields(e));
+    }
+  };
+
+  return {
+    ...store,
+    async insert(name, record) {
+      const rec = await store.insert(name, record);
+      if (watched.has(name)) await emit(name, "created", rec);
+      return rec;
+    },
+    async update(name, id, patch) {
+      const rec = await store.update(name, id, patch);
+      if (watched.has(name)) await emit(name, "updated", rec);
+      return rec;
+    },
+    async remove(name, id) {
+      const before = watched.has(name) ? await store.get(name, id) : null;
+      const out = await store.remove(name, id);
+      if (before) await emit(name, "deleted", before);
+      return out;
+    }
+  };
+}
@@ -0,0 +1,168 @@
+// server/context.js
+// Farm context for the chat prompt, assembled by the server from its own records and the
+// weather cache: the crop the farmer picked, the weather now and for the next days, overdue
+// and upcoming tasks, and the rest of the crop list.
+//
+// The context is size-bounded. Sections are filled in priority order, line by line, until the
+// token budget is spent; a section that only partly fits ends with "… and N more", and one
+// whose heading no longer fits is left out. The report returned alongside the text says what
+// was kept, so debug mode can show exactly what the model was told.
+
+import { estimateTokens } from "./conversations.js";
+
+const UPCOMING_DAYS = 7;
+const FORECAST_DAYS = 5;
+
+const round = (n) => (typeof n === "number" ? Math.round(n * 10) / 10 : n);
+
+const cropLabel = (c) => [c.name, c.variety].filter(Boolean).join(" ");
+
+function stageText(lc) {
+  if (!lc) return "";
+  if (lc.day < 0) return `sowing in ${-lc.day} days`;
+  const parts = [`day ${lc.day}`];
+  if (lc.daysToHarvest != null && lc.daysToHarvest <= 0) parts.push("harvest due");
+  else {
+    if (lc.stage) parts.push(`stage ${lc.stage}`);
+    if (lc.daysToHarvest != null) parts.push(`harvest in ${lc.daysToHarvest} days`);
+  }
+  return parts.join(", ");
+}
+
+function cropLine(c, plots) {
+  const plot = plots.get(c.plotId);
+  return [
+    cropLabel(c),
+    plot ? `plot ${plot.name}` : "",
+    c.areaAcres ? `${round(c.areaAcres)} acres` : "",
+    c.sowingDate ? `sown ${c.sowingDate}` : "not sown yet",
+    stageText(c.lifecycle)
+  ].filter(Boolean).join("; ");
+}
+
+const todoLine = (t, crops) => {
+  const crop = crops.get(t.cropId);
+  return `${t.when}: ${t.title}${crop ? ` (${cropLabel(crop)})` : ""}`;
+};
+
+// OpenWeather "current" payload -> one line.
+function currentLine(w) {
+  if (!w?.main) return "";
+  return [
+    w.name,
+    w.weather?.[0]?.description,
+    `${round(w.main.temp)}°C`,
+    `humidity ${w.main.humidity}%`,
+    w.wind?.speed != null ? `wind ${round(w.wind.speed)} m/s` : "",
+    w.rain?.["1h"] ? `rain ${w.rain["1h"]} mm in the last hour` : ""
+  ].filter(Boolean).join(", ");
+}
+
+// summarizeForecast() day -> one line.
+const forecastLine = (d) =>
+  [
+    `${d.date}: ${round(d.tMin)}–${round(d.tMax)}°C`,
+    `rain ${round(d.rainMm)} mm (${Math.round((d.maxPop ?? 0) * 100)}% chance)`,
+    `wind up to ${round(d.maxWindMs)} m/s`,
+    d.frost && d.frost !== "none" ? `frost ${d.frost}` : "",
+    d.conditions
+  ].filter(Boolean).join(", ");
+
+// Sections in priority order: { name, heading, lines }. Sections without lines are skipped;
+// `empty` (when given) is said instead, so the model knows the list is empty rather than missing.
+//   now       farm-local "YYYY-MM-DDTHH:mm"
+//   crop      the crop the farmer picked (with lifecycle), or null
+//   crops     every crop of the farm (with lifecycle)
+//   plots     the farm's plots
+//   todos     the farm's todos
+//   coords    { lat, lon } the weather is for, or null
+//   current   OpenWeather current payload, or null when unavailable
+//   forecast  summarizeForecast() result, or null when unavailable
+export function contextSections({ now, crop = null, crops = [], plots = [], todos = [], coords = null, current = null, forecast = null }) {
+  const plotsById = new Map(plots.map((p) => [p.id, p]));
+  const cropsById = new Map(crops.map((c) => [c.id, c]));
+  const horizon = new Date(Date.parse(`${now}:00Z`) + UPCOMING_DAYS * 86_400_000).toISOString().slice(0, 16);
+  const open = todos.filter((t) => !t.done && t.when).sort((a, b) => a.when.localeCompare(b.when));
+  // The picked crop's tasks come first within each list.
+  const mineFirst = (list) => (crop ? [...list.filter((t) => t.cropId === crop.id), ...list.filter((t) => t.cropId !== crop.id)] : list);
+  const place = coords ? ` at ${coords.lat},${coords.lon}` : "";
+
+  return [
+    {
+      name: "crop",
+      heading: "Crop the farmer is asking about:",
+      lines: crop ? [cropLine(crop, plotsById)] : []
+    },
+    {
+      name: "weather",
+      heading: `Weather now${place}:`,
+      lines: [currentLine(current)].filter(Boolean),
+      empty: coords ? "unavailable" : "location not known"
+    },
+    {
+      name: "overdue",
+      heading: "Overdue tasks:",
+      lines: mineFirst(open.filter((t) => t.when < now)).map((t) => todoLine(t, cropsById)),
+      empty: "none"
+    },
+    {
+      name: "upcoming",
+      heading: `Tasks in the next ${UPCOMING_DAYS} days:`,
+      lines: mineFirst(open.filter((t) => t.when >= now && t.when <= horizon)).map((t) => todoLine(t, cropsById)),
+      empty: "none"
+    },
+    {
+      name: "forecast",
+      heading: `Forecast${place}:`,
+      lines: (forecast?.days ?? []).slice(0, FORECAST_DAYS).map(forecastLine),
+      empty: coords ? "unavailable" : undefined
+    },
+    {
+      name: "crops",
+      heading: "All crops on the farm:",
+      lines: crops.map((c) => cropLine(c, plotsById)),
+      empty: "none recorded"
+    }
+  ];
+}
+
+// Fits sections into `budget` tokens. Returns { text, tokens, budget, sections } where each
+// section reports { name, lines (kept), omitted (left out), tokens }; sections with nothing to
+// say are not reported.
+export function fitContext(sections, budget) {
+  const blocks = [];
+  const report = [];
+  let used = 0;
+  for (const s of sections) {
+    if (!s.lines.length && !s.empty) continue;
+    const head = s.lines.length ? s.heading : `${s.heading} ${s.empty}`;
+    const headCost = estimateTokens(head) + 1;
+    // leave room for the "… and N more" line, added when not every line fits
+    const reserve = s.lines.length ? 6 : 0;
+    if (used + headCost + reserve > budget) {
+      report.push({ name: s.name, lines: 0, omitted: s.lines.length, tokens: 0 });
+      continue;
+    }
+    const kept = [head];
+    let cost = headCost;
+    let count = 0;
+    for (const line of s.lines) {
+      const lineCost = estimateTokens(`- ${line}`) + 1;
+      const last = count === s.lines.length - 1;
+      if (used + cost + lineCost + (last ? 0 : reserve) > budget) break;
+      kept.push(`- ${line}`);
+      cost += lineCost;
+      count++;
+    }
+    if (count < s.lines.length) {
+      const more = `- … and ${s.lines.length - count} more`;
+      kept.push(more);
+      cost += estimateTokens(more) + 1;
+    }
+    blocks.push(kept.join("\n"));
+    report.push({ name: s.name, lines: count, omitted: s.lines.length - count, tokens: cost });
+    used += cost;
+  }
+  const text = blocks.join("\n");
+  return { text, tokens: estimateTokens(text), budget, sections: report };
+}
@@ -0,0 +1,67 @@
+// server/conversations.js
+// Chat history for /api/gemini-chat. A conversation keeps every message (so the UI can
+// reload the thread) plus a rolling `summary` of the oldest turns; only the summary and
+// the most recent turns that fit the token budget are sent to the model.
+//
+// conversations: {id,farmId,userId,title,messages:[{role,text,ts}],summary,summarizedCount,createdAt,updatedAt}
+
+// Rough heuristic (~4 characters per token) — good enough for budgeting, no tokenizer needed.
+export const estimateTokens = (text = "") => Math.ceil(String(text).length / 4);
+
+export function newConversation({ id, farmId, userId, firstMessage }) {
+  const now = Date.now();
+  const title = String(firstMessage || "New conversation").replace(/\s+/g, " ").trim().slice(0, 60);
+  return { id, farmId, userId, title, messages: [], summary: "", summarizedCount: 0, createdAt: now, updatedAt: now };
+}
+
+export const summaryView = ({ id, title, messages, createdAt, updatedAt }) =>
+  ({ id, title, messageCount: messages.length, createdAt, updatedAt });
+
+// Walk back from the newest unsummarized message until the budget is spent.
+// The newest message is always kept, even if it alone exceeds the budget.
+function recentWindow(conv, budget) {
+  const pending = conv.messages.slice(conv.summarizedCount);
+  let used = estimateTokens(conv.summary);
+  let start = pending.length;
+  while (start > 0) {
+    const cost = estimateTokens(pending[start - 1].text);
+    if (start < pending.length && used + cost > budget) break;
+    used += cost;
+    start--;
+  }
+  return { pending, start };
+}
+
+// Provider-neutral history (see server/llm/index.js): the summary (if any) as an opening
+// exchange, then the window. Turns must alternate starting with "user", so a leading
+// assistant turn in the window is dropped.
+export function buildMessages(conv, budget) {
+  const { pending, start } = recentWindow(conv, budget);
+  const messages = [];
+  if (conv.summary) {
+    messages.push({ role: "user", text: `Summary of our earlier conversation:\n${conv.summary}` });
+    messages.push({ role: "assistant", text: "Understood, I'll keep that in mind." });
+  }
+  const turns = pending.slice(start);
+  if (turns[0]?.role === "assistant") turns.shift();
+  for (const m of turns) messages.push({ role: m.role, text: m.text });
+  return messages;
+}
+
+// Fold messages that no longer fit the budget into `summary`. `summarize(previousSummary, messages)`
+// returns the new summary text; if it throws, the old turns are simply truncated (left out of
+// the window) and summarization is retried on the next turn.
+export async function compact(conv, budget, summarize) {
+  const { pending, start } = recentWindow(conv, budget);
+  if (start === 0) return conv;
+  const overflow = pending.slice(0, start);
+  try {
+    const summary = await summarize(conv.summary, overflow);
+    return { ...conv, summary, summarizedCount: conv.summarizedCount + overflow.length };
+  } catch {
+    return conv;
+  }
+}
+
+export const transcript = (messages) =>
+  messages.map(m => `${m.role === "assistant" ? "Assistant" : "Farmer"}: ${m.text}`).join("\n");
@@ -0,0 +1,118 @@
+// server/diagnosis.js
+// Plant health diagnosis from a leaf photo: the prompt sent with the image, the JSON shape the
+// model must answer in, and normalization of that answer into a stored diagnosis.
+//
+// Diagnosis: { issue, category, confidence (0..1), symptoms: [string],
+//              actions: [{ title, inDays }], notes }
+// `inDays` is when the action should happen, in days from today (0 = today).
+
+import { addDays } from "./catalog.js";
+
+export const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/heic", "image/heif"];
+
+export const CATEGORIES = ["disease", "pest", "nutrient", "water", "weather", "healthy", "unclear", "other"];
+
+const MAX_ACTIONS = 6;
+const ACTION_TIME = "07:00";
+
+// JSON Schema for providers that support constrained output.
+export const DIAGNOSIS_SCHEMA = {
+  type: "object",
+  properties: {
+    issue: { type: "string", description: "Most likely problem, e.g. 'Early blight (Alternaria solani)'" },
+    category: { type: "string", enum: CATEGORIES },
+    confidence: { type: "number", description: "0 to 1" },
+    symptoms: { type: "array", items: { type: "string" } },
+    actions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string", description: "Short imperative task, e.g. 'Spray mancozeb 2.5 g/L'" },
+          inDays: { type: "integer", description: "Days from today" }
+        },
+        required: ["title", "inDays"]
+      }
+    },
+    notes: { type: "string" }
+  },
+  required: ["issue", "category", "confidence", "actions"]
+};
+
+// System prompt for one photo. `weather` is the provider's current-conditions payload (or null).
+export function diagnosisPrompt({ crop, coords, weather, question, language }) {
+  const w = weather?.main
+    ? `${Math.round(weather.main.temp)}°C, humidity ${weather.main.humidity}%, ${weather.weather?.[0]?.description ?? ""}`.trim()
+    : "";
+  return [
+    "You are a plant pathologist helping a smallholder farmer. Diagnose the plant problem shown in the photo.",
+    "Answer only with JSON matching this shape:",
+    JSON.stringify({
+      issue: "string",
+      category: CATEGORIES.join(" | "),
+      confidence: "0..1",
+      symptoms: ["string"],
+      actions: [{ title: "string", inDays: 0 }],
+      notes: "string"
+    }),
+    `Give at most ${MAX_ACTIONS} practical actions, most urgent first, with locally available products and doses.`,
+    "If the photo is not a plant or is too unclear, use category \"unclear\", a low confidence and ask for a better photo in notes.",
+    crop ? `Crop: ${crop}` : "Crop: unknown",
+    coords ? `Location: ${coords.lat},${coords.lon}` : "",
+    w ? `Current weather: ${w}` : "",
+    question ? `Farmer's note: ${question}` : "",
+    language ? `Write issue, symptoms, action titles and notes in ${language}; keep the JSON keys and category in English.` : ""
+  ].filter(Boolean).join("\n");
+}
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+
+// Model text -> diagnosis. Tolerates code fences and prose around the JSON object and fills
+// gaps with safe defaults; throws Error when there is no JSON object at all.
+export function parseDiagnosis(text) {
+  const raw = String(text ?? "");
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start === -1 || end <= start) throw new Error("model did not return a JSON diagnosis");
+  const data = JSON.parse(raw.slice(start, end + 1));
+
+  let confidence = Number(data.confidence);
+  if (confidence > 1 && confidence <= 100) confidence /= 100; // "85" meaning 85 %
+  return {
+    issue: String(data.issue ?? "").trim().slice(0, 200) || "Unknown",
+    category: CATEGORIES.includes(data.category) ? data.category : "other",
+    confidence: Number.isFinite(confidence) ? Number(clamp01(confidence).toFixed(2)) : 0,
+    symptoms: (Array.isArray(data.symptoms) ? data.symptoms : [])
+      .map((s) => String(s).trim().slice(0, 200))
+      .filter(Boolean)
+      .slice(0, 8),
+    actions: (Array.isArray(data.actions) ? data.actions : [])
+      .map((a) => ({
+        title: String(a?.title ?? a ?? "").trim().slice(0, 200),
+        inDays: Number.isInteger(a?.inDays) ? Math.min(60, Math.max(0, a.inDays)) : 0
+      }))
+      .filter((a) => a.title)
+      .slice(0, MAX_ACTIONS),
+    notes: String(data.notes ?? "").trim().slice(0, 1000)
+  };
+}
+
+// One-paragraph text version for the chat history.
+export function diagnosisText(d) {
+  const lines = [`${d.issue} (${Math.round(d.confidence * 100)}% confidence)`];
+  if (d.symptoms.length) lines.push(`Signs: ${d.symptoms.join("; ")}`);
+  d.actions.forEach((a, i) => lines.push(`${i + 1}. ${a.title}${a.inDays ? ` (in ${a.inDays} d)` : ""}`));
+  if (d.notes) lines.push(d.notes);
+  return lines.join("\n");
+}
+
+// Todo bodies (for createTodo) for the chosen actions (indexes into d.actions; all when omitted).
+// `now` is the farm-local "YYYY-MM-DDTHH:mm"; an action for today asked for after ACTION_TIME is
+// due now rather than in the past.
+export function followUpTodos(d, { cropId, now, indexes }) {
+  const picked = indexes ? indexes.map((i) => d.actions[i]).filter(Boolean) : d.actions;
+  return picked.map((a) => {
+    const when = `${addDays(now.slice(0, 10), a.inDays)}T${ACTION_TIME}`;
+    return { title: a.title, cropId, when: when < now ? now : when };
+  });
+}
@@ -0,0 +1,63 @@
+// server/errors.js
+// One JSON error shape for every route:
+//   { error: "<human message>", code: "<machine code>", details?: <field errors | upstream payload | string> }
+
+import { log, errorFields } from "./log.js";
+
+export class HttpError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code || defaultCode(status);
+    this.details = details;
+  }
+}
+
+function defaultCode(status) {
+  switch (status) {
+    case 400: return "bad_request";
+    case 401: return "unauthorized";
+    case 403: return "forbidden";
+    case 404: return "not_found";
+    case 409: return "conflict";
+    case 413: return "payload_too_large";
+    case 415: return "unsupported_media_type";
+    case 429: return "rate_limited";
+    case 502: return "upstream_error";
+    default: return status >= 500 ? "internal_error" : "error";
+  }
+}
+
+export const badRequest = (message, details) => new HttpError(400, message, { details });
+// details: [{ field, message }]
+export const validationError = (details) =>
+  new HttpError(400, "Validation failed", { code: "validation_failed", details });
+export const notFound = (what = "Record") => new HttpError(404, `${what} not found`);
+
+// Lets async route handlers throw; Express 4 does not forward rejected promises on its own.
+export const wrap = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+export function sendError(res, status, message, { code, details } = {}) {
+  const body = { error: message, code: code || defaultCode(status) };
+  if (details !== undefined) body.details = details;
+  return res.status(status).json(body);
+}
+
+// Final error middleware (Express recognizes it by its four parameters). Unknown errors become
+// 500 with their message as details.
+export function errorHandler(err, _req, res, _next) {
+  if (res.headersSent) return res.end();
+  if (err instanceof HttpError) {
+    return sendError(res, err.status, err.message, { code: err.code, details: err.details });
+  }
+  // body-parser failures (malformed JSON, payload too large) carry their own status
+  if (err?.type === "entity.parse.failed") {
+    return sendError(res, 400, "Malformed JSON body", { code: "invalid_json" });
+  }
+  if (err?.status >= 400 && err.status < 500) {
+    return sendError(res, err.status, err.message);
+  }
+  log.error("Unhandled error", { ...errorFields(err), stack: err?.stack });
+  sendError(res, 500, "Internal error", { details: err?.message ?? String(err) });
+}
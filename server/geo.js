@@ -0,0 +1,96 @@
+// server/geo.js
+// Plot geometry: GeoJSON Polygon boundaries, their centroid and area.
+// Coordinates are GeoJSON order [lon, lat] in degrees (WGS84).
+
+const EARTH_RADIUS_M = 6_378_137;
+export const SQ_M_PER_ACRE = 4046.8564224;
+export const SQ_M_PER_HECTARE = 10_000;
+
+const rad = (d) => (d * Math.PI) / 180;
+
+const isPosition = (p) =>
+  Array.isArray(p) && p.length >= 2 &&
+  Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+  Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+
+// Accepts a Polygon geometry or a Feature wrapping one and returns the bare Polygon
+// ({type, coordinates}) with each ring closed. Throws Error(message) for anything else
+// (used as a validation `parse` hook).
+export function parseBoundary(input) {
+  const geom = input?.type === "Feature" ? input.geometry : input;
+  if (geom?.type !== "Polygon" || !Array.isArray(geom.coordinates) || !geom.coordinates.length) {
+    throw new Error("must be a GeoJSON Polygon (or a Feature with one)");
+  }
+  const rings = geom.coordinates.map((ring, i) => {
+    if (!Array.isArray(ring) || !ring.every(isPosition)) {
+      throw new Error(`ring ${i} must be a list of [lon, lat] positions`);
+    }
+    const pts = ring.map(p => [p[0], p[1]]);
+    const [first, last] = [pts[0], pts[pts.length - 1]];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) pts.push([...first]);
+    if (pts.length < 4) throw new Error(`ring ${i} needs at least 3 distinct positions`);
+    return pts;
+  });
+  return { type: "Polygon", coordinates: rings };
+}
+
+// Area of a closed ring on the sphere in m² (signed; Chamberlain & Duquette 2007,
+// the same approximation turf and OpenLayers use).
+function ringArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    sum += rad(lon2 - lon1) * (2 + Math.sin(rad(lat1)) + Math.sin(rad(lat2)));
+  }
+  return (sum * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2;
+}
+
+// Outer ring minus holes, in m².
+export function polygonArea(polygon) {
+  const [outer, ...holes] = polygon.coordinates;
+  return Math.abs(ringArea(outer)) - holes.reduce((s, h) => s + Math.abs(ringArea(h)), 0);
+}
+
+// Area-weighted centroid of the outer ring, computed in a local equirectangular frame
+// (plots are small enough that this is exact for practical purposes). Returns {lat, lon}.
+export function polygonCentroid(polygon) {
+  const ring = polygon.coordinates[0];
+  const lat0 = ring.reduce((s, p) => s + p[1], 0) / ring.length;
+  const k = Math.cos(rad(lat0));
+  let a = 0;
+  let cx = 0;
+  let cy = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const x1 = ring[i][0] * k, y1 = ring[i][1];
+    const x2 = ring[i + 1][0] * k, y2 = ring[i + 1][1];
+    const f = x1 * y2 - x2 * y1;
+    a += f;
+    cx += (x1 + x2) * f;
+    cy += (y1 + y2) * f;
+  }
+  if (Math.abs(a) < 1e-18) {
+    // Degenerate (zero-area) ring: fall back to the vertex average.
+    const pts = ring.slice(0, -1);
+    return {
+      lat: pts.reduce((s, p) => s + p[1], 0) / pts.length,
+      lon: pts.reduce((s, p) => s + p[0], 0) / pts.length
+    };
+  }
+  return { lat: cy / (3 * a), lon: cx / (3 * a * k) };
+}
+
+const round = (n, digits) => Number(n.toFixed(digits));
+
+// Derived fields stored alongside a plot: centroid (unless given) and area.
+export function plotGeometry({ lat, lon, boundary }) {
+  if (!boundary) return { lat, lon, areaAcres: null, areaHectares: null };
+  const c = polygonCentroid(boundary);
+  const m2 = polygonArea(boundary);
+  return {
+    lat: lat ?? round(c.lat, 6),
+    lon: lon ?? round(c.lon, 6),
+    areaAcres: round(m2 / SQ_M_PER_ACRE, 3),
+    areaHectares: round(m2 / SQ_M_PER_HECTARE, 3)
+  };
+}
@@ -0,0 +1,84 @@
+// server/ical.js
+// iCalendar (RFC 5545) feed of a farm's scheduled todos, for subscribing from a phone calendar.
+// Each todo with a `when` becomes a one-hour event titled with the task and its crop, with an
+// alarm at the todo's reminder lead. Recurring series are not sent as RRULEs: their upcoming
+// occurrences are already materialized as separate todos by the scheduler.
+//
+// `when` is farm-local wall-clock time; events carry it converted to UTC so every calendar app
+// places them correctly without needing a VTIMEZONE definition.
+
+import { localDateTime } from "./tools.js";
+
+const PRODID = "-//Farmer Bot//Tasks//EN";
+const EVENT_MINUTES = 60;
+const PAST_DAYS = 60; // older tasks are left out of the feed
+
+// "YYYY-MM-DDTHH:mm" in `timeZone` -> epoch ms. Corrects the first guess by the zone's offset
+// at that instant, then once more in case the offset changed in between (DST).
+export function zonedToUtc(local, timeZone) {
+  const asUtc = Date.parse(`${local}:00Z`);
+  const offsetAt = (ms) => Date.parse(`${localDateTime(new Date(ms), timeZone)}:00Z`) - ms;
+  const first = asUtc - offsetAt(asUtc);
+  return asUtc - offsetAt(first);
+}
+
+const stamp = (ms) => new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+const escapeText = (s) => String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Content lines are folded at 75 octets (continuation lines start with a space).
+function fold(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let start = 0;
+  while (start < bytes.length) {
+    let end = Math.min(start + (parts.length ? 74 : 75), bytes.length);
+    while (end < bytes.length && (bytes[end] & 0xc0) === 0x80) end--; // don't split a UTF-8 sequence
+    parts.push(bytes.subarray(start, end).toString("utf8"));
+    start = end;
+  }
+  return parts.join("\r\n ");
+}
+
+// Calendar text for `todos` (the farm's list); `defaultLeadMin` is the server's reminder lead.
+export function todosCalendar({ farm, todos, crops, timeZone, defaultLeadMin = 60, host = "farmbot", now = new Date() }) {
+  const cropNames = new Map(crops.map((c) => [c.id, c.name]));
+  const since = now.getTime() - PAST_DAYS * 24 * 60 * 60 * 1000;
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(`${farm.name} tasks`)}`,
+    `X-WR-TIMEZONE:${timeZone}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT1H",
+    "X-PUBLISHED-TTL:PT1H"
+  ];
+
+  for (const todo of todos) {
+    if (!todo.when) continue;
+    const start = zonedToUtc(todo.when, timeZone);
+    if (Number.isNaN(start) || start < since) continue;
+    const crop = cropNames.get(todo.cropId);
+    const lead = todo.remindBeforeMin ?? defaultLeadMin;
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${todo.id}@${host}`,
+      `DTSTAMP:${stamp(now.getTime())}`,
+      `DTSTART:${stamp(start)}`,
+      `DTEND:${stamp(start + EVENT_MINUTES * 60_000)}`,
+      `SUMMARY:${escapeText(`${todo.done ? "✓ " : ""}${todo.title}${crop ? ` — ${crop}` : ""}`)}`,
+      ...(crop ? [`CATEGORIES:${escapeText(crop)}`] : []),
+      `STATUS:CONFIRMED`,
+      `SEQUENCE:${(todo.version ?? 1) - 1}`
+    );
+    if (!todo.done && lead > 0) {
+      lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${escapeText(todo.title)}`, `TRIGGER:-PT${lead}M`, "END:VALARM");
+    }
+    lines.push("END:VEVENT");
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
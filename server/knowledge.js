@@ -0,0 +1,254 @@
+// server/knowledge.js
+// Local knowledge base for grounding chat answers: Markdown and text documents (extension
+// bulletins, pesticide labels, local crop calendars) read from a directory, split into
+// passages and ranked with BM25. Everything stays in memory; no search service or embedding
+// model is needed.
+//
+// A document may start with simple front matter giving how it is cited:
+//   ---
+//   title: Wheat package of practices
+//   source: State Agricultural University, 2024
+//   url: https://example.org/wheat.pdf
+//   ---
+// Without it the first "# " heading (or the file name) is the title.
+
+import fs from "fs/promises";
+import path from "path";
+import { estimateTokens } from "./conversations.js";
+
+const EXTENSIONS = new Set([".md", ".markdown", ".txt"]);
+const CHUNK_WORDS = 180; // target passage size
+const OVERLAP_WORDS = 30; // carried over when a long section is split
+const K1 = 1.2;
+const B = 0.75;
+// Passages scoring below this share of the best match are left out as off-topic.
+const MIN_RELATIVE_SCORE = 0.3;
+
+// Common English words that say nothing about the topic.
+const STOPWORDS = new Set(
+  ("a an and are as at be but by can do does for from has have how i in is it its my of on or should " +
+    "so than that the their then there these this to was what when where which who why will with you your")
+    .split(" ")
+);
+
+// Suffixes stripped from English words (first match leaving at least three letters), so
+// "irrigate", "irrigation" and "irrigating" meet and "aphids" finds "aphid".
+const SUFFIXES = ["ations", "ation", "ating", "ates", "ate", "ings", "ing", "ions", "ion", "ed", "es", "s"];
+
+const stem = (w) => {
+  if (w.length <= 4 || !/^[a-z]+$/.test(w) || w.endsWith("ss")) return w;
+  const suffix = SUFFIXES.find((s) => w.endsWith(s) && w.length - s.length >= 3);
+  return suffix ? w.slice(0, -suffix.length) : w;
+};
+
+// Lower-case terms: runs of letters and digits in any script, English ones stemmed.
+export const tokenize = (text) =>
+  (String(text).toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) ?? []).filter((w) => !STOPWORDS.has(w)).map(stem);
+
+// "---\nkey: value\n---\n" at the top -> { meta, body }
+function frontMatter(text) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+  if (!m) return { meta: {}, body: text };
+  const meta = {};
+  for (const line of m[1].split(/\r?\n/)) {
+    const kv = /^(\w+):\s*(.*)$/.exec(line);
+    if (kv) meta[kv[1].toLowerCase()] = kv[2].trim().replace(/^["']|["']$/g, "");
+  }
+  return { meta, body: text.slice(m[0].length) };
+}
+
+// Document text -> { title, meta, chunks: [{ heading, text }] }. Passages follow the headings;
+// a section longer than CHUNK_WORDS is cut at paragraph boundaries (or mid-paragraph, with
+// some overlap, when a paragraph alone is too long).
+export function chunkDocument(text, fallbackTitle = "") {
+  const { meta, body } = frontMatter(text.replace(/^\uFEFF/, ""));
+  const chunks = [];
+  const headings = [];
+  let title = meta.title || "";
+  let words = [];
+
+  const flush = () => {
+    const trail = headings.filter((h) => h && h !== title).join(" › ");
+    if (words.length) chunks.push({ heading: trail, text: words.join(" ") });
+    words = [];
+  };
+
+  for (const block of body.split(/\r?\n\s*\r?\n|\r?\n(?=#)/)) {
+    const heading = /^(#{1,6})\s+(.+)$/.exec(block.trim().split(/\r?\n/)[0]);
+    let rest = block.trim();
+    if (heading) {
+      flush();
+      const level = heading[1].length;
+      if (level === 1 && !title) title = heading[2].trim();
+      headings.length = level - 1;
+      headings[level - 1] = heading[2].trim();
+      rest = rest.split(/\r?\n/).slice(1).join(" ");
+    }
+    const para = rest.replace(/\s+/g, " ").trim().split(" ").filter(Boolean);
+    if (!para.length) continue;
+    if (words.length && words.length + para.length > CHUNK_WORDS) flush();
+    words.push(...para);
+    while (words.length > CHUNK_WORDS) {
+      const head = words.slice(0, CHUNK_WORDS);
+      const tail = words.slice(CHUNK_WORDS - OVERLAP_WORDS);
+      words = head;
+      flush();
+      words = tail;
+    }
+  }
+  flush();
+  return { title: title || fallbackTitle, meta, chunks };
+}
+
+// BM25 over passages. `search` returns [{ chunk, score }] best first.
+export function createIndex(chunks) {
+  const docs = chunks.map((c) => {
+    const terms = tokenize(`${c.heading} ${c.text}`);
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) ?? 0) + 1);
+    return { chunk: c, tf, length: terms.length };
+  });
+  const df = new Map();
+  for (const d of docs) for (const t of d.tf.keys()) df.set(t, (df.get(t) ?? 0) + 1);
+  const avgLength = docs.reduce((n, d) => n + d.length, 0) / (docs.length || 1);
+  const idf = (t) => Math.log(1 + (docs.length - df.get(t) + 0.5) / (df.get(t) + 0.5));
+
+  return {
+    size: docs.length,
+    search(query, limit = 4) {
+      const terms = [...new Set(tokenize(query))].filter((t) => df.has(t));
+      if (!terms.length) return [];
+      return docs
+        .map((d) => {
+          let score = 0;
+          for (const t of terms) {
+            const f = d.tf.get(t);
+            if (f) score += (idf(t) * f * (K1 + 1)) / (f + K1 * (1 - B + (B * d.length) / avgLength));
+          }
+          return { chunk: d.chunk, score };
+        })
+        .filter((r) => r.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .filter((r, _i, all) => r.score >= all[0].score * MIN_RELATIVE_SCORE)
+        .slice(0, limit);
+    }
+  };
+}
+
+async function listFiles(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const files = [];
+  for (const e of entries) {
+    const full = path.join(dir, e.name);
+    if (e.isDirectory()) files.push(...(await listFiles(full)));
+    else if (EXTENSIONS.has(path.extname(e.name).toLowerCase())) files.push(full);
+  }
+  return files;
+}
+
+// Knowledge base over the documents in `dir` (searched recursively). The directory is re-read
+// when a search comes in more than `refreshMs` after the last check, so documents can be added
+// or edited without a restart; only files whose modification time changed are chunked again.
+export function createKnowledgeBase({ dir, refreshMs = 60_000, now = Date.now }) {
+  let files = new Map(); // relative path -> { mtimeMs, doc }
+  let index = createIndex([]);
+  let checkedAt = -Infinity;
+  let loading = null;
+
+  async function load() {
+    const next = new Map();
+    for (const full of await listFiles(dir)) {
+      const id = path.relative(dir, full).split(path.sep).join("/");
+      const { mtimeMs } = await fs.stat(full);
+      const known = files.get(id);
+      if (known?.mtimeMs === mtimeMs) {
+        next.set(id, known);
+        continue;
+      }
+      const doc = chunkDocument(await fs.readFile(full, "utf8"), path.basename(id, path.extname(id)));
+      next.set(id, { mtimeMs, doc: { id, ...doc, chunks: doc.chunks.map((c, i) => ({ ...c, docId: id, n: i })) } });
+    }
+    files = next;
+    index = createIndex([...files.values()].flatMap((f) => f.doc.chunks));
+    checkedAt = now();
+  }
+
+  // Re-reads the directory when due; concurrent callers share one reload.
+  const refresh = async () => {
+    if (now() - checkedAt < refreshMs) return;
+    loading ??= load().finally(() => (loading = null));
+    await loading;
+  };
+
+  const docOf = (chunk) => files.get(chunk.docId)?.doc;
+
+  return {
+    load,
+    // [{ docId, title, source, url, heading, text, score }] best first
+    async search(query, limit) {
+      await refresh();
+      return index.search(query, limit).map(({ chunk, score }) => {
+        const doc = docOf(chunk);
+        return {
+          docId: chunk.docId,
+          title: doc.title,
+          source: doc.meta.source ?? null,
+          url: doc.meta.url ?? null,
+          heading: chunk.heading,
+          text: chunk.text,
+          score: Math.round(score * 100) / 100
+        };
+      });
+    },
+    async documents() {
+      await refresh();
+      return [...files.values()].map(({ mtimeMs, doc }) => ({
+        id: doc.id,
+        title: doc.title,
+        source: doc.meta.source ?? null,
+        url: doc.meta.url ?? null,
+        chunks: doc.chunks.length,
+        updatedAt: Math.round(mtimeMs)
+      }));
+    },
+    get size() {
+      return index.size;
+    }
+  };
+}
+
+// Passages for the prompt, numbered for citation, until `budget` tokens are spent. Returns
+// { text, sources } where sources[i] is cited as [i + 1].
+export function passagesPrompt(hits, budget) {
+  const blocks = [];
+  const sources = [];
+  let used = 0;
+  for (const hit of hits) {
+    const n = sources.length + 1;
+    const block = `[${n}] ${hit.title}${hit.heading ? ` — ${hit.heading}` : ""}\n${hit.text}`;
+    const cost = estimateTokens(block) + 1;
+    if (used + cost > budget) break;
+    blocks.push(block);
+    sources.push({ n, ...hit });
+    used += cost;
+  }
+  return { text: blocks.join("\n\n"), sources };
+}
+
+// Sources the reply cites as [n]; [1, 3] style lists and ranges like [1-2] count too.
+export function citedSources(reply, sources) {
+  const cited = new Set();
+  for (const [, inner] of String(reply).matchAll(/\[(\d+(?:\s*[-–,]\s*\d+)*)\]/g)) {
+    for (const part of inner.split(/\s*,\s*/)) {
+      const [from, to = from] = part.split(/\s*[-–]\s*/).map(Number);
+      for (let n = from; n <= to && n - from < 20; n++) cited.add(n);
+    }
+  }
+  return sources.filter((s) => cited.has(s.n));
+}
@@ -0,0 +1,83 @@
+// server/llm/gemini.js
+// Google Gen AI SDK adapter. Install in server:  npm install @google/genai
+
+import { GoogleGenAI } from "@google/genai";
+
+// Different SDK versions expose text differently; try both
+const textOf = (r) =>
+  (typeof r?.text === "string" && r.text) ||
+  (typeof r?.response?.text === "function" && r.response.text()) ||
+  "";
+
+// Neutral messages -> Gemini `contents` ("assistant" is "model"; tool results go back as user parts).
+function toContents(messages) {
+  return messages.map(m => {
+    if (m.role === "tool") {
+      return {
+        role: "user",
+        parts: m.toolResults.map(r => ({ functionResponse: { id: r.id, name: r.name, response: { result: r.result } } }))
+      };
+    }
+    const parts = [];
+    if (m.audio) parts.push({ inlineData: { mimeType: m.audio.mimeType, data: m.audio.data } });
+    if (m.image) parts.push({ inlineData: { mimeType: m.image.mimeType, data: m.image.data } });
+    if (m.text) parts.push({ text: m.text });
+    for (const c of m.toolCalls ?? []) parts.push({ functionCall: { id: c.id, name: c.name, args: c.args } });
+    return { role: m.role === "assistant" ? "model" : "user", parts };
+  });
+}
+
+const toolCallsOf = (calls = []) => calls.map(c => ({ id: c.id, name: c.name, args: c.args ?? {} }));
+
+const usageOf = (meta) => ({
+  inputTokens: meta?.promptTokenCount ?? 0,
+  outputTokens: (meta?.candidatesTokenCount ?? 0) + (meta?.thoughtsTokenCount ?? 0)
+});
+
+// Formats Gemini accepts as inline audio.
+const AUDIO_TYPES = new Set(["audio/webm", "audio/ogg", "audio/wav", "audio/mpeg", "audio/mp4", "audio/aac", "audio/flac"]);
+const IMAGE_TYPES = new Set(["image/jpeg", "image/png", "image/webp", "image/heic", "image/heif"]);
+
+export function createGeminiProvider({ apiKey, model, audioInput = true, imageInput = true }) {
+  const ai = new GoogleGenAI({ apiKey });
+
+  const params = ({ system, messages, tools, temperature, signal, responseSchema }) => ({
+    model,
+    contents: toContents(messages),
+    config: {
+      ...(system ? { systemInstruction: system } : {}),
+      ...(temperature !== undefined ? { temperature } : {}),
+      ...(responseSchema ? { responseMimeType: "application/json", responseJsonSchema: responseSchema } : {}),
+      ...(tools?.length
+        ? { tools: [{ functionDeclarations: tools.map(t => ({ name: t.name, description: t.description, parametersJsonSchema: t.parameters })) }] }
+        : {}),
+      ...(signal ? { abortSignal: signal } : {})
+    }
+  });
+
+  return {
+    name: "gemini",
+    model,
+    acceptsAudio: (mimeType) => audioInput && AUDIO_TYPES.has(mimeType),
+    acceptsImages: (mimeType) => imageInput && IMAGE_TYPES.has(mimeType),
+    async generate(request) {
+      const result = await ai.models.generateContent(params(request));
+      return { text: textOf(result), toolCalls: toolCallsOf(result.functionCalls), usage: usageOf(result.usageMetadata) };
+    },
+    async stream(request, onDelta) {
+      let text = "";
+      const toolCalls = [];
+      let usage = usageOf(null);
+      for await (const chunk of await ai.models.generateContentStream(params(request))) {
+        const piece = textOf(chunk);
+        if (piece) {
+          text += piece;
+          onDelta(piece);
+        }
+        toolCalls.push(...toolCallsOf(chunk.functionCalls));
+        if (chunk.usageMetadata) usage = usageOf(chunk.usageMetadata);
+      }
+      return { text, toolCalls, usage };
+    }
+  };
+}
@@ -0,0 +1,74 @@
+// server/llm/index.js
+// Provider-neutral chat interface used by /api/gemini-chat and the assistant loop.
+//
+// A provider is { name, model, generate(request), stream(request, onDelta) } where
+//   request  = { system, messages, tools, temperature, signal, responseSchema? }
+//   messages = [{ role: "user" | "assistant" | "tool", text?, toolCalls?, toolResults? }]
+//              toolCalls:   [{ id, name, args }]     (assistant asked to run tools)
+//              toolResults: [{ id, name, result }]   (role "tool": what the tools returned)
+//   tools    = [{ name, description, parameters }]  (parameters is JSON Schema)
+// and both methods resolve to { text, toolCalls, usage: { inputTokens, outputTokens } }.
+// A user message may also carry `audio: { mimeType, data }` (base64) when the provider's
+// acceptsAudio(mimeType) says it can listen to that format. LLM_AUDIO_INPUT=0 turns audio
+// off for any provider; =1 turns it on for OpenAI-compatible endpoints (wav/mp3 only).
+// Likewise `image: { mimeType, data }` when acceptsImages(mimeType); LLM_IMAGE_INPUT=0/1
+// (on by default for gemini and stub, off for openai — most local models are text-only).
+// `responseSchema` (JSON Schema) asks for a JSON answer; the text is then that JSON.
+
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createStubProvider } from "./stub.js";
+
+export const DEFAULT_SYSTEM_PROMPT = "You are a helpful farming assistant.";
+
+// Reads LLM_* settings from env. Returns { provider, settings } where provider is null
+// when the chosen backend is not configured (e.g. gemini without GEMINI_API_KEY).
+export function createProviderFromEnv(env = process.env) {
+  const name = (env.LLM_PROVIDER || "gemini").toLowerCase();
+  const temperature = env.LLM_TEMPERATURE !== undefined && env.LLM_TEMPERATURE !== ""
+    ? Number(env.LLM_TEMPERATURE)
+    : undefined;
+  const flag = (v) => (v === undefined || v === "" ? null : v === "1");
+  const audioInput = flag(env.LLM_AUDIO_INPUT);
+  const imageInput = flag(env.LLM_IMAGE_INPUT);
+  const settings = {
+    provider: name,
+    temperature: Number.isFinite(temperature) ? temperature : undefined,
+    systemPrompt: env.LLM_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT
+  };
+
+  switch (name) {
+    case "gemini":
+      return {
+        settings,
+        provider: env.GEMINI_API_KEY
+          ? createGeminiProvider({
+              apiKey: env.GEMINI_API_KEY,
+              model: env.LLM_MODEL || "gemini-2.0-flash",
+              audioInput: audioInput ?? true,
+              imageInput: imageInput ?? true
+            })
+          : null,
+        missing: "GEMINI_API_KEY missing in server/.env"
+      };
+    case "openai":
+      return {
+        settings,
+        provider: createOpenAIProvider({
+          baseUrl: env.OPENAI_BASE_URL || "http://localhost:11434/v1", // Ollama's OpenAI-compatible API
+          apiKey: env.OPENAI_API_KEY || "",
+          model: env.LLM_MODEL || "llama3.1",
+          audioInput: audioInput ?? false,
+          imageInput: imageInput ?? false
+        })
+      };
+    case "stub":
+      return { settings, provider: createStubProvider({
+          file: env.LLM_STUB_FILE,
+          audioInput: audioInput ?? true,
+          imageInput: imageInput ?? true
+        }) };
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected "gemini", "openai" or "stub")`);
+  }
+}
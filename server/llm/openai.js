@@ -0,0 +1,142 @@
+// server/llm/openai.js
+// Any OpenAI-compatible /chat/completions endpoint: Ollama, llama.cpp server, vLLM, LM Studio, OpenAI.
+
+import crypto from "crypto";
+
+// The chat completions API only takes wav and mp3 as `input_audio`.
+const AUDIO_FORMATS = { "audio/wav": "wav", "audio/mpeg": "mp3" };
+
+function toMessages(system, messages) {
+  const out = system ? [{ role: "system", content: system }] : [];
+  for (const m of messages) {
+    if (m.role === "tool") {
+      for (const r of m.toolResults) {
+        out.push({ role: "tool", tool_call_id: r.id, content: JSON.stringify(r.result) });
+      }
+    } else if (m.role === "assistant") {
+      const msg = { role: "assistant", content: m.text || "" };
+      if (m.toolCalls?.length) {
+        msg.tool_calls = m.toolCalls.map(c => ({
+          id: c.id,
+          type: "function",
+          function: { name: c.name, arguments: JSON.stringify(c.args ?? {}) }
+        }));
+      }
+      out.push(msg);
+    } else if (m.audio || m.image) {
+      out.push({
+        role: "user",
+        content: [
+          ...(m.text ? [{ type: "text", text: m.text }] : []),
+          ...(m.audio ? [{ type: "input_audio", input_audio: { data: m.audio.data, format: AUDIO_FORMATS[m.audio.mimeType] } }] : []),
+          ...(m.image ? [{ type: "image_url", image_url: { url: `data:${m.image.mimeType};base64,${m.image.data}` } }] : [])
+        ]
+      });
+    } else {
+      out.push({ role: "user", content: m.text || "" });
+    }
+  }
+  return out;
+}
+
+function parseArgs(raw) {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
+
+const usageOf = (u) => ({ inputTokens: u?.prompt_tokens ?? 0, outputTokens: u?.completion_tokens ?? 0 });
+
+// Formats vision models behind the chat completions API generally accept.
+const IMAGE_TYPES = new Set(["image/jpeg", "image/png", "image/webp"]);
+
+export function createOpenAIProvider({ baseUrl, apiKey, model, audioInput = false, imageInput = false }) {
+  const url = `${baseUrl.replace(/\/$/, "")}/chat/completions`;
+
+  async function post({ system, messages, tools, temperature, signal, responseSchema }, stream) {
+    const body = { model, messages: toMessages(system, messages), stream };
+    if (temperature !== undefined) body.temperature = temperature;
+    // json_object is the widely supported mode (Ollama, llama.cpp, vLLM); the schema is in the prompt.
+    if (responseSchema) body.response_format = { type: "json_object" };
+    if (tools?.length) {
+      body.tools = tools.map(t => ({ type: "function", function: { name: t.name, description: t.description, parameters: t.parameters } }));
+    }
+    if (stream) body.stream_options = { include_usage: true };
+    const r = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+      body: JSON.stringify(body),
+      signal
+    });
+    if (!r.ok) {
+      const detail = await r.text().catch(() => "");
+      throw new Error(`LLM endpoint ${r.status}: ${detail.slice(0, 300)}`);
+    }
+    return r;
+  }
+
+  return {
+    name: "openai",
+    model,
+    acceptsAudio: (mimeType) => audioInput && mimeType in AUDIO_FORMATS,
+    acceptsImages: (mimeType) => imageInput && IMAGE_TYPES.has(mimeType),
+    async generate(request) {
+      const data = await (await post(request, false)).json();
+      const msg = data.choices?.[0]?.message ?? {};
+      return {
+        text: msg.content ?? "",
+        toolCalls: (msg.tool_calls ?? []).map(c => ({
+          id: c.id || crypto.randomUUID(),
+          name: c.function?.name,
+          args: parseArgs(c.function?.arguments)
+        })),
+        usage: usageOf(data.usage)
+      };
+    },
+    async stream(request, onDelta) {
+      const r = await post(request, true);
+      const decoder = new TextDecoder();
+      let buffer = "";
+      let text = "";
+      let usage = usageOf(null);
+      const calls = []; // streamed by index; arguments arrive in fragments
+
+      const handle = (line) => {
+        if (!line.startsWith("data:")) return;
+        const payload = line.slice(5).trim();
+        if (!payload || payload === "[DONE]") return;
+        const data = JSON.parse(payload);
+        if (data.usage) usage = usageOf(data.usage);
+        const delta = data.choices?.[0]?.delta ?? {};
+        if (delta.content) {
+          text += delta.content;
+          onDelta(delta.content);
+        }
+        for (const tc of delta.tool_calls ?? []) {
+          const slot = (calls[tc.index ?? 0] ??= { id: "", name: "", args: "" });
+          if (tc.id) slot.id = tc.id;
+          if (tc.function?.name) slot.name += tc.function.name;
+          if (tc.function?.arguments) slot.args += tc.function.arguments;
+        }
+      };
+
+      for await (const chunk of r.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let nl;
+        while ((nl = buffer.indexOf("\n")) !== -1) {
+          handle(buffer.slice(0, nl).trim());
+          buffer = buffer.slice(nl + 1);
+        }
+      }
+      handle(buffer.trim());
+
+      return {
+        text,
+        toolCalls: calls.filter(Boolean).map(c => ({ id: c.id || crypto.randomUUID(), name: c.name, args: parseArgs(c.args) })),
+        usage
+      };
+    }
+  };
+}
@@ -0,0 +1,79 @@
+// server/llm/stub.js
+// Deterministic offline provider for tests and local development — no network, no key.
+//
+// Without a script it echoes the last user message. With LLM_STUB_FILE pointing at a JSON
+// array of rules, the first rule whose `match` regex (case-insensitive) matches the last
+// user message decides the reply:
+//   [{ "match": "irrigate", "toolCall": { "name": "create_todo", "args": { "title": "Irrigate" } },
+//      "reply": "Added it to your tasks." },
+//    { "match": ".*", "reply": "Canned answer." }]
+// A rule with `toolCall` first asks for that tool; once the tool result comes back the
+// stub answers with `reply`. A voice message (audio) is acknowledged as "[stub] 🎤 <n> bytes …".
+// A request with `responseSchema` (e.g. a photo diagnosis) gets STUB_DIAGNOSIS as JSON unless
+// a rule matches.
+
+import fs from "fs";
+
+const estimate = (s = "") => Math.ceil(String(s).length / 4);
+
+export const STUB_DIAGNOSIS = {
+  issue: "Early blight (stub)",
+  category: "disease",
+  confidence: 0.5,
+  symptoms: ["Brown concentric spots on older leaves"],
+  actions: [
+    { title: "Remove and destroy affected leaves", inDays: 0 },
+    { title: "Spray mancozeb 2.5 g/L", inDays: 1 },
+    { title: "Re-check the plot for new spots", inDays: 7 }
+  ],
+  notes: "Canned answer from the stub provider."
+};
+
+export function createStubProvider({ file, audioInput = true, imageInput = true } = {}) {
+  const rules = file ? JSON.parse(fs.readFileSync(file, "utf8")) : [];
+
+  function respond({ system = "", messages, responseSchema }) {
+    const last = messages[messages.length - 1];
+    const lastUserMsg = [...messages].reverse().find(m => m.role === "user");
+    const lastUser = lastUserMsg?.text ?? "";
+    const rule = rules.find(r => new RegExp(r.match, "i").test(lastUser));
+
+    let text;
+    let toolCalls = [];
+    if (rule?.toolCall && last?.role !== "tool") {
+      text = "";
+      toolCalls = [{ id: "stub-call-1", name: rule.toolCall.name, args: rule.toolCall.args ?? {} }];
+    } else if (rule) {
+      text = rule.reply ?? "";
+    } else if (responseSchema) {
+      text = JSON.stringify(STUB_DIAGNOSIS);
+    } else if (lastUserMsg?.audio) {
+      const bytes = Math.floor((lastUserMsg.audio.data.length * 3) / 4);
+      text = `[stub] 🎤 ${bytes} bytes of ${lastUserMsg.audio.mimeType}${lastUser ? ` — ${lastUser}` : ""}`;
+    } else {
+      text = `[stub] ${lastUser}`;
+    }
+
+    const input = estimate(system) + messages.reduce((n, m) => n + estimate(m.text), 0);
+    return { text, toolCalls, usage: { inputTokens: input, outputTokens: estimate(text) } };
+  }
+
+  return {
+    name: "stub",
+    model: "stub",
+    acceptsAudio: () => audioInput,
+    acceptsImages: () => imageInput,
+    async generate(request) {
+      return respond(request);
+    },
+    async stream(request, onDelta) {
+      const out = respond(request);
+      // Emit word by word so streaming clients see more than one delta.
+      for (const piece of out.text.match(/\S+\s*/g) ?? []) {
+        if (request.signal?.aborted) break;
+        onDelta(piece);
+      }
+      return out;
+    }
+  };
+}
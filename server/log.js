@@ -0,0 +1,99 @@
+// server/log.js
+// Structured logs: one JSON object per line — { ts, level, msg, reqId?, ...fields } — on
+// stdout (warnings and errors on stderr), filtered by LOG_LEVEL (debug | info | warn | error).
+//
+// Each HTTP request runs in a context (AsyncLocalStorage) holding its id, so anything logged
+// while serving it carries `reqId`, and upstream calls made for it (OpenWeather, the LLM) are
+// timed into its access log line as upstream: { <service>: { calls, errors, ms } }.
+
+import { AsyncLocalStorage } from "async_hooks";
+import crypto from "crypto";
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const ctx = requestContext.getStore();
+  const entry = { ts: new Date().toISOString(), level, msg, ...(ctx ? { reqId: ctx.id } : {}), ...fields };
+  const out = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  out.write(`${JSON.stringify(entry)}\n`);
+}
+
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields)
+};
+
+// Fields describing a caught error.
+export const errorFields = (e) => ({ error: e?.message ?? String(e), ...(e?.code ? { code: e.code } : {}) });
+
+const round = (ms) => Math.round(ms * 10) / 10;
+
+const upstreamListeners = [];
+
+// Registers fn({ service, ms, ok }) to be told about every timed upstream call (for metrics).
+export const onUpstream = (fn) => upstreamListeners.push(fn);
+
+// Runs fn() — a call to `service` — timing it for the current request and the listeners.
+export async function timeUpstream(service, fn) {
+  const start = performance.now();
+  let ok = false;
+  try {
+    const result = await fn();
+    ok = true;
+    return result;
+  } finally {
+    const ms = performance.now() - start;
+    const ctx = requestContext.getStore();
+    if (ctx) {
+      const u = (ctx.upstream[service] ??= { calls: 0, errors: 0, ms: 0 });
+      u.calls++;
+      if (!ok) u.errors++;
+      u.ms = round(u.ms + ms);
+    }
+    for (const listener of upstreamListeners) listener({ service, ms, ok });
+  }
+}
+
+// Client-supplied request ids are kept when they look like ids, so traces join up across a proxy.
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Express middleware: assigns the request id (echoed as X-Request-Id), runs the rest of the
+// request in its context and writes the access log line when the response ends. `quiet(req)`
+// demotes a request's line to debug (health checks, metric scrapes); `onDone` receives
+// { method, route, status, seconds } for metrics. Routes are reported as their pattern
+// ("/api/crops/:id") and paths without the query string, which may hold tokens.
+export function requestLogger({ quiet = () => false, onDone } = {}) {
+  return (req, res, next) => {
+    const given = req.get("X-Request-Id");
+    const id = given && REQUEST_ID.test(given) ? given : crypto.randomUUID();
+    const ctx = { id, upstream: {} };
+    const start = performance.now();
+    res.set("X-Request-Id", id);
+
+    res.once("close", () => {
+      const ms = performance.now() - start;
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+      const fields = {
+        method: req.method,
+        path: req.originalUrl.split("?")[0],
+        route,
+        status: res.statusCode,
+        durationMs: round(ms),
+        ...(res.writableFinished ? {} : { aborted: true }),
+        ...(req.user ? { userId: req.user.id } : {}),
+        ip: req.ip,
+        ...(Object.keys(ctx.upstream).length ? { upstream: ctx.upstream } : {})
+      };
+      const level = res.statusCode >= 500 ? "error" : quiet(req) ? "debug" : "info";
+      requestContext.run(ctx, () => write(level, "request", fields));
+      onDone?.({ method: req.method, route, status: res.statusCode, seconds: ms / 1000 });
+    });
+    requestContext.run(ctx, next);
+  };
+}
@@ -0,0 +1,86 @@
+// server/metrics.js
+// A small Prometheus registry: counters, gauges and histograms with labels, rendered in the
+// text exposition format (version 0.0.4) for GET /metrics. No client library needed.
+//
+// Counters and gauges may instead be read at scrape time with `collect: () => [{ labels, value }]`,
+// for numbers another module already keeps (e.g. the weather cache's hit counters).
+
+export const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; spans a cache hit (~1 ms) to a slow model answer.
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const labelText = (labels) => {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+};
+
+const keyOf = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const number = (n) => (Number.isFinite(n) ? String(n) : n > 0 ? "+Inf" : n < 0 ? "-Inf" : "NaN");
+
+export function createMetrics() {
+  const metrics = [];
+
+  function series(name, help, type, collect) {
+    const values = new Map(); // label key -> { labels, value }
+    const metric = {
+      lines() {
+        const samples = collect ? collect() : [...values.values()];
+        return [
+          `# HELP ${name} ${help}`,
+          `# TYPE ${name} ${type}`,
+          ...samples.map(({ labels = {}, value }) => `${name}${labelText(labels)} ${number(value)}`)
+        ];
+      }
+    };
+    metrics.push(metric);
+    const slot = (labels) => {
+      const key = keyOf(labels);
+      if (!values.has(key)) values.set(key, { labels, value: 0 });
+      return values.get(key);
+    };
+    return { slot };
+  }
+
+  return {
+    counter(name, help, { collect } = {}) {
+      const { slot } = series(name, help, "counter", collect);
+      return { inc: (labels = {}, n = 1) => (slot(labels).value += n) };
+    },
+    gauge(name, help, { collect } = {}) {
+      const { slot } = series(name, help, "gauge", collect);
+      return { set: (labels, value) => (slot(labels).value = value) };
+    },
+    histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+      const values = new Map(); // label key -> { labels, counts per bucket, sum, count }
+      metrics.push({
+        lines() {
+          const out = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          for (const { labels, counts, sum, count } of values.values()) {
+            buckets.forEach((le, i) => out.push(`${name}_bucket${labelText({ ...labels, le })} ${counts[i]}`));
+            out.push(`${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`);
+            out.push(`${name}_sum${labelText(labels)} ${number(sum)}`);
+            out.push(`${name}_count${labelText(labels)} ${count}`);
+          }
+          return out;
+        }
+      });
+      return {
+        observe(labels, value) {
+          const key = keyOf(labels);
+          if (!values.has(key)) values.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+          const h = values.get(key);
+          buckets.forEach((le, i) => {
+            if (value <= le) h.counts[i]++;
+          });
+          h.sum += value;
+          h.count++;
+        }
+      };
+    },
+    render: () => `${metrics.flatMap((m) => m.lines()).join("\n")}\n`
+  };
+}
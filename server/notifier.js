@@ -0,0 +1,52 @@
+// server/notifier.js
+// Where reminders go. A notifier is { name, notify(notification) } with
+//   notification = { farmId, todoId, title, body, when }
+// NOTIFIER is a comma-separated list, e.g. "inapp,log":
+//   inapp — stored in the `notifications` collection; the dashboard polls
+//           GET /api/notifications and raises a browser notification for new ones
+//   log   — a structured log line on stdout (tests, headless deployments)
+
+import { log, errorFields } from "./log.js";
+
+export function createInAppNotifier({ store, makeId }) {
+  return {
+    name: "inapp",
+    async notify(n) {
+      await store.insert("notifications", { id: makeId(), ...n, createdAt: Date.now(), readAt: null });
+    }
+  };
+}
+
+export function createLogNotifier({ write = (fields) => log.info("reminder", fields) } = {}) {
+  return {
+    name: "log",
+    async notify(n) {
+      write({ type: "reminder", ...n });
+    }
+  };
+}
+
+// Fans out to every configured notifier; one failing channel does not block the others.
+export function createNotifier(spec, deps) {
+  const channels = String(spec || "inapp")
+    .split(",")
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean)
+    .map(name => {
+      switch (name) {
+        case "inapp": return createInAppNotifier(deps);
+        case "log": return createLogNotifier(deps);
+        default: throw new Error(`Unknown notifier "${name}" (expected "inapp" or "log")`);
+      }
+    });
+
+  return {
+    name: channels.map(c => c.name).join(","),
+    async notify(n) {
+      const results = await Promise.allSettled(channels.map(c => c.notify(n)));
+      for (const r of results) {
+        if (r.status === "rejected") log.error("Notifier failed", errorFields(r.reason));
+      }
+    }
+  };
+}
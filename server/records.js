@@ -0,0 +1,127 @@
+// server/records.js
+// Farm records — what went into a crop and what came out of it — and the per-crop
+// profitability summary built from them.
+//
+// inputs:   {id,farmId,cropId,todoId,date,type,product,quantity,unit,cost,notes}
+// expenses: {id,farmId,cropId,todoId,date,category,amount,description}   (cropId null = farm-wide)
+// yields:   {id,farmId,cropId,todoId,date,quantity,unit,pricePerUnit,notes}
+// Dates are farm-local "YYYY-MM-DD"; money is in the farm's currency, with no conversion.
+
+export const INPUT_TYPES = ["fertilizer", "pesticide", "seed", "water"];
+
+export const INPUT_UNITS = ["kg", "g", "quintal", "t", "l", "ml", "bag", "packet", "m3", "mm", "hours"];
+
+export const EXPENSE_CATEGORIES = ["labour", "machinery", "fuel", "irrigation", "transport", "rent", "repairs", "other"];
+
+// Yield units and their weight in kg; yields are summed and compared in kg.
+export const YIELD_UNITS = { kg: 1, quintal: 100, t: 1000 };
+
+// Indian cropping seasons: kharif (sown Jun–Oct), rabi (Nov–Mar) and zaid (Apr–May).
+// Keys are "<season>-<year the season starts>", so rabi sown in January 2026 is "rabi-2025".
+export function seasonOf(date) {
+  const [year, month] = date.split("-").map(Number);
+  if (month >= 6 && month <= 10) return `kharif-${year}`;
+  if (month >= 11) return `rabi-${year}`;
+  if (month <= 3) return `rabi-${year - 1}`;
+  return `zaid-${year}`;
+}
+
+// Newest season first: within a year zaid starts in April, kharif in June and rabi in November.
+const SEASON_ORDER = { zaid: 0, kharif: 1, rabi: 2 };
+const seasonRank = (key) => {
+  const [name, year] = key.split("-");
+  return Number(year) * 10 + SEASON_ORDER[name];
+};
+const bySeasonDesc = (a, b) => seasonRank(b) - seasonRank(a);
+
+const round = (n, digits = 2) => Number(n.toFixed(digits));
+const perAcre = (value, acres) => (acres ? round(value / acres) : null);
+
+// Records grouped by crop and season — the crop's sowing season, or the record's own date for
+// crops without a sowing date — into { cropId, crop, season, areaAcres, inputCost, expenseCost,
+// cost, inputs: [{type,unit,quantity}], yieldKg, revenue, margin, costPerAcre, yieldPerAcre (kg),
+// marginPerAcre }. Farm-wide expenses are reported as `unallocated` and count towards the totals
+// only. `season` and `cropId` narrow the result. Rows for deleted crops have crop: null.
+export function summarizeRecords({ crops, inputs, expenses, yields }, { season = null, cropId = null } = {}) {
+  const cropsById = new Map(crops.map((c) => [c.id, c]));
+  const rows = new Map();
+  const seasons = new Set();
+  let unallocated = 0;
+
+  const rowFor = (rec) => {
+    const crop = cropsById.get(rec.cropId) ?? null;
+    const key = seasonOf(crop?.sowingDate || rec.date);
+    seasons.add(key);
+    if ((season && key !== season) || (cropId && rec.cropId !== cropId)) return null;
+    const id = `${rec.cropId}:${key}`;
+    if (!rows.has(id)) {
+      rows.set(id, {
+        cropId: rec.cropId,
+        crop: crop ? [crop.name, crop.variety].filter(Boolean).join(" ") : null,
+        season: key,
+        areaAcres: crop?.areaAcres ?? null,
+        inputCost: 0,
+        expenseCost: 0,
+        inputs: new Map(),
+        yieldKg: 0,
+        revenue: 0
+      });
+    }
+    return rows.get(id);
+  };
+
+  for (const rec of inputs) {
+    const row = rowFor(rec);
+    if (!row) continue;
+    row.inputCost += rec.cost ?? 0;
+    const key = `${rec.type}:${rec.unit}`;
+    const total = row.inputs.get(key) ?? { type: rec.type, unit: rec.unit, quantity: 0 };
+    total.quantity += rec.quantity;
+    row.inputs.set(key, total);
+  }
+  for (const rec of expenses) {
+    if (!rec.cropId) {
+      const key = seasonOf(rec.date);
+      seasons.add(key);
+      if (!cropId && (!season || key === season)) unallocated += rec.amount;
+      continue;
+    }
+    const row = rowFor(rec);
+    if (row) row.expenseCost += rec.amount;
+  }
+  for (const rec of yields) {
+    const row = rowFor(rec);
+    if (!row) continue;
+    row.yieldKg += rec.quantity * YIELD_UNITS[rec.unit];
+    row.revenue += rec.pricePerUnit != null ? rec.quantity * rec.pricePerUnit : 0;
+  }
+
+  const list = [...rows.values()]
+    .map((row) => {
+      const cost = row.inputCost + row.expenseCost;
+      const margin = row.revenue - cost;
+      return {
+        ...row,
+        inputCost: round(row.inputCost),
+        expenseCost: round(row.expenseCost),
+        cost: round(cost),
+        inputs: [...row.inputs.values()].map((i) => ({ ...i, quantity: round(i.quantity) })),
+        yieldKg: round(row.yieldKg, 1),
+        revenue: round(row.revenue),
+        margin: round(margin),
+        costPerAcre: perAcre(cost, row.areaAcres),
+        yieldPerAcre: row.areaAcres ? round(row.yieldKg / row.areaAcres, 1) : null,
+        marginPerAcre: perAcre(margin, row.areaAcres)
+      };
+    })
+    .sort((a, b) => bySeasonDesc(a.season, b.season) || String(a.crop).localeCompare(String(b.crop)));
+
+  const cost = list.reduce((sum, r) => sum + r.cost, 0) + unallocated;
+  const revenue = list.reduce((sum, r) => sum + r.revenue, 0);
+  return {
+    seasons: [...seasons].sort(bySeasonDesc),
+    crops: list,
+    unallocated: round(unallocated),
+    totals: { cost: round(cost), revenue: round(revenue), margin: round(revenue - cost) }
+  };
+}
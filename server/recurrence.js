@@ -0,0 +1,125 @@
+// server/recurrence.js
+// Recurrence rules for todos. Accepted input (normalized by parseRecurrence):
+//   { freq: "daily", interval: 3 }                          every 3 days
+//   { freq: "weekly", byDay: ["MO", "TH"], interval: 1 }    weekly on given days
+//   + optional { until: "YYYY-MM-DDTHH:mm" } or { count: 10 }
+//   "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR;COUNT=6"            RRULE subset (FREQ, INTERVAL, BYDAY, COUNT, UNTIL)
+//
+// Occurrences are computed on local wall-clock strings ("YYYY-MM-DDTHH:mm", like todo.when);
+// the arithmetic runs in UTC on the naive value, so DST never shifts a 06:00 task.
+
+export const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const DAY_MS = 86_400_000;
+const MAX_INTERVAL = 365;
+
+const toMs = (local) => Date.parse(`${local.slice(0, 16)}:00Z`);
+const toLocal = (ms) => new Date(ms).toISOString().slice(0, 16);
+
+// Shift a local wall-clock string by minutes (negative = earlier).
+export const shiftLocal = (local, minutes) => toLocal(toMs(local) + minutes * 60_000);
+
+function parseRRule(text) {
+  const parts = Object.fromEntries(
+    String(text).replace(/^RRULE:/i, "").split(";").filter(Boolean).map(p => {
+      const [k, v = ""] = p.split("=");
+      return [k.trim().toUpperCase(), v.trim()];
+    })
+  );
+  const out = { freq: (parts.FREQ || "").toLowerCase() };
+  if (parts.INTERVAL) out.interval = Number(parts.INTERVAL);
+  if (parts.BYDAY) out.byDay = parts.BYDAY.split(",");
+  if (parts.COUNT) out.count = Number(parts.COUNT);
+  if (parts.UNTIL) {
+    // 20250630T000000Z or 20250630 -> local wall-clock
+    const m = parts.UNTIL.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2}))?/);
+    if (!m) throw new Error("UNTIL must look like 20250630 or 20250630T060000");
+    out.until = `${m[1]}-${m[2]}-${m[3]}T${m[4] ?? "23"}:${m[5] ?? "59"}`;
+  }
+  const unknown = Object.keys(parts).filter(k => !["FREQ", "INTERVAL", "BYDAY", "COUNT", "UNTIL"].includes(k));
+  if (unknown.length) throw new Error(`unsupported RRULE part ${unknown.join(", ")}`);
+  return out;
+}
+
+// Returns a normalized { freq, interval, byDay?, until?, count? }; throws Error with a
+// field-level message on invalid input.
+export function parseRecurrence(input) {
+  const raw = typeof input === "string" ? parseRRule(input) : { ...input };
+  const freq = String(raw.freq || "").toLowerCase();
+  if (freq !== "daily" && freq !== "weekly") throw new Error('freq must be "daily" or "weekly"');
+
+  const interval = raw.interval === undefined ? 1 : Number(raw.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    throw new Error(`interval must be a whole number between 1 and ${MAX_INTERVAL}`);
+  }
+
+  const rec = { freq, interval };
+  if (freq === "weekly" && raw.byDay !== undefined) {
+    const days = (Array.isArray(raw.byDay) ? raw.byDay : [raw.byDay]).map(d => String(d).toUpperCase().slice(0, 2));
+    if (!days.length || days.some(d => !WEEKDAYS.includes(d))) throw new Error("byDay must list days like MO, TU, WE");
+    rec.byDay = WEEKDAYS.filter(d => days.includes(d)); // canonical order
+  }
+  if (raw.until !== undefined && raw.until !== null) {
+    if (typeof raw.until !== "string" || Number.isNaN(toMs(raw.until))) throw new Error("until must be YYYY-MM-DDTHH:mm");
+    rec.until = raw.until.slice(0, 16);
+  }
+  if (raw.count !== undefined && raw.count !== null) {
+    if (!Number.isInteger(raw.count) || raw.count < 1) throw new Error("count must be a positive whole number");
+    rec.count = raw.count;
+  }
+  return rec;
+}
+
+export function toRRule(rec) {
+  const parts = [`FREQ=${rec.freq.toUpperCase()}`];
+  if (rec.interval > 1) parts.push(`INTERVAL=${rec.interval}`);
+  if (rec.byDay?.length) parts.push(`BYDAY=${rec.byDay.join(",")}`);
+  if (rec.count) parts.push(`COUNT=${rec.count}`);
+  if (rec.until) parts.push(`UNTIL=${rec.until.replace(/[-:]/g, "")}00`);
+  return parts.join(";");
+}
+
+// Lazily yields occurrence times (local strings) from `start` (the series' own `when`) on.
+// `start` is always the first occurrence and counts towards `count`, like DTSTART in RFC 5545,
+// even when a weekly rule's byDay days do not include it.
+export function* occurrences(rec, start) {
+  const startMs = toMs(start);
+  const until = rec.until ? toMs(rec.until) : Infinity;
+  let n = 0;
+  const emit = (ms) => ms <= until && (!rec.count || n < rec.count);
+
+  if (rec.freq === "daily") {
+    for (let ms = startMs; emit(ms); ms += rec.interval * DAY_MS) {
+      n++;
+      yield toLocal(ms);
+    }
+    return;
+  }
+
+  // weekly: walk day by day through the weeks that are `interval` apart.
+  const days = rec.byDay?.length ? rec.byDay : [WEEKDAYS[new Date(startMs).getUTCDay()]];
+  const weekStart = startMs - new Date(startMs).getUTCDay() * DAY_MS; // Sunday of the first week
+  if (!days.includes(WEEKDAYS[new Date(startMs).getUTCDay()])) {
+    if (!emit(startMs)) return;
+    n++;
+    yield toLocal(startMs);
+  }
+  for (let week = 0; ; week += rec.interval) {
+    for (let d = 0; d < 7; d++) {
+      const ms = weekStart + (week * 7 + d) * DAY_MS;
+      if (ms < startMs || !days.includes(WEEKDAYS[d])) continue;
+      if (!emit(ms)) return;
+      n++;
+      yield toLocal(ms);
+    }
+  }
+}
+
+// Occurrences strictly after `after` and at or before `through` (local strings).
+export function occurrencesBetween(rec, start, after, through) {
+  const out = [];
+  for (const when of occurrences(rec, start)) {
+    if (when > through) break;
+    if (when > after) out.push(when);
+  }
+  return out;
+}
@@ -0,0 +1,176 @@
+// server/rules.js
+// Weather-aware checks for upcoming todos. Rules are plain data so they can be listed,
+// tweaked and unit-tested against fixed forecast fixtures (server/weather/fixtures):
+//
+//   {
+//     id, severity: "info" | "warning",
+//     keywords: [...],                 // todo title must contain one as a whole word (case-insensitive;
+//                                      // regex syntax, e.g. "sow(s|ing|n)?")
+//     window: { fromH, toH },          // forecast hours relative to the todo's `when`
+//     when: { any|all: [ { metric, agg, op, value } ] },
+//     message: "text with {placeholders}",   // filled from the window's stats
+//     reschedule: { searchH, hours: [from, to] } | null
+//   }
+//
+// metric: rainMm | pop | windMs | gustMs | tempC  ·  agg: sum | max | min  ·  op: > >= < <=
+// A suggested reschedule is the earliest forecast slot (within searchH, between the given local
+// hours) where the same rule would not fire.
+
+export const DEFAULT_RULES = [
+  {
+    id: "spray-in-rain-or-wind",
+    severity: "warning",
+    keywords: ["spray(s|ing)?", "pesticides?", "fungicides?", "herbicides?", "insecticides?", "weedicides?"],
+    window: { fromH: -1, toH: 6 },
+    when: {
+      any: [
+        { metric: "rainMm", agg: "sum", op: ">", value: 0.5 },
+        { metric: "pop", agg: "max", op: ">=", value: 0.6 },
+        { metric: "windMs", agg: "max", op: ">", value: 5 }
+      ]
+    },
+    message: "Spraying window has {rainMm} mm rain ({popPct}% chance) and wind up to {maxWindMs} m/s — spray may wash off or drift.",
+    reschedule: { searchH: 72, hours: [6, 18] }
+  },
+  {
+    id: "irrigation-before-heavy-rain",
+    severity: "info",
+    // "water" only as the task's verb: "Water the wheat", not "Check water tank"
+    keywords: ["irrigat(e|es|ing|ion)", "watering", "^water"],
+    window: { fromH: 0, toH: 24 },
+    when: { all: [{ metric: "rainMm", agg: "sum", op: ">=", value: 10 }] },
+    message: "{rainMm} mm of rain is forecast in the 24 h after this irrigation — consider skipping or delaying it.",
+    reschedule: { searchH: 96, hours: [5, 19] }
+  },
+  {
+    id: "frost-after-transplanting",
+    severity: "warning",
+    keywords: ["transplant(s|ing)?", "sow(s|ing|n)?", "seedlings?", "planting"],
+    window: { fromH: 0, toH: 36 },
+    when: { all: [{ metric: "tempC", agg: "min", op: "<=", value: 2 }] },
+    message: "Temperatures drop to {minTempC} °C within 36 h of transplanting — young plants risk frost damage.",
+    reschedule: { searchH: 120, hours: [7, 17] }
+  }
+];
+
+const HOUR_MS = 3_600_000;
+const SLOT_MS = 3 * HOUR_MS;
+
+const OPS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b
+};
+
+// One normalized 3-hour slot per forecast entry (start time in epoch ms).
+export function forecastSlots(forecast) {
+  return (forecast.list ?? []).map(s => ({
+    t: s.dt * 1000,
+    rainMm: (s.rain?.["3h"] ?? 0) + (s.snow?.["3h"] ?? 0),
+    pop: s.pop ?? 0,
+    windMs: s.wind?.speed ?? 0,
+    gustMs: s.wind?.gust ?? s.wind?.speed ?? 0,
+    tempC: s.main?.temp_min ?? s.main?.temp ?? 0
+  }));
+}
+
+// Todos store local wall-clock time ("YYYY-MM-DDTHH:mm"); interpret it in the forecast
+// location's zone (offsetSec = OpenWeather city.timezone) and back.
+export const localToEpoch = (when, offsetSec) => Date.parse(`${when.slice(0, 16)}:00Z`) - offsetSec * 1000;
+export const epochToLocal = (t, offsetSec) => new Date(t + offsetSec * 1000).toISOString().slice(0, 16);
+
+const aggregate = (slots, metric, agg) => {
+  const values = slots.map(s => s[metric]);
+  if (!values.length) return null;
+  if (agg === "sum") return values.reduce((a, b) => a + b, 0);
+  if (agg === "min") return Math.min(...values);
+  return Math.max(...values);
+};
+
+const inWindow = (slots, t, { fromH, toH }) =>
+  slots.filter(s => s.t + SLOT_MS > t + fromH * HOUR_MS && s.t < t + toH * HOUR_MS);
+
+function conditionHolds(cond, slots) {
+  const test = (c) => {
+    const v = aggregate(slots, c.metric, c.agg ?? "max");
+    return v !== null && OPS[c.op](v, c.value);
+  };
+  if (cond.all) return cond.all.every(test);
+  if (cond.any) return cond.any.some(test);
+  return false;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function windowStats(slots) {
+  return {
+    rainMm: round1(aggregate(slots, "rainMm", "sum") ?? 0),
+    popPct: Math.round((aggregate(slots, "pop", "max") ?? 0) * 100),
+    maxWindMs: round1(aggregate(slots, "windMs", "max") ?? 0),
+    minTempC: round1(aggregate(slots, "tempC", "min") ?? 0)
+  };
+}
+
+const fill = (template, stats) => template.replace(/\{(\w+)\}/g, (m, k) => (k in stats ? String(stats[k]) : m));
+
+// Keywords match whole words, so "water" does not catch "watermelon".
+const keywordPatterns = new WeakMap();
+const matches = (rule, todo) => {
+  if (!keywordPatterns.has(rule)) keywordPatterns.set(rule, new RegExp(`\\b(?:${rule.keywords.join("|")})\\b`, "i"));
+  return keywordPatterns.get(rule).test(String(todo.title ?? ""));
+};
+
+// A window is only judged if the forecast covers its end; otherwise we'd "clear" times
+// we simply know nothing about.
+const covered = (slots, t, window) => slots.length > 0 && slots[slots.length - 1].t + SLOT_MS >= t + window.toH * HOUR_MS;
+
+function findReschedule(rule, slots, from, offsetSec) {
+  const { searchH, hours: [startHour, endHour] } = rule.reschedule;
+  for (const s of slots) {
+    if (s.t <= from || s.t > from + searchH * HOUR_MS) continue;
+    const hour = new Date(s.t + offsetSec * 1000).getUTCHours();
+    if (hour < startHour || hour >= endHour) continue;
+    if (!covered(slots, s.t, rule.window)) break;
+    if (!conditionHolds(rule.when, inWindow(slots, s.t, rule.window))) return s.t;
+  }
+  return null;
+}
+
+// todos: the farm's todos; forecast: raw OpenWeather /forecast response.
+// Returns alerts sorted by todo time:
+//   { id, ruleId, severity, todoId, todoTitle, when, message, stats, suggestion: { when } | null }
+export function evaluateTodos(todos, forecast, { rules = DEFAULT_RULES, now = Date.now() } = {}) {
+  const slots = forecastSlots(forecast);
+  const offsetSec = forecast.city?.timezone ?? 0;
+  const alerts = [];
+
+  for (const todo of todos) {
+    if (todo.done || !todo.when) continue;
+    const t = localToEpoch(todo.when, offsetSec);
+    if (Number.isNaN(t) || t < now) continue;
+
+    for (const rule of rules) {
+      if (!matches(rule, todo) || !covered(slots, t, rule.window)) continue;
+      const win = inWindow(slots, t, rule.window);
+      if (!conditionHolds(rule.when, win)) continue;
+
+      const stats = windowStats(win);
+      const next = rule.reschedule ? findReschedule(rule, slots, t, offsetSec) : null;
+      alerts.push({
+        id: `${rule.id}:${todo.id}`,
+        ruleId: rule.id,
+        severity: rule.severity,
+        todoId: todo.id,
+        todoTitle: todo.title,
+        when: todo.when,
+        message: fill(rule.message, stats),
+        stats,
+        suggestion: next === null ? null : { when: epochToLocal(next, offsetSec) },
+        t
+      });
+    }
+  }
+
+  return alerts.sort((a, b) => a.t - b.t).map(({ t, ...a }) => a);
+}
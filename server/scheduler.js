@@ -0,0 +1,136 @@
+// server/scheduler.js
+// Periodic job that (1) materializes upcoming occurrences of recurring todos and
+// (2) fires reminders `lead` minutes before a todo's `when`.
+//
+// Recurring series: the todo carrying `recurrence` is the series template (and its first
+// occurrence). Later occurrences are ordinary todos with `seriesId` pointing at it, created
+// up to `horizonDays` ahead. `materializedThrough` on the template remembers the last
+// generated time, so deleting one occurrence does not make it come back. Occurrences already
+// past when the series is first seen (a template with an old `when`) are not created.
+//
+// Times are farm-local wall-clock strings; "now" is computed in the farm's time zone.
+
+import { occurrencesBetween, shiftLocal } from "./recurrence.js";
+import { localDateTime } from "./tools.js";
+import { log, errorFields } from "./log.js";
+
+// Removes the upcoming, not-done occurrences of the series `templateId` (occurrences at or
+// before `nowLocal` and finished ones are history and stay), so the scheduler regenerates them
+// from the template's current rule. With `unlink` — the template is being deleted — the
+// occurrences that stay lose their `seriesId`. Returns how many were removed.
+export async function clearSeries(store, templateId, nowLocal, { unlink = false } = {}) {
+  let removed = 0;
+  for (const t of await store.list("todos")) {
+    if (t.seriesId !== templateId) continue;
+    if (!t.done && t.when > nowLocal) {
+      await store.remove("todos", t.id);
+      removed++;
+    } else if (unlink) {
+      await store.update("todos", t.id, { seriesId: null, version: (t.version ?? 1) + 1 });
+    }
+  }
+  return removed;
+}
+
+// Reminders older than this are not sent (e.g. after the server was down for a day).
+const MAX_LATE_MIN = 24 * 60;
+
+export function createScheduler({
+  store,
+  notifier,
+  makeId,
+  intervalMs = 60_000,
+  horizonDays = 14,
+  defaultLeadMin = 60,
+  defaultTimezone,
+  clock = () => new Date()
+}) {
+  let timer = null;
+  let running = null;
+
+  async function materialize(todo, nowLocal) {
+    const through = shiftLocal(nowLocal, horizonDays * 24 * 60);
+    const from = todo.materializedThrough || todo.when;
+    const after = from > nowLocal ? from : nowLocal;
+    const due = occurrencesBetween(todo.recurrence, todo.when, after, through);
+    if (!due.length) return 0;
+    for (const when of due) {
+      await store.insert("todos", {
+        id: makeId(),
+        farmId: todo.farmId,
+        title: todo.title,
+        cropId: todo.cropId ?? null,
+        when,
+        done: false,
+        remindBeforeMin: todo.remindBeforeMin ?? null,
+        seriesId: todo.id,
+        version: 1
+      });
+    }
+    await store.update("todos", todo.id, { materializedThrough: due[due.length - 1] });
+    return due.length;
+  }
+
+  async function remind(todo, nowLocal, crops) {
+    const lead = todo.remindBeforeMin ?? defaultLeadMin;
+    if (shiftLocal(todo.when, -lead) > nowLocal) return false;
+    if (shiftLocal(todo.when, MAX_LATE_MIN) < nowLocal) return false;
+    const crop = todo.cropId ? crops.find(c => c.id === todo.cropId)?.name : null;
+    await notifier.notify({
+      farmId: todo.farmId,
+      todoId: todo.id,
+      title: todo.title,
+      body: `${crop ? `${crop} • ` : ""}due ${todo.when.replace("T", " ")}`,
+      when: todo.when
+    });
+    await store.update("todos", todo.id, { remindedAt: Date.now() });
+    return true;
+  }
+
+  async function tick() {
+    const now = clock();
+    const farms = await store.list("farms");
+    const crops = await store.list("crops");
+    const stats = { created: 0, reminded: 0 };
+
+    for (const farm of farms) {
+      const nowLocal = localDateTime(now, farm.timezone || defaultTimezone);
+      const todos = (await store.list("todos")).filter(t => t.farmId === farm.id);
+
+      for (const t of todos) {
+        if (t.recurrence && !t.seriesId && t.when) stats.created += await materialize(t, nowLocal);
+      }
+      // Re-read so freshly created occurrences are considered for reminders too.
+      for (const t of (await store.list("todos")).filter(x => x.farmId === farm.id)) {
+        if (t.done || !t.when || t.remindedAt) continue;
+        if (await remind(t, nowLocal, crops)) stats.reminded++;
+      }
+    }
+    return stats;
+  }
+
+  // Never overlap runs: a slow tick just delays the next one.
+  const safeTick = () => {
+    if (running) return running;
+    running = tick()
+      .catch(e => log.error("Scheduler tick failed", errorFields(e)))
+      .finally(() => { running = null; });
+    return running;
+  };
+
+  return {
+    tick,
+    // Run now (e.g. right after a recurring todo is saved) instead of waiting for the interval.
+    run: safeTick,
+    start() {
+      if (timer) return;
+      safeTick();
+      timer = setInterval(safeTick, intervalMs);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
@@ -0,0 +1,169 @@
+// server/storage.js
+// Pluggable persistence for the API. Every driver exposes the same async collection API:
+//   list(name) · get(name, id) · insert(name, record) · update(name, id, patch) · remove(name, id)
+// Drivers: "memory" (tests/dev, lost on restart) and "file" (JSON document, atomic writes).
+
+import fs from "fs/promises";
+import path from "path";
+
+// Bump when the on-disk layout changes and append a migration below.
+export const SCHEMA_VERSION = 3;
+
+// Each migration receives the document at version - 1 and returns it at `version`.
+const migrations = [
+  {
+    version: 1,
+    // Pre-versioned layout: { crops, todos } at the top level (or nothing at all).
+    up: (doc) => ({
+      collections: {
+        crops: Array.isArray(doc.crops) ? doc.crops : [],
+        todos: Array.isArray(doc.todos) ? doc.todos : [],
+        ...(doc.collections || {})
+      }
+    })
+  },
+  {
+    version: 2,
+    // Accounts and farms. Existing crops/todos have no farmId yet; the first farm created
+    // after the upgrade claims them (see POST /api/auth/register).
+    up: (doc) => ({
+      ...doc,
+      collections: { users: [], sessions: [], farms: [], ...doc.collections }
+    })
+  },
+  {
+    version: 3,
+    // Record versions for optimistic concurrency (If-Match on PUT/DELETE).
+    up: (doc) => {
+      const collections = { ...doc.collections };
+      for (const name of ["crops", "todos", "plots"]) {
+        collections[name] = (collections[name] || []).map(r => ({ version: 1, ...r }));
+      }
+      return { ...doc, collections };
+    }
+  }
+];
+
+export function migrate(doc) {
+  let current = doc && typeof doc === "object" ? doc : {};
+  const from = Number(current.schemaVersion) || 0;
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Data schema v${from} is newer than this server (v${SCHEMA_VERSION})`);
+  }
+  for (const m of migrations) {
+    if (m.version <= from) continue;
+    current = { ...m.up(current), schemaVersion: m.version };
+  }
+  return { doc: current, migrated: from !== SCHEMA_VERSION };
+}
+
+const clone = (v) => (v === undefined ? v : structuredClone(v));
+
+// Shared collection logic; drivers only differ in how `persist` stores the document.
+function createStore(doc, persist) {
+  const coll = (name) => (doc.collections[name] ??= []);
+
+  // Serialize writes so concurrent requests never interleave partial files. A failed write
+  // does not block later ones; `undo` takes the change back out of memory first, so a write
+  // reported as failed is not saved by the next one.
+  let chain = Promise.resolve();
+  const commit = (undo) =>
+    (chain = chain
+      .catch(() => {})
+      .then(() =>
+        persist(doc).catch((e) => {
+          undo();
+          throw e;
+        })
+      ));
+
+  return {
+    async list(name) {
+      return clone(coll(name));
+    },
+    async get(name, id) {
+      return clone(coll(name).find(r => r.id === id) ?? null);
+    },
+    async insert(name, record) {
+      const items = coll(name);
+      const added = clone(record);
+      items.push(added);
+      await commit(() => {
+        const i = items.indexOf(added);
+        if (i !== -1) items.splice(i, 1);
+      });
+      return clone(record);
+    },
+    async update(name, id, patch) {
+      const items = coll(name);
+      const i = items.findIndex(r => r.id === id);
+      if (i === -1) return null;
+      const before = items[i];
+      const after = { ...before, ...clone(patch), id };
+      items[i] = after;
+      await commit(() => {
+        const j = items.indexOf(after);
+        if (j !== -1) items[j] = before;
+      });
+      return clone(after);
+    },
+    async remove(name, id) {
+      const items = coll(name);
+      const i = items.findIndex(r => r.id === id);
+      if (i === -1) return false;
+      const [removed] = items.splice(i, 1);
+      await commit(() => items.splice(Math.min(i, items.length), 0, removed));
+      return true;
+    },
+    async close() {
+      await chain.catch(() => {});
+    }
+  };
+}
+
+export function createMemoryStore(seed = {}) {
+  const { doc } = migrate(clone(seed));
+  return createStore(doc, async () => {});
+}
+
+// Write to a temp file in the same directory, flush, then rename over the target.
+// rename() is atomic on POSIX, so readers see either the old or the new document.
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  const handle = await fs.open(tmp, "w");
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.rename(tmp, file);
+}
+
+export async function createJsonFileStore(file) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+
+  let raw = null;
+  try {
+    raw = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Cannot read data file ${file}: ${e.message}`);
+  }
+
+  const { doc, migrated } = migrate(raw);
+  const persist = (d) => writeAtomic(file, JSON.stringify(d, null, 2));
+  if (raw === null || migrated) await persist(doc);
+
+  return createStore(doc, persist);
+}
+
+export async function openStore({ driver = "file", file = "data/farm.json" } = {}) {
+  switch (driver) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createJsonFileStore(path.resolve(file));
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "file" or "memory")`);
+  }
+}
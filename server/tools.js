@@ -0,0 +1,126 @@
+// server/tools.js
+// Farm operations the chat assistant may call (LLM function calling).
+// Each tool: { declaration, run(args) } plus, for destructive tools, `destructive: true` and
+// `describe(args)`. Destructive tools are never run straight from a model turn — the
+// assistant pauses and the farmer has to confirm (see server/assistant.js).
+
+const obj = (properties, required = []) => ({ type: "object", properties, required });
+
+// ops: { listCrops, listTodos, createTodo, updateTodo, deleteTodo, getWeather } bound to one farm.
+// coords: the farmer's current { lat, lon } (or null) for weather lookups.
+export function createFarmTools(ops, { coords = null } = {}) {
+  const todoView = (t) => ({ id: t.id, title: t.title, cropId: t.cropId, when: t.when, done: t.done });
+
+  return {
+    list_crops: {
+      declaration: {
+        name: "list_crops",
+        description:
+          "List the farmer's crops with their ids, names, varieties, plot, area, sowing date, " +
+          "expected harvest, current growth stage and days to harvest.",
+        parameters: obj({})
+      },
+      run: async () => (await ops.listCrops()).map(c => ({
+        id: c.id,
+        name: c.name,
+        variety: c.variety,
+        plot: c.plot || null,
+        areaAcres: c.areaAcres ?? null,
+        sowingDate: c.sowingDate ?? null,
+        expectedHarvest: c.expectedHarvest ?? null,
+        stage: c.lifecycle?.stage ?? null,
+        daysToHarvest: c.lifecycle?.daysToHarvest ?? null
+      }))
+    },
+
+    list_todos: {
+      declaration: {
+        name: "list_todos",
+        description: "List the farmer's tasks. By default only open (not done) tasks are returned.",
+        parameters: obj({
+          includeDone: { type: "boolean", description: "Also return completed tasks." }
+        })
+      },
+      run: async ({ includeDone = false } = {}) =>
+        (await ops.listTodos()).filter(t => includeDone || !t.done).map(todoView)
+    },
+
+    create_todo: {
+      declaration: {
+        name: "create_todo",
+        description:
+          "Create a task/reminder. Use list_crops first to find the cropId when the task is about a specific crop.",
+        parameters: obj({
+          title: { type: "string", description: "Short task description, e.g. 'Irrigate wheat'." },
+          cropId: { type: "string", description: "Id of the crop from list_crops, if any." },
+          when: { type: "string", description: "Local date and time as YYYY-MM-DDTHH:mm, if scheduled." }
+        }, ["title"])
+      },
+      run: async ({ title, cropId = null, when = null }) => todoView(await ops.createTodo({ title, cropId, when }))
+    },
+
+    complete_todo: {
+      declaration: {
+        name: "complete_todo",
+        description: "Mark a task as done. Use list_todos first to find its id.",
+        parameters: obj({ todoId: { type: "string" } }, ["todoId"])
+      },
+      run: async ({ todoId }) => todoView(await ops.updateTodo(todoId, { done: true }))
+    },
+
+    delete_todo: {
+      declaration: {
+        name: "delete_todo",
+        description: "Permanently delete a task. Use list_todos first to find its id.",
+        parameters: obj({ todoId: { type: "string" } }, ["todoId"])
+      },
+      destructive: true,
+      describe: async ({ todoId }) => {
+        const t = (await ops.listTodos()).find(x => x.id === todoId);
+        return t ? `Delete task "${t.title}"${t.when ? ` (${t.when})` : ""}` : `Delete task ${todoId}`;
+      },
+      run: async ({ todoId }) => {
+        const t = await ops.deleteTodo(todoId);
+        return { deleted: todoView(t) };
+      }
+    },
+
+    get_weather: {
+      declaration: {
+        name: "get_weather",
+        description: "Current weather (temperature °C, humidity, wind, conditions) at the farmer's location.",
+        parameters: obj({})
+      },
+      run: async () => {
+        if (!coords?.lat || !coords?.lon) return { error: "The farmer's location is not known." };
+        const w = await ops.getWeather(coords);
+        return {
+          place: w.name,
+          conditions: w.weather?.[0]?.description,
+          tempC: w.main?.temp,
+          humidity: w.main?.humidity,
+          windMs: w.wind?.speed,
+          rain1hMm: w.rain?.["1h"] ?? 0
+        };
+      }
+    }
+  };
+}
+
+export const toolDeclarations = (tools) => Object.values(tools).map(t => t.declaration);
+
+// "YYYY-MM-DDTHH:mm" in the given IANA time zone (server zone if missing/invalid) — the
+// format todos use for `when`, so the model can resolve "tomorrow at 6am".
+export function localDateTime(date, timeZone) {
+  let parts;
+  try {
+    parts = new Intl.DateTimeFormat("en-CA", {
+      timeZone: timeZone || undefined,
+      year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", hourCycle: "h23"
+    }).formatToParts(date);
+  } catch {
+    return localDateTime(date);
+  }
+  const p = Object.fromEntries(parts.map(x => [x.type, x.value]));
+  return `${p.year}-${p.month}-${p.day}T${p.hour}:${p.minute}`;
+}
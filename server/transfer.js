@@ -0,0 +1,300 @@
+// server/transfer.js
+// Getting farm data out and back in: CSV for crops and todos (spreadsheet round-trips), a JSON
+// backup of the whole farm, and the import planner that validates incoming records and works
+// out what an import would create, update or delete before anything is written.
+
+import { validate, PlotSchema, CropSchema, TodoSchema, InputSchema, ExpenseSchema, YieldSchema } from "./validation.js";
+import { toRRule } from "./recurrence.js";
+import { HttpError } from "./errors.js";
+
+export const BACKUP_FORMAT = "farmbot-backup";
+
+// Farm collections in dependency order (a record only references ones listed before it, or
+// todos themselves through seriesId).
+//   derived — computed by the server from other fields; dropped on import
+//   keep    — maintained by the server but restored from a backup as they were
+//   refs    — field -> collection it points into
+export const COLLECTIONS = {
+  plots: { schema: PlotSchema, derived: ["areaAcres", "areaHectares"], refs: {} },
+  crops: { schema: CropSchema, refs: { plotId: "plots" } },
+  todos: {
+    schema: TodoSchema,
+    keep: ["seriesId", "materializedThrough", "remindedAt"],
+    refs: { cropId: "crops", seriesId: "todos" }
+  },
+  inputs: { schema: InputSchema, refs: { cropId: "crops", todoId: "todos" } },
+  expenses: { schema: ExpenseSchema, refs: { cropId: "crops", todoId: "todos" } },
+  yields: { schema: YieldSchema, refs: { cropId: "crops", todoId: "todos" } }
+};
+
+const NAMES = Object.keys(COLLECTIONS);
+
+// =============================
+// CSV
+// =============================
+
+export const CSV_COLUMNS = {
+  crops: ["id", "name", "variety", "plot", "plotId", "areaAcres", "sowingDate", "expectedHarvest", "template"],
+  // `crop` is the crop's name: filled in on export, used to find the crop when cropId is empty
+  todos: ["id", "title", "crop", "cropId", "when", "done", "recurrence", "remindBeforeMin"]
+};
+
+// Cells starting with these are formulas to a spreadsheet; they are written with a leading
+// apostrophe (which spreadsheets hide) and read back without it.
+const FORMULA_START = /^[=+\-@]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export const toCsv = (columns, rows) =>
+  [columns, ...rows.map((r) => columns.map((c) => r[c]))].map((cells) => cells.map(csvCell).join(",")).join("\r\n") + "\r\n";
+
+// RFC 4180: quoted cells may contain commas, quotes ("") and line breaks. Blank lines are skipped.
+export function parseCsv(text) {
+  const src = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"' && cell === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((c) => c !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  row.push(cell);
+  if (row.some((c) => c !== "")) rows.push(row);
+  return rows;
+}
+
+// Export rows: crops as stored, todos with the crop's name and recurrence as an RRULE.
+export function csvRows(name, records, crops = []) {
+  if (name !== "todos") return records;
+  const cropNames = new Map(crops.map((c) => [c.id, c.name]));
+  return records.map((t) => ({
+    ...t,
+    crop: cropNames.get(t.cropId) ?? "",
+    recurrence: t.recurrence ? toRRule(t.recurrence) : ""
+  }));
+}
+
+const BOOLEANS = { true: true, false: false, yes: true, no: false, 1: true, 0: false };
+
+// CSV text -> record objects shaped for planImport. Cells are converted by the schema's types;
+// an empty cell means null for nullable fields and the default otherwise. A todo with an empty
+// cropId but a `crop` name is linked to the farm's crop of that name (case-insensitive).
+// Returns { records, errors } with errors in the planImport shape.
+export function fromCsv(name, text, crops = []) {
+  const columns = CSV_COLUMNS[name];
+  const { schema } = COLLECTIONS[name];
+  const [header = [], ...lines] = parseCsv(text);
+  const heads = header.map((h) => h.trim());
+  const errors = heads
+    .filter((h) => !columns.includes(h))
+    .map((h) => ({ collection: name, row: 0, field: h, message: "is not a known column" }));
+  const byName = new Map(crops.map((c) => [c.name.toLowerCase(), c.id]));
+
+  const records = lines.map((cells, i) => {
+    const rec = {};
+    heads.forEach((h, j) => {
+      if (!columns.includes(h)) return;
+      let v = (cells[j] ?? "").trim();
+      if (FORMULA_START.test(v.slice(1)) && v.startsWith("'")) v = v.slice(1);
+      if (h === "id") {
+        if (v) rec.id = v;
+        return;
+      }
+      if (h === "crop") return;
+      const rule = schema[h];
+      if (v === "") {
+        if (rule.nullable) rec[h] = null;
+        else if (rule.type === "string") rec[h] = "";
+        return;
+      }
+      if (rule.type === "number") rec[h] = Number.isNaN(Number(v)) ? v : Number(v);
+      else if (rule.type === "boolean") rec[h] = BOOLEANS[v.toLowerCase()] ?? v;
+      else rec[h] = v;
+    });
+    const cropName = name === "todos" ? (cells[heads.indexOf("crop")] ?? "").trim() : "";
+    if (cropName && !rec.cropId) {
+      const id = byName.get(cropName.toLowerCase());
+      if (id) rec.cropId = id;
+      else errors.push({ collection: name, row: i + 1, field: "crop", message: `no crop named "${cropName}"` });
+    }
+    return rec;
+  });
+  return { records, errors };
+}
+
+// =============================
+// Backup
+// =============================
+
+const stripFarm = ({ farmId, ...rec }) => rec;
+
+export const backupDocument = ({ farm, schemaVersion, collections, now = new Date() }) => ({
+  format: BACKUP_FORMAT,
+  schemaVersion,
+  exportedAt: now.toISOString(),
+  farm: { name: farm.name, timezone: farm.timezone ?? null },
+  collections: Object.fromEntries(NAMES.map((n) => [n, (collections[n] ?? []).map(stripFarm)]))
+});
+
+// Backup document -> { [collection]: records } for planImport; 400 when it is not a backup.
+export function fromBackup(doc) {
+  if (doc?.format !== BACKUP_FORMAT || typeof doc.collections !== "object" || doc.collections === null) {
+    throw new HttpError(400, `Not a ${BACKUP_FORMAT} document`);
+  }
+  const unknown = Object.keys(doc.collections).filter((n) => !COLLECTIONS[n]);
+  if (unknown.length) throw new HttpError(400, `Unknown collections: ${unknown.join(", ")}`);
+  for (const [n, list] of Object.entries(doc.collections)) {
+    if (!Array.isArray(list)) throw new HttpError(400, `collections.${n} must be a list`);
+  }
+  return doc.collections;
+}
+
+// =============================
+// Import planning
+// =============================
+
+const label = (rec) => rec.name || rec.title || rec.product || rec.description || rec.category || rec.date || "";
+// The schema fields of a stored record.
+const storedFields = (schema, rec) => Object.fromEntries(Object.keys(schema).filter((f) => f in rec).map((f) => [f, rec[f]]));
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Works out an import without writing anything.
+//   incoming  { [collection]: records } (ids optional; farmId/version ignored)
+//   existing  { [collection]: this farm's records }
+//   foreign   { [collection]: Set of ids used by other farms } — such ids are replaced
+//   mode      "merge" (create + update) or "replace" (also delete what the import lacks, for
+//             the collections it contains)
+//   prepare   (collection, fields) -> fields; server-side defaults, throws HttpError to reject
+// Records keep their id when it is free, so a backup restores with its links intact; replaced
+// ids are remapped in every reference. Returns { ops, report }: ops are { create, update,
+// remove } lists per collection, report is what the client is shown.
+export function planImport({ incoming, existing, foreign, mode = "merge", prepare = (_n, f) => f, makeId }) {
+  const errors = [];
+  const remap = Object.fromEntries(NAMES.map((n) => [n, new Map()]));
+  const planned = {};
+
+  for (const name of NAMES) {
+    const list = incoming[name];
+    if (!list) continue;
+    const { schema, derived = [], keep = [] } = COLLECTIONS[name];
+    const current = new Map((existing[name] ?? []).map((r) => [r.id, r]));
+    const seen = new Set();
+    planned[name] = [];
+
+    list.forEach((raw, i) => {
+      const row = i + 1;
+      if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+        errors.push({ collection: name, row, field: "", message: "must be an object" });
+        return;
+      }
+      const { id, farmId, version, createdAt, ...rest } = raw;
+      for (const f of derived) delete rest[f];
+      const kept = {};
+      for (const f of keep) {
+        if (f in rest) kept[f] = rest[f];
+        delete rest[f];
+      }
+      // A row for a record the farm already has only changes the fields it carries, so a CSV
+      // with a few columns does not reset the others to their defaults.
+      const stored = typeof id === "string" && !foreign[name]?.has(id) ? current.get(id) : undefined;
+      let fields;
+      try {
+        fields = stored
+          ? prepare(name, { ...storedFields(schema, stored), ...validate(schema, rest, { partial: true }) })
+          : prepare(name, validate(schema, rest));
+      } catch (e) {
+        if (!(e instanceof HttpError)) throw e;
+        const details = Array.isArray(e.details) ? e.details : [{ field: "", message: e.message }];
+        for (const d of details) errors.push({ collection: name, row, field: d.field, message: d.message });
+        return;
+      }
+      if (id !== undefined && (typeof id !== "string" || !id)) {
+        errors.push({ collection: name, row, field: "id", message: "must be a non-empty string" });
+        return;
+      }
+      if (id && seen.has(id)) {
+        errors.push({ collection: name, row, field: "id", message: "appears more than once" });
+        return;
+      }
+      if (id) seen.add(id);
+      const newId = id && !foreign[name]?.has(id) ? id : makeId();
+      if (id && newId !== id) remap[name].set(id, newId);
+      planned[name].push({ row, id: newId, fields: { ...fields, ...kept }, before: current.get(newId) ?? null });
+    });
+  }
+
+  // Point references at remapped ids, then check every one resolves after the import.
+  const finalIds = Object.fromEntries(
+    NAMES.map((n) => {
+      const ids = new Set(planned[n]?.map((p) => p.id));
+      if (!(mode === "replace" && planned[n])) for (const r of existing[n] ?? []) ids.add(r.id);
+      return [n, ids];
+    })
+  );
+  for (const [name, list] of Object.entries(planned)) {
+    for (const p of list) {
+      for (const [field, target] of Object.entries(COLLECTIONS[name].refs)) {
+        const ref = p.fields[field];
+        if (!ref) continue;
+        const to = remap[target].get(ref) ?? ref;
+        p.fields[field] = to;
+        if (!finalIds[target].has(to)) {
+          errors.push({ collection: name, row: p.row, field, message: `does not reference an existing ${target.replace(/s$/, "")}` });
+        }
+      }
+    }
+  }
+
+  const ops = {};
+  const report = { mode, collections: {}, errors };
+  for (const [name, list] of Object.entries(planned)) {
+    const create = list.filter((p) => !p.before);
+    const update = list.filter((p) => p.before && Object.keys(p.fields).some((f) => !same(p.fields[f], p.before[f])));
+    const ids = new Set(list.map((p) => p.id));
+    const remove = mode === "replace" ? (existing[name] ?? []).filter((r) => !ids.has(r.id)) : [];
+    ops[name] = { create, update, remove };
+    report.collections[name] = {
+      create: create.map((p) => ({ id: p.id, label: label(p.fields) })),
+      update: update.map((p) => ({
+        id: p.id,
+        label: label(p.fields),
+        changes: Object.fromEntries(
+          Object.keys(p.fields)
+            .filter((f) => !same(p.fields[f], p.before[f]))
+            .map((f) => [f, { from: p.before[f] ?? null, to: p.fields[f] ?? null }])
+        )
+      })),
+      delete: remove.map((r) => ({ id: r.id, label: label(r) })),
+      unchanged: list.length - create.length - update.length
+    };
+  }
+  return { ops, report };
+}
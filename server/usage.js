@@ -0,0 +1,163 @@
+// server/usage.js
+// Guards for the routes that call paid upstream APIs (the LLM and OpenWeather): per-client rate
+// limits and daily quotas, plus the usage meter they are checked against, which also feeds the
+// admin usage report with calls, tokens and estimated cost per day.
+//
+// A client is the signed-in user ("user:<id>") or, on routes without sign-in, the caller's IP
+// ("ip:<address>"). Days are UTC dates ("YYYY-MM-DD"), so quotas reset at 00:00 UTC.
+//
+// usage: {id: "<day>|<client>", day, client, chatRequests, llmCalls, inputTokens, outputTokens,
+//         weatherRequests, weatherUpstream}
+// Upstream weather fetches are shared through the cache, so they are counted for client "server".
+
+import { HttpError } from "./errors.js";
+import { log, errorFields } from "./log.js";
+
+export const USAGE_FIELDS = ["chatRequests", "llmCalls", "inputTokens", "outputTokens", "weatherRequests", "weatherUpstream"];
+
+export const SERVER_CLIENT = "server";
+
+export const clientKey = (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+const secondsToMidnight = (ms) => Math.ceil((Date.parse(`${dayOf(ms)}T00:00:00Z`) + 86_400_000 - ms) / 1000);
+
+// 429 that tells the client when to come back (sent as the Retry-After header by `guard`).
+const tooMany = (message, code, retryAfterS, details) =>
+  new HttpError(429, message, { code, details: { ...details, retryAfterS } });
+
+// Fixed-window counter per key: at most `max` calls per `windowMs`. `max` 0 disables it.
+export function createRateLimiter({ max, windowMs = 60_000, now = Date.now }) {
+  const windows = new Map(); // key -> { start, count }
+  return {
+    max,
+    windowMs,
+    // Counts a call; returns null when allowed, else the seconds until the window resets.
+    take(key) {
+      if (!max) return null;
+      const t = now();
+      let w = windows.get(key);
+      if (!w || t - w.start >= windowMs) {
+        // drop finished windows now and then so idle clients do not pile up
+        if (windows.size > 10_000) for (const [k, v] of windows) if (t - v.start >= windowMs) windows.delete(k);
+        w = { start: t, count: 0 };
+        windows.set(key, w);
+      }
+      if (w.count >= max) return Math.max(1, Math.ceil((w.start + windowMs - t) / 1000));
+      w.count++;
+      return null;
+    }
+  };
+}
+
+// Usage counters per day and client, kept in memory and written to the store's "usage"
+// collection every `flushMs`. Rows older than `retentionDays` are dropped on flush.
+export async function createUsageMeter({ store, flushMs = 30_000, retentionDays = 90, now = Date.now }) {
+  const rows = new Map((await store.list("usage")).map((r) => [r.id, r]));
+  const dirty = new Set();
+  let timer = null;
+
+  const row = (client, day = dayOf(now())) => {
+    const id = `${day}|${client}`;
+    if (!rows.has(id)) rows.set(id, { id, day, client, ...Object.fromEntries(USAGE_FIELDS.map((f) => [f, 0])), isNew: true });
+    return rows.get(id);
+  };
+
+  async function flush() {
+    const oldest = dayOf(now() - retentionDays * 86_400_000);
+    for (const [id, r] of rows) {
+      if (r.day >= oldest) continue;
+      rows.delete(id);
+      dirty.delete(id);
+      if (!r.isNew) await store.remove("usage", id);
+    }
+    for (const id of [...dirty]) {
+      dirty.delete(id);
+      const current = rows.get(id);
+      const { isNew, ...r } = current;
+      current.isNew = false; // before awaiting, so an overlapping flush updates instead
+      if (isNew) await store.insert("usage", r);
+      else await store.update("usage", id, r);
+    }
+  }
+
+  const safeFlush = () => flush().catch((e) => log.error("Usage flush failed", errorFields(e)));
+
+  return {
+    // Adds `counts` ({ field: n }) to today's row for `client`.
+    add(client, counts) {
+      const r = row(client);
+      for (const [f, n] of Object.entries(counts)) if (n) r[f] += n;
+      dirty.add(r.id);
+    },
+    today: (client) => row(client),
+    flush,
+    start() {
+      if (timer) return;
+      timer = setInterval(safeFlush, flushMs);
+      timer.unref?.();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+    // Per-day totals, newest first, for the last `days` days. `prices` turn them into an
+    // estimated cost; `top` is how many of the busiest clients each day lists.
+    report({ days = 30, prices, top = 10 }) {
+      const since = dayOf(now() - (days - 1) * 86_400_000);
+      const byDay = new Map();
+      for (const r of rows.values()) {
+        if (r.day < since) continue;
+        if (!byDay.has(r.day)) byDay.set(r.day, []);
+        byDay.get(r.day).push(r);
+      }
+      const round = (n) => Math.round(n * 1e6) / 1e6;
+      const costOf = (t) =>
+        round(
+          (t.inputTokens * prices.inputPerMTok + t.outputTokens * prices.outputPerMTok) / 1e6 +
+            t.weatherUpstream * prices.weatherPerCall
+        );
+      const strip = ({ id, day, isNew, ...r }) => r;
+      return [...byDay.entries()]
+        .sort(([a], [b]) => b.localeCompare(a))
+        .map(([day, list]) => {
+          const totals = Object.fromEntries(USAGE_FIELDS.map((f) => [f, list.reduce((n, r) => n + r[f], 0)]));
+          const clients = list
+            .filter((r) => r.client !== SERVER_CLIENT)
+            .map((r) => ({ ...strip(r), estimatedCost: costOf(r) }))
+            .sort((a, b) => b.inputTokens + b.outputTokens - (a.inputTokens + a.outputTokens) || b.chatRequests + b.weatherRequests - (a.chatRequests + a.weatherRequests))
+            .slice(0, top);
+          return { day, ...totals, estimatedCost: costOf(totals), clients };
+        });
+    }
+  };
+}
+
+// Express middleware admitting a request of `kind` ("chat" | "weather") for the client: the
+// rate limit first, then the daily quotas ({ requests, tokens }; 0 = unlimited). Rejections are
+// 429 with Retry-After; an admitted request is counted.
+export function guard({ kind, limiter, meter, quota }) {
+  const field = `${kind}Requests`;
+  return (req, res, next) => {
+    const client = clientKey(req);
+    const reject = (err) => {
+      res.set("Retry-After", String(err.details.retryAfterS));
+      next(err);
+    };
+    const wait = limiter.take(client);
+    if (wait !== null) {
+      return reject(tooMany("Too many requests, slow down", "rate_limited", wait, { limit: limiter.max, windowS: limiter.windowMs / 1000 }));
+    }
+    const today = meter.today(client);
+    if (quota.requests && today[field] >= quota.requests) {
+      return reject(tooMany("Daily request quota used up", "quota_exceeded", secondsToMidnight(Date.now()), { quota: quota.requests, used: today[field] }));
+    }
+    const tokens = today.inputTokens + today.outputTokens;
+    if (quota.tokens && tokens >= quota.tokens) {
+      return reject(tooMany("Daily token quota used up", "quota_exceeded", secondsToMidnight(Date.now()), { quota: quota.tokens, used: tokens }));
+    }
+    meter.add(client, { [field]: 1 });
+    next();
+  };
+}
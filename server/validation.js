@@ -0,0 +1,254 @@
+// server/validation.js
+// Declarative schemas for request bodies. A schema maps field name -> rule:
+//   { type: "string" | "boolean" | "number" | "date" | "datetime" | "object" | "any", required, nullable, default, maxLength, min, max,
+//     parse }   // parse(value) -> normalized value; throw Error(message) to reject
+// validate() rejects unknown fields, so clients cannot overwrite ids or inject extra keys.
+
+import { validationError } from "./errors.js";
+import { parseRecurrence } from "./recurrence.js";
+import { CROP_TEMPLATES } from "./catalog.js";
+import { parseBoundary } from "./geo.js";
+import { parseAudio } from "./voice.js";
+import { INPUT_TYPES, INPUT_UNITS, EXPENSE_CATEGORIES, YIELD_UNITS } from "./records.js";
+
+// "YYYY-MM-DDTHH:mm" (what <input type="datetime-local"> sends), optional seconds,
+// fraction and UTC offset.
+const DATETIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})?$/;
+
+export const isDateTime = (v) => typeof v === "string" && DATETIME_RE.test(v) && !Number.isNaN(Date.parse(v));
+
+// Calendar date "YYYY-MM-DD" (what <input type="date"> sends).
+export const isDate = (v) =>
+  typeof v === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v) && new Date(`${v}T00:00:00Z`).toISOString().startsWith(v);
+
+// Language code like "hi", "mr-IN" or OpenWeather's "zh_cn".
+export const isLanguageTag = (v) => typeof v === "string" && /^[a-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/.test(v);
+
+const checkers = {
+  string: (v) => typeof v === "string" || "must be a string",
+  boolean: (v) => typeof v === "boolean" || "must be a boolean",
+  number: (v) => (typeof v === "number" && Number.isFinite(v)) || "must be a number",
+  date: (v) => isDate(v) || "must be a date like 2025-06-01",
+  datetime: (v) => isDateTime(v) || "must be an ISO datetime like 2025-06-01T06:00",
+  object: (v) => (v !== null && typeof v === "object" && !Array.isArray(v)) || "must be an object",
+  any: () => true
+};
+
+function checkField(rule, value) {
+  const ok = checkers[rule.type](value);
+  if (ok !== true) return ok;
+  if (rule.type === "string") {
+    if (rule.required && !value.trim()) return "must not be empty";
+    if (rule.maxLength && value.length > rule.maxLength) return `must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.type === "number") {
+    if (rule.min !== undefined && value < rule.min) return `must be >= ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be <= ${rule.max}`;
+  }
+  return null;
+}
+
+// Returns the cleaned value. With { partial: true } (PUT), missing fields are left out
+// instead of required/defaulted. Throws a 400 HttpError listing every field error.
+export function validate(schema, input, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  const body = input && typeof input === "object" && !Array.isArray(input) ? input : null;
+  if (!body) throw validationError([{ field: "", message: "body must be a JSON object" }]);
+
+  for (const key of Object.keys(body)) {
+    if (!schema[key]) errors.push({ field: key, message: "is not allowed" });
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    let v = body[field];
+    if (v === undefined) {
+      if (partial) continue;
+      if (rule.required) {
+        errors.push({ field, message: "is required" });
+        continue;
+      }
+      if ("default" in rule) value[field] = rule.default;
+      continue;
+    }
+    if (v === null) {
+      if (rule.nullable) value[field] = null;
+      else errors.push({ field, message: "must not be null" });
+      continue;
+    }
+    if (rule.type === "string" && typeof v === "string") v = v.trim();
+    const msg = checkField(rule, v);
+    if (msg) {
+      errors.push({ field, message: msg });
+      continue;
+    }
+    if (rule.parse) {
+      try {
+        v = rule.parse(v);
+      } catch (e) {
+        errors.push({ field, message: e.message });
+        continue;
+      }
+    }
+    value[field] = v;
+  }
+
+  if (errors.length) throw validationError(errors);
+  return value;
+}
+
+export const CropSchema = {
+  name: { type: "string", required: true, maxLength: 80 },
+  variety: { type: "string", maxLength: 80, default: "" },
+  plot: { type: "string", maxLength: 80, default: "" },
+  // mapped plot (see PlotSchema); must belong to the same farm
+  plotId: { type: "string", nullable: true, default: null },
+  areaAcres: { type: "number", nullable: true, default: null, min: 0, max: 100000 },
+  sowingDate: { type: "date", nullable: true, default: null },
+  expectedHarvest: { type: "date", nullable: true, default: null },
+  // key into CROP_TEMPLATES (server/catalog.js); inferred from `name` when omitted
+  template: {
+    type: "string",
+    nullable: true,
+    default: null,
+    parse: (v) => {
+      const key = v.toLowerCase();
+      if (!CROP_TEMPLATES[key]) throw new Error(`must be one of ${Object.keys(CROP_TEMPLATES).join(", ")}`);
+      return key;
+    }
+  }
+};
+
+// A plot needs either a centroid (lat + lon) or a boundary to derive it from.
+export const PlotSchema = {
+  name: { type: "string", required: true, maxLength: 80 },
+  lat: { type: "number", nullable: true, default: null, min: -90, max: 90 },
+  lon: { type: "number", nullable: true, default: null, min: -180, max: 180 },
+  // GeoJSON Polygon (or Feature) in [lon, lat] order; see server/geo.js
+  boundary: { type: "object", nullable: true, default: null, parse: parseBoundary },
+  notes: { type: "string", maxLength: 500, default: "" }
+};
+
+export const TodoSchema = {
+  title: { type: "string", required: true, maxLength: 200 },
+  cropId: { type: "string", nullable: true, default: null },
+  when: { type: "datetime", nullable: true, default: null },
+  done: { type: "boolean", default: false },
+  // object ({freq, interval, byDay, until, count}) or RRULE string; see server/recurrence.js
+  recurrence: { type: "any", nullable: true, default: null, parse: parseRecurrence },
+  // minutes before `when` to send a reminder; null = server default (REMINDER_LEAD_MIN)
+  remindBeforeMin: { type: "number", nullable: true, default: null, min: 0, max: 7 * 24 * 60 }
+};
+
+// `parse` hook for a fixed list of (lower-case) values.
+const oneOf = (values) => (v) => {
+  const key = v.toLowerCase();
+  if (!values.includes(key)) throw new Error(`must be one of ${values.join(", ")}`);
+  return key;
+};
+
+// Farm records (server/records.js). `date` defaults to the farm's today; `todoId` links the
+// record to the task it was logged from.
+const recordLinks = {
+  date: { type: "date" },
+  todoId: { type: "string", nullable: true, default: null }
+};
+
+export const InputSchema = {
+  cropId: { type: "string", required: true },
+  ...recordLinks,
+  type: { type: "string", required: true, parse: oneOf(INPUT_TYPES) },
+  product: { type: "string", maxLength: 120, default: "" }, // e.g. "Urea", "Mancozeb 75 WP"
+  quantity: { type: "number", required: true, min: 0, max: 1e7 },
+  unit: { type: "string", required: true, parse: oneOf(INPUT_UNITS) },
+  cost: { type: "number", nullable: true, default: null, min: 0, max: 1e9 },
+  notes: { type: "string", maxLength: 500, default: "" }
+};
+
+export const ExpenseSchema = {
+  cropId: { type: "string", nullable: true, default: null }, // null = farm-wide
+  ...recordLinks,
+  category: { type: "string", required: true, parse: oneOf(EXPENSE_CATEGORIES) },
+  amount: { type: "number", required: true, min: 0, max: 1e9 },
+  description: { type: "string", maxLength: 200, default: "" }
+};
+
+export const YieldSchema = {
+  cropId: { type: "string", required: true },
+  ...recordLinks,
+  quantity: { type: "number", required: true, min: 0, max: 1e9 },
+  unit: { type: "string", required: true, parse: oneOf(Object.keys(YIELD_UNITS)) },
+  pricePerUnit: { type: "number", nullable: true, default: null, min: 0, max: 1e7 }, // sale price per `unit`
+  notes: { type: "string", maxLength: 500, default: "" }
+};
+
+// UI language; the assistant is told to answer in it ("" = no instruction)
+const langRule = {
+  type: "string",
+  maxLength: 16,
+  default: "",
+  parse: (v) => {
+    if (v && !isLanguageTag(v)) throw new Error("must be a language code like hi or mr-IN");
+    return v;
+  }
+};
+
+export const ChatSchema = {
+  // may be empty when `audio` is given (the route checks that one of them is present)
+  message: { type: "string", maxLength: 4000, default: "" },
+  cropId: { type: "string", nullable: true, default: null }, // crop the question is about
+  crop: { type: "string", maxLength: 80, default: "" }, // name, when no cropId is given
+  coords: { type: "object", nullable: true, default: null },
+  // ignored: the server looks the weather up itself (still accepted from older clients)
+  weather: { type: "object", nullable: true, default: null },
+  conversationId: { type: "string", nullable: true, default: null },
+  timezone: { type: "string", maxLength: 64, default: "" }, // IANA zone of the client, e.g. "Asia/Kolkata"
+  lang: langRule,
+  // recorded voice message { mimeType, data: base64 }; see server/voice.js
+  audio: { type: "object", nullable: true, default: null, parse: parseAudio },
+  // return the exact prompt context with the reply
+  debug: { type: "boolean", default: false }
+};
+
+// Multipart form fields sent with a leaf photo to POST /api/diagnose (all arrive as strings).
+const formCoordinate = (limit) => ({
+  type: "string",
+  nullable: true,
+  default: null,
+  parse: (v) => {
+    if (v === "") return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || Math.abs(n) > limit) throw new Error(`must be a number between -${limit} and ${limit}`);
+    return n;
+  }
+});
+
+export const DiagnoseSchema = {
+  cropId: { type: "string", nullable: true, default: null, parse: (v) => v || null },
+  crop: { type: "string", maxLength: 80, default: "" }, // name, when the crop is not on record
+  lat: formCoordinate(90),
+  lon: formCoordinate(180),
+  question: { type: "string", maxLength: 1000, default: "" },
+  lang: langRule,
+  conversationId: { type: "string", nullable: true, default: null, parse: (v) => v || null }
+};
+
+// Body of POST /api/diagnoses/:id/todos. `actions` are indexes into the diagnosis' actions.
+export const FollowUpSchema = {
+  actions: {
+    type: "any",
+    nullable: true,
+    default: null,
+    parse: (v) => {
+      if (!Array.isArray(v) || !v.every(Number.isInteger)) throw new Error("must be a list of action indexes");
+      return [...new Set(v)];
+    }
+  },
+  cropId: { type: "string", nullable: true }
+};
+
+export const ConfirmSchema = {
+  conversationId: { type: "string", required: true },
+  actionId: { type: "string", required: true },
+  approve: { type: "boolean", required: true }
+};
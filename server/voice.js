@@ -0,0 +1,30 @@
+// server/voice.js
+// Voice messages for the chat routes. The client records a clip and sends it base64-encoded
+// in the chat body as `audio: { mimeType, data }`, normally together with the browser's own
+// speech-to-text result as `message`. Providers that accept audio (llm.acceptsAudio) hear the
+// clip; the others answer the transcript. Clips are never stored — the conversation keeps the
+// transcript (or VOICE_PLACEHOLDER) instead.
+
+export const AUDIO_TYPES = ["audio/webm", "audio/ogg", "audio/wav", "audio/mpeg", "audio/mp4", "audio/aac", "audio/flac"];
+
+const ALIASES = { "audio/x-wav": "audio/wav", "audio/wave": "audio/wav", "audio/mp3": "audio/mpeg", "audio/x-m4a": "audio/mp4" };
+
+export const VOICE_PLACEHOLDER = "🎤 Voice message";
+
+// Validation `parse` hook: { mimeType, data } -> { mimeType, data, bytes }. Codec parameters
+// ("audio/webm;codecs=opus") are dropped. Throws Error(message) for anything else.
+export function parseAudio(input) {
+  const base = String(input.mimeType ?? "").split(";")[0].trim().toLowerCase();
+  const mimeType = ALIASES[base] ?? base;
+  if (!AUDIO_TYPES.includes(mimeType)) throw new Error(`mimeType must be one of ${AUDIO_TYPES.join(", ")}`);
+  const data = input.data;
+  if (typeof data !== "string" || !data || data.length % 4 !== 0 || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+    throw new Error("data must be base64-encoded audio");
+  }
+  const padding = data.endsWith("==") ? 2 : data.endsWith("=") ? 1 : 0;
+  return { mimeType, data, bytes: (data.length / 4) * 3 - padding };
+}
+
+// Messages with any audio clip dropped (for anything that gets persisted, e.g. a pending action).
+export const withoutAudio = (messages) =>
+  messages.map(({ audio, ...m }) => (audio ? { ...m, text: m.text || VOICE_PLACEHOLDER } : m));
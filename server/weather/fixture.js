@@ -0,0 +1,36 @@
+// server/weather/fixture.js
+// Offline provider for development and tests: serves OpenWeather-shaped JSON from
+// fixtures/current.json and fixtures/forecast.json. The requested coordinates are echoed
+// back and forecast timestamps are shifted so the first slot is the next 3-hour boundary,
+// which keeps "upcoming" logic meaningful whenever the fixtures are used.
+
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const DEFAULT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures");
+const SLOT_S = 3 * 60 * 60;
+
+export function createFixtureProvider({ dir = DEFAULT_DIR, now = Date.now } = {}) {
+  const read = async (name) => JSON.parse(await fs.readFile(path.join(dir, name), "utf8"));
+  const coord = ({ lat, lon }) => ({ lat: Number(lat), lon: Number(lon) });
+
+  return {
+    name: "fixture",
+    configured: true,
+    async current(q) {
+      const data = await read("current.json");
+      return { ...data, coord: coord(q), dt: Math.floor(now() / 1000) };
+    },
+    async forecast(q) {
+      const data = await read("forecast.json");
+      const first = data.list[0]?.dt ?? 0;
+      const start = Math.ceil(now() / 1000 / SLOT_S) * SLOT_S;
+      const list = data.list.map(s => {
+        const dt = start + (s.dt - first);
+        return { ...s, dt, dt_txt: new Date(dt * 1000).toISOString().replace("T", " ").slice(0, 19) };
+      });
+      return { ...data, list, cnt: list.length, city: { ...data.city, coord: coord(q) } };
+    }
+  };
+}
@@ -0,0 +1,71 @@
+// server/weather/index.js
+// Weather service used by the routes and the chat assistant: provider selection
+// (WEATHER_PROVIDER=openweather | fixture) in front of an LRU/TTL cache with
+// stale-while-revalidate and request coalescing (server/cache.js).
+
+import { createCache } from "../cache.js";
+import { badRequest } from "../errors.js";
+import { isLanguageTag } from "../validation.js";
+import { createOpenWeatherProvider } from "./openweather.js";
+import { createFixtureProvider } from "./fixture.js";
+
+// Freshness per kind. The route's Cache-Control header is derived from the same numbers,
+// so browsers and the server agree on what "fresh" and "stale" mean.
+export const WEATHER_POLICIES = {
+  current: { ttlMs: 30_000, staleMs: 120_000, staleIfErrorMs: 30 * 60_000 },
+  forecast: { ttlMs: 5 * 60_000, staleMs: 10 * 60_000, staleIfErrorMs: 6 * 60 * 60_000 }
+};
+
+export const cacheControl = (kind) => {
+  const { ttlMs, staleMs } = WEATHER_POLICIES[kind];
+  return `public, max-age=${ttlMs / 1000}, stale-while-revalidate=${staleMs / 1000}`;
+};
+
+export function createWeatherProvider(env = process.env) {
+  const name = (env.WEATHER_PROVIDER || "openweather").toLowerCase();
+  switch (name) {
+    case "openweather":
+      return createOpenWeatherProvider({ apiKey: env.OPENWEATHER_API_KEY });
+    case "fixture":
+      return createFixtureProvider({ dir: env.WEATHER_FIXTURES_DIR || undefined });
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${name}" (expected "openweather" or "fixture")`);
+  }
+}
+
+export function createWeatherService({ provider, maxEntries = 500 }) {
+  const caches = Object.fromEntries(
+    Object.entries(WEATHER_POLICIES).map(([kind, policy]) => [kind, createCache({ maxEntries, ...policy })])
+  );
+
+  // Coordinates are rounded to ~100 m so nearby requests share an entry.
+  function normalize({ lat, lon, units = "metric", lang = "en" }) {
+    if (lat === undefined || lon === undefined || lat === "" || lon === "") {
+      throw badRequest("lat and lon are required");
+    }
+    const la = Number(lat);
+    const lo = Number(lon);
+    if (!Number.isFinite(la) || !Number.isFinite(lo) || Math.abs(la) > 90 || Math.abs(lo) > 180) {
+      throw badRequest("lat and lon must be valid coordinates");
+    }
+    if (!isLanguageTag(lang)) throw badRequest("lang must be a language code like en or hi");
+    return { lat: la.toFixed(3), lon: lo.toFixed(3), units: String(units), lang };
+  }
+
+  const lookup = (kind) => async (query) => {
+    const q = normalize(query);
+    const key = `${q.lat},${q.lon},${q.units},${q.lang}`;
+    return caches[kind].get(key, () => provider[kind](q));
+  };
+
+  return {
+    provider: provider.name,
+    current: lookup("current"), // -> { value, status, ageMs }
+    forecast: lookup("forecast"),
+    stats: () => ({
+      provider: provider.name,
+      current: caches.current.stats(),
+      forecast: caches.forecast.stats()
+    })
+  };
+}
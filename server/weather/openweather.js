@@ -0,0 +1,41 @@
+// server/weather/openweather.js
+// OpenWeather 2.5 API: current conditions and the 5 day / 3 hour forecast.
+
+import https from "https";
+import { HttpError } from "../errors.js";
+
+// Upstream failures are never passed through with their own status: a 401 for a bad key would
+// read to the app as an expired session and sign the farmer out.
+//   401/403 (invalid or revoked key) -> 502 not_configured
+//   429 (our plan's rate limit)      -> 503 upstream_busy
+//   anything else (404 bad params…)  -> 502 upstream_error
+function upstreamError(status, data) {
+  const details = { upstreamStatus: status, ...(data && typeof data === "object" ? data : {}) };
+  if (status === 401 || status === 403) {
+    return new HttpError(502, "Weather service rejected the API key", { code: "not_configured", details });
+  }
+  if (status === 429) {
+    return new HttpError(503, "Weather service is over its rate limit, try again later", { code: "upstream_busy", details });
+  }
+  return new HttpError(502, data?.message || "Weather upstream error", { code: "upstream_error", details });
+}
+
+export function createOpenWeatherProvider({ apiKey, agent = new https.Agent({ keepAlive: true }) }) {
+  async function call(endpoint, { lat, lon, units, lang }) {
+    if (!apiKey) {
+      throw new HttpError(500, "OPENWEATHER_API_KEY missing in server/.env", { code: "not_configured" });
+    }
+    const url = `https://api.openweathermap.org/data/2.5/${endpoint}?lat=${lat}&lon=${lon}&units=${units}&lang=${lang}&appid=${apiKey}`;
+    const r = await fetch(url, { agent });
+    const data = await r.json().catch(() => null);
+    if (!r.ok) throw upstreamError(r.status, data);
+    return data;
+  }
+
+  return {
+    name: "openweather",
+    configured: Boolean(apiKey),
+    current: (q) => call("weather", q),
+    forecast: (q) => call("forecast", q)
+  };
+}
@@ -1,6 +1,21 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence, MotionConfig } from "framer-motion";
 import { attachRipple } from "./ripple";
+import { api, readEvents, session, setUnauthorizedHandler, resolveConflict, SYNCED_EVENT } from "./api";
+import { getStatus, subscribe } from "./offline";
+import { useI18n, LanguageSelect } from "./i18n";
+import { voiceSupport, startRecording, speak, stopSpeaking } from "./voice";
+import { shrinkPhoto } from "./photo";
+import {
+  RECORD_KINDS,
+  INPUT_TYPES,
+  INPUT_UNITS,
+  EXPENSE_CATEGORIES,
+  YIELD_UNITS,
+  CURRENCY,
+  guessRecord,
+  parseSeason
+} from "./records";
 
 // Basic hover and entrance variants for tiles. [web:64][web:61]
 const tileVariants = {
@@ -9,12 +24,15 @@ const tileVariants = {
 };
 const hoverVariants = { hover: { y: -4, scale: 1.01, transition: { duration: 0.18 } } };
 
+// Sentinel error for browsers without the Geolocation API (shown translated by LocationTile).
+const GEO_UNSUPPORTED = "unsupported";
+
 const useGeolocation = () => {
   const [coords, setCoords] = useState(null);
   const [error, setError] = useState(null);
   useEffect(() => {
     if (!("geolocation" in navigator)) {
-      setError("Geolocation not supported");
+      setError(GEO_UNSUPPORTED);
       return;
     }
     navigator.geolocation.getCurrentPosition(
@@ -65,11 +83,12 @@ const RippleButton = ({ children, className = "", onClick, ...props }) => {
 
 
 const TreeTile = () => {
+  const { t } = useI18n();
   return (
     <div className="tile tree-tile">
-      <h3>Tree</h3>
+      <h3>{t("tree.title")}</h3>
       <div className="tree-stage">
-        <svg viewBox="0 0 200 200" className="tree-svg" aria-label="Animated tree swaying in the wind" role="img">
+        <svg viewBox="0 0 200 200" className="tree-svg" aria-label={t("tree.aria")} role="img">
           <defs>
             <linearGradient id="leafGrad" x1="0" x2="0" y1="0" y2="1">
               <stop offset="0%" stopColor="#3ddc97" />
@@ -107,7 +126,7 @@ const TreeTile = () => {
           </g>
         </svg>
       </div>
-      <small className="dim">Tip: hover to feel a stronger breeze.</small>
+      <small className="dim">{t("tree.tip")}</small>
     </div>
   );
 };
@@ -118,26 +137,27 @@ const TreeTile = () => {
 const LocationTile = ({ coords, error, onManual }) => {
   const [lat, setLat] = useState("");
   const [lon, setLon] = useState("");
+  const { t } = useI18n();
   return (
     <Card delay={0.02}>
-      <h3>Location</h3>
+      <h3>{t("location.title")}</h3>
       <AnimatePresence mode="popLayout">
         {coords ? (
           <motion.p key="coords" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-            Lat: {coords.lat.toFixed(4)}, Lon: {coords.lon.toFixed(4)}
+            {t("location.coords", { lat: coords.lat.toFixed(4), lon: coords.lon.toFixed(4) })}
           </motion.p>
         ) : error ? (
           <motion.div key="error" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-            <p>Permission denied or unavailable: {error}</p>
+            <p>{error === GEO_UNSUPPORTED ? t("location.unsupported") : t("location.denied", { error })}</p>
             <div className="row">
-              <input placeholder="Latitude" value={lat} onChange={(e) => setLat(e.target.value)} />
-              <input placeholder="Longitude" value={lon} onChange={(e) => setLon(e.target.value)} />
-              <RippleButton onClick={() => onManual({ lat: Number(lat), lon: Number(lon) })}>Set</RippleButton>
+              <input placeholder={t("location.lat")} value={lat} onChange={(e) => setLat(e.target.value)} />
+              <input placeholder={t("location.lon")} value={lon} onChange={(e) => setLon(e.target.value)} />
+              <RippleButton onClick={() => onManual({ lat: Number(lat), lon: Number(lon) })}>{t("location.set")}</RippleButton>
             </div>
           </motion.div>
         ) : (
           <motion.p key="pending" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }}>
-            Requesting permission…
+            {t("location.requesting")}
           </motion.p>
         )}
       </AnimatePresence>
@@ -145,88 +165,259 @@ const LocationTile = ({ coords, error, onManual }) => {
   );
 }; // Geolocation UX aligns with platform guidance. [web:32][web:38]
 
-const WeatherTile = ({ coords, weather, onRefresh }) => (
-  <Card delay={0.06}>
-    <h3>Weather</h3>
-    {coords ? (
-      weather ? (
-        <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
-          <p>{weather.title} • {weather.desc}</p>
-          <p>Temp: {weather.temp}°C • Humidity: {weather.humidity}% • Wind: {weather.wind} m/s</p>
-          <RippleButton onClick={onRefresh}>Refresh</RippleButton>
-        </motion.div>
+const WeatherTile = ({ coords, weather, onRefresh }) => {
+  const { t } = useI18n();
+  return (
+    <Card delay={0.06}>
+      <h3>{t("weather.title")}</h3>
+      {coords ? (
+        weather ? (
+          <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+            <p>{weather.title || t("weather.local")} • {weather.desc}{weather.offline && <span className="dim"> • {t("weather.lastKnown")}</span>}</p>
+            <p>{t("weather.details", weather)}</p>
+            <RippleButton onClick={onRefresh}>{t("common.refresh")}</RippleButton>
+          </motion.div>
+        ) : (
+          <p>{t("common.waitingData")}</p>
+        )
       ) : (
-        <p>Waiting for data…</p>
-      )
-    ) : (
-      <p>Waiting for location…</p>
-    )}
-  </Card>
-);
+        <p>{t("common.waitingLocation")}</p>
+      )}
+    </Card>
+  );
+};
 
 // Demo fake weather if backend not connected. Real apps call OpenWeather via server proxy. [web:31][web:37]
 
-const useWeather = (coords) => {
+const useWeather = (coords, lang) => {
   const [w, setW] = useState(null);
   const refresh = async () => {
     if (!coords?.lat || !coords?.lon) return;
     try {
-      const r = await fetch(`/api/weather?lat=${coords.lat}&lon=${coords.lon}&units=metric`);
+      const r = await api(`/api/weather?lat=${coords.lat}&lon=${coords.lon}&units=metric&lang=${lang}`, { stale: true });
       if (!r.ok) throw new Error("Weather error");
       const data = await r.json();
       setW({
-        title: data.name || "Local",
+        offline: r.headers.has("X-Offline"),
+        title: data.name || "",
         temp: Math.round(data.main?.temp ?? 0),
         desc: data.weather?.[0]?.description || "",
         humidity: data.main?.humidity ?? 0,
         wind: data.wind?.speed ?? 0
       });
     } catch {
-      setW(null);
+      // Keep showing the last reading; nothing cached yet leaves the tile waiting.
     }
   };
-  useEffect(() => { refresh(); }, [coords?.lat, coords?.lon]);
+  useEffect(() => { refresh(); }, [coords?.lat, coords?.lon, lang]);
   return [w, refresh];
 };
 
-const CropsTile = ({ crops, setCrops }) => {
+const FROST_LABEL = { frost: "forecast.frost", risk: "forecast.frostRisk" };
+
+const useForecast = (coords, cropNames, lang) => {
+  const [f, setF] = useState(null);
+  const key = cropNames.join(",");
+  useEffect(() => {
+    if (!coords?.lat || !coords?.lon) return;
+    (async () => {
+      try {
+        const q = new URLSearchParams({ lat: coords.lat, lon: coords.lon, crops: key, lang });
+        const r = await api(`/api/weather/forecast?${q}`, { stale: true });
+        if (!r.ok) throw new Error("Forecast error");
+        setF(await r.json());
+      } catch {
+        // keep the previous forecast
+      }
+    })();
+  }, [coords?.lat, coords?.lon, key, lang]);
+  return f;
+};
+
+const ForecastTile = ({ coords, forecast }) => {
+  const { t, locale } = useI18n();
+  const dayLabel = new Intl.DateTimeFormat(locale, { timeZone: "UTC", weekday: "short", day: "numeric" });
+  return (
+    <Card delay={0.08} className="forecast">
+      <h3>{t("forecast.title")}</h3>
+      {!coords ? (
+        <p>{t("common.waitingLocation")}</p>
+      ) : !forecast ? (
+        <p>{t("common.waitingData")}</p>
+      ) : (
+        <>
+          <p className="dim">
+            {t("forecast.totals", { rain: forecast.totals.rainMm, et0: forecast.totals.et0Mm })}
+            {forecast.crops.map((c) => ` • ${t("forecast.gdd", { crop: c.name, gdd: c.gddTotal })}`).join("")}
+          </p>
+          <div className="forecast-days">
+            {forecast.days.map((d) => (
+              <div key={d.date} className={`forecast-day ${d.frost !== "none" ? "frosty" : ""}`}>
+                <strong>{dayLabel.format(new Date(`${d.date}T12:00:00Z`))}</strong>
+                <span>{Math.round(d.tMin)}° / {Math.round(d.tMax)}°</span>
+                <span>💧 {d.rainMm} mm{d.maxPop ? ` (${Math.round(d.maxPop * 100)}%)` : ""}</span>
+                <span className="dim">{t("forecast.et0", { et0: d.et0Mm })}</span>
+                <span className="dim">{t("forecast.wind", { wind: d.maxWindMs })}</span>
+                {FROST_LABEL[d.frost] && <span className="warn">{t(FROST_LABEL[d.frost])}</span>}
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </Card>
+  );
+};
+
+// Optimistic list updates: tiles change their list right away, then settle with the
+// server's answer (the saved record, its current copy on 409, or a rollback).
+const upsert = (list, rec) =>
+  list.some((it) => it.id === rec.id) ? list.map((it) => (it.id === rec.id ? rec : it)) : [...list, rec];
+const without = (list, id) => list.filter((it) => it.id !== id);
+const localId = () => `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+const errorText = (body, fallback) =>
+  body?.details?.map?.((d) => `${d.field} ${d.message}`).join("; ") || body?.error || fallback;
+
+// Resolves to { ok, status, body }; a network failure that was not queued counts as refused.
+const settle = async (path, opts) => {
+  try {
+    const r = await api(path, opts);
+    const body = r.status === 204 ? null : await r.json().catch(() => null);
+    return { ok: r.ok, status: r.status, body };
+  } catch {
+    return { ok: false, status: 0, body: null };
+  }
+};
+
+// Optimistic delete: drop the record now; put it back (or the server's newer copy) if refused.
+const removeOptimistic = async (setList, rec, path, onError, fallback) => {
+  setList((x) => without(x, rec.id));
+  const res = await settle(path, { method: "DELETE", queue: true, version: rec.version });
+  if (res.ok || res.status === 404) return;
+  setList((x) => upsert(x, res.status === 409 ? res.body.details.current : rec));
+  onError(errorText(res.body, fallback));
+};
+
+const harvestLabel = (t, days) =>
+  days > 0 ? t("crops.toHarvest", { count: days })
+    : days === 0 ? t("crops.harvestToday")
+      : t("crops.harvestOverdue", { count: -days });
+
+const CropsTile = ({ crops, setCrops, plots, onPlanCreated }) => {
   const [name, setName] = useState("");
   const [variety, setVariety] = useState("");
+  const [plot, setPlot] = useState("");
+  const [plotId, setPlotId] = useState("");
+  const [area, setArea] = useState("");
+  const [sowingDate, setSowingDate] = useState("");
+  const [template, setTemplate] = useState(""); // "" = infer from name
+  const [withPlan, setWithPlan] = useState(true);
+  const [templates, setTemplates] = useState([]);
+  const [error, setError] = useState("");
+  const { t } = useI18n();
 
   useEffect(() => { (async () => {
-    const r = await fetch("/api/crops");
-    const data = await r.json();
-    setCrops(data);
+    const r = await api("/api/crops", { stale: true });
+    if (r.ok) setCrops(await r.json());
   })(); }, [setCrops]);
 
-  const add = async () => {
-    const r = await fetch("/api/crops", {
-      method: "POST", headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ name, variety })
-    });
-    const c = await r.json();
-    setCrops((x) => [...x, c]);
-    setName(""); setVariety("");
+  useEffect(() => { (async () => {
+    const r = await api("/api/crop-templates", { stale: true });
+    if (r.ok) setTemplates(await r.json());
+  })(); }, []);
+
+  const makePlan = async (id) => {
+    const r = await api(`/api/crops/${id}/plan`, { method: "POST" });
+    if (r.ok) onPlanCreated?.();
   };
 
-  const del = async (id) => {
-    await fetch(`/api/crops/${id}`, { method: "DELETE" });
-    setCrops((x) => x.filter((c) => c.id !== id));
+  const add = async () => {
+    setError("");
+    const json = {
+      name, variety, plot,
+      plotId: plotId || null,
+      areaAcres: area === "" ? null : Number(area),
+      sowingDate: sowingDate || null,
+      template: template || null
+    };
+    const draft = { ...json, id: localId(), pending: true };
+    setCrops((x) => [...x, draft]);
+    const res = await settle("/api/crops", { method: "POST", queue: true, json });
+    setCrops((x) => (res.ok ? upsert(without(x, draft.id), res.body) : without(x, draft.id)));
+    if (!res.ok) {
+      setError(errorText(res.body, t("crops.saveFailed")));
+      return;
+    }
+    const c = res.body;
+    if (withPlan && c.template && c.sowingDate && !c.pending) await makePlan(c.id);
+    setName(""); setVariety(""); setPlot(""); setPlotId(""); setArea(""); setSowingDate(""); setTemplate("");
   };
 
+  const del = (c) => removeOptimistic(setCrops, c, `/api/crops/${c.id}`, setError, t("common.deleteFailed"));
+
   return (
     <div className="tile">
-      <h3>Crops</h3>
+      <h3>{t("crops.title")}</h3>
+      <div className="row">
+        <input placeholder={t("crops.name")} value={name} onChange={(e) => setName(e.target.value)} />
+        <input placeholder={t("crops.variety")} value={variety} onChange={(e) => setVariety(e.target.value)} />
+        <button onClick={add} disabled={!name.trim()}>{t("common.add")}</button>
+      </div>
       <div className="row">
-        <input placeholder="Name (e.g., Wheat)" value={name} onChange={(e) => setName(e.target.value)} />
-        <input placeholder="Variety (optional)" value={variety} onChange={(e) => setVariety(e.target.value)} />
-        <button onClick={add} disabled={!name.trim()}>Add</button>
+        {plots.length > 0 ? (
+          <select value={plotId} onChange={(e) => setPlotId(e.target.value)}>
+            <option value="">{t("crops.noPlot")}</option>
+            {plots.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+          </select>
+        ) : (
+          <input placeholder={t("crops.plot")} value={plot} onChange={(e) => setPlot(e.target.value)} />
+        )}
+        <input type="number" min="0" step="0.1" className="narrow" placeholder={t("crops.acres")} value={area}
+          onChange={(e) => setArea(e.target.value)} />
+        <input type="date" title={t("crops.sowingDate")} value={sowingDate} onChange={(e) => setSowingDate(e.target.value)} />
       </div>
+      <div className="row">
+        <select value={template} onChange={(e) => setTemplate(e.target.value)}>
+          <option value="">{t("crops.templateAuto")}</option>
+          {templates.map((tpl) => (
+            <option key={tpl.key} value={tpl.key}>{t("crops.templateOption", { name: tpl.name, days: tpl.durationDays })}</option>
+          ))}
+        </select>
+        <label className="check">
+          <input type="checkbox" checked={withPlan} onChange={(e) => setWithPlan(e.target.checked)} />
+          <span>{t("crops.withPlan")}</span>
+        </label>
+      </div>
+      {error && <div className="error">{error}</div>}
       <ul className="list">
         {crops.map((c) => (
-          <li key={c.id}>
-            <span>{c.name}{c.variety ? ` • ${c.variety}` : ""}</span>
-            <button className="ghost" onClick={() => del(c.id)}>Delete</button>
+          <li key={c.id} className="crop">
+            <div>
+              <span>
+                {c.name}{c.variety ? ` • ${c.variety}` : ""}{c.pending ? " ⏳" : ""}
+                <span className="dim">
+                  {c.plot ? ` • ${c.plot}` : ""}
+                  {c.areaAcres != null ? ` • ${t("crops.acresShort", { area: c.areaAcres })}` : ""}
+                </span>
+              </span>
+              {c.lifecycle && (
+                <div className="lifecycle dim">
+                  {c.lifecycle.day < 0
+                    ? t("crops.sowingIn", { count: -c.lifecycle.day })
+                    : c.lifecycle.stage ? t(`stage.${c.lifecycle.stage}`, null, c.lifecycle.stage) : t("crops.day", { day: c.lifecycle.day })}
+                  {c.lifecycle.daysToHarvest != null && c.lifecycle.day >= 0 ? ` • ${harvestLabel(t, c.lifecycle.daysToHarvest)}` : ""}
+                  {c.lifecycle.progress != null && (
+                    <div className="progress"><div style={{ width: `${Math.round(c.lifecycle.progress * 100)}%` }} /></div>
+                  )}
+                </div>
+              )}
+            </div>
+            <div className="actions">
+              {c.template && c.sowingDate && !c.pending && (
+                <button className="ghost" title={t("crops.planHint")} onClick={() => makePlan(c.id)}>{t("crops.plan")}</button>
+              )}
+              <button className="ghost" onClick={() => del(c)}>{t("common.delete")}</button>
+            </div>
           </li>
         ))}
       </ul>
@@ -235,162 +426,1509 @@ const CropsTile = ({ crops, setCrops }) => {
 };
 
 
-const ToDoTile = ({ crops, todos, setTodos }) => {
+// Equirectangular projection of all plot geometry (plus the current location) into an
+// SVG viewBox. Good enough at field scale and needs no map tiles, so it works offline.
+const MAP_W = 320;
+const MAP_H = 220;
+const MAP_PAD = 16;
+
+const makeProjection = (points) => {
+  const lats = points.map((p) => p[1]);
+  const lons = points.map((p) => p[0]);
+  const lat0 = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const k = Math.cos((lat0 * Math.PI) / 180);
+  // At least ~200 m across so a single point does not zoom in forever.
+  const minSpan = 0.002;
+  const spanX = Math.max((Math.max(...lons) - Math.min(...lons)) * k, minSpan);
+  const spanY = Math.max(Math.max(...lats) - Math.min(...lats), minSpan);
+  const scale = Math.min((MAP_W - 2 * MAP_PAD) / spanX, (MAP_H - 2 * MAP_PAD) / spanY);
+  const cx = ((Math.min(...lons) + Math.max(...lons)) / 2) * k;
+  const cy = (Math.min(...lats) + Math.max(...lats)) / 2;
+  return ([lon, lat]) => [MAP_W / 2 + (lon * k - cx) * scale, MAP_H / 2 - (lat - cy) * scale];
+};
+
+const PlotMap = ({ plots, coords, selectedId, onSelect }) => {
+  const { t } = useI18n();
+  const points = [
+    ...plots.flatMap((p) => [[p.lon, p.lat], ...(p.boundary?.coordinates[0] ?? [])]),
+    ...(coords ? [[coords.lon, coords.lat]] : [])
+  ];
+  if (!points.length) return null;
+  const project = makeProjection(points);
+  const path = (ring) => ring.map((pt, i) => `${i ? "L" : "M"}${project(pt).map((n) => n.toFixed(1)).join(",")}`).join(" ") + " Z";
+
+  return (
+    <svg className="plot-map" viewBox={`0 0 ${MAP_W} ${MAP_H}`} role="img" aria-label={t("plots.mapLabel")}>
+      {plots.map((p) => {
+        const [x, y] = project([p.lon, p.lat]);
+        const cls = `plot ${p.id === selectedId ? "selected" : ""}`;
+        return (
+          <g key={p.id} className={cls} onClick={() => onSelect(p.id)}>
+            {p.boundary && <path d={p.boundary.coordinates.map(path).join(" ")} fillRule="evenodd" />}
+            <circle cx={x} cy={y} r={p.boundary ? 2.5 : 5} />
+            <text x={x} y={y - 7} textAnchor="middle">{p.name}</text>
+          </g>
+        );
+      })}
+      {coords && (() => {
+        const [x, y] = project([coords.lon, coords.lat]);
+        return <circle className="here" cx={x} cy={y} r={4}><title>{t("plots.here")}</title></circle>;
+      })()}
+    </svg>
+  );
+};
+
+const PlotsTile = ({ plots, setPlots, crops, coords, onUseCoords }) => {
+  const [name, setName] = useState("");
+  const [lat, setLat] = useState("");
+  const [lon, setLon] = useState("");
+  const [boundary, setBoundary] = useState("");
+  const [error, setError] = useState("");
+  const [selectedId, setSelectedId] = useState(null);
+  const selected = plots.find((p) => p.id === selectedId) ?? null;
+  const selectedCoords = useMemo(() => (selected ? { lat: selected.lat, lon: selected.lon } : null), [selected?.lat, selected?.lon]);
+  const { t, lang } = useI18n();
+  const [weather] = useWeather(selectedCoords, lang);
+
+  useEffect(() => { (async () => {
+    const r = await api("/api/plots", { stale: true });
+    if (r.ok) setPlots(await r.json());
+  })(); }, [setPlots]);
+
+  const add = async () => {
+    setError("");
+    let geo = null;
+    if (boundary.trim()) {
+      try { geo = JSON.parse(boundary); } catch { setError(t("plots.badJson")); return; }
+    }
+    const json = {
+      name,
+      lat: lat === "" ? null : Number(lat),
+      lon: lon === "" ? null : Number(lon),
+      boundary: geo
+    };
+    const res = await settle("/api/plots", { method: "POST", queue: true, json });
+    if (!res.ok) {
+      setError(errorText(res.body, t("plots.saveFailed")));
+      return;
+    }
+    const p = res.body;
+    setPlots((x) => upsert(x, p));
+    setSelectedId(p.id);
+    setName(""); setLat(""); setLon(""); setBoundary("");
+  };
+
+  const del = (p) => {
+    if (selectedId === p.id) setSelectedId(null);
+    return removeOptimistic(setPlots, p, `/api/plots/${p.id}`, setError, t("common.deleteFailed"));
+  };
+
+  const useHere = () => {
+    if (!coords) return;
+    setLat(coords.lat.toFixed(6));
+    setLon(coords.lon.toFixed(6));
+  };
+
+  return (
+    <div className="tile">
+      <h3>{t("plots.title")}</h3>
+      <PlotMap plots={plots} coords={coords} selectedId={selectedId} onSelect={setSelectedId} />
+      {selected && (
+        <div className="plot-detail">
+          <p>
+            <strong>{selected.name}</strong>
+            <span className="dim">
+              {selected.areaAcres != null ? ` • ${t("plots.area", { acres: selected.areaAcres, hectares: selected.areaHectares })}` : ""}
+              {` • ${selected.lat.toFixed(4)}, ${selected.lon.toFixed(4)}`}
+            </span>
+          </p>
+          <p className="dim">
+            {t("plots.crops", { list: crops.filter((c) => c.plotId === selected.id).map((c) => c.name).join(", ") || t("plots.none") })}
+          </p>
+          <p className="dim">
+            {weather ? t("plots.weather", weather) : t("plots.loadingWeather")}
+          </p>
+          <div className="actions">
+            <button className="ghost" onClick={() => onUseCoords(selectedCoords)}>{t("plots.useForDashboard")}</button>
+            <button className="ghost" onClick={() => del(selected)}>{t("common.delete")}</button>
+          </div>
+        </div>
+      )}
+      <div className="row">
+        <input placeholder={t("plots.name")} value={name} onChange={(e) => setName(e.target.value)} />
+        <input type="number" step="any" className="narrow" placeholder={t("plots.lat")} value={lat} onChange={(e) => setLat(e.target.value)} />
+        <input type="number" step="any" className="narrow" placeholder={t("plots.lon")} value={lon} onChange={(e) => setLon(e.target.value)} />
+        <button className="ghost" onClick={useHere} disabled={!coords}>{t("plots.useHere")}</button>
+      </div>
+      <textarea rows={2} placeholder={t("plots.boundary")}
+        value={boundary} onChange={(e) => setBoundary(e.target.value)} />
+      <div className="row">
+        <button onClick={add} disabled={!name.trim() || (!boundary.trim() && (lat === "" || lon === ""))}>{t("plots.add")}</button>
+      </div>
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+};
+
+
+// Weather alerts for upcoming todos; refetched whenever the list or location changes.
+const useAlerts = (coords, todos) => {
+  const [alerts, setAlerts] = useState([]);
+  const key = todos.map((t) => `${t.id}:${t.when}:${t.done}`).join("|");
+  useEffect(() => {
+    if (!coords?.lat || !coords?.lon) return;
+    (async () => {
+      try {
+        const r = await api(`/api/alerts?lat=${coords.lat}&lon=${coords.lon}`);
+        if (!r.ok) throw new Error("Alerts error");
+        setAlerts((await r.json()).alerts);
+      } catch {
+        setAlerts([]);
+      }
+    })();
+  }, [coords?.lat, coords?.lon, key]);
+  return alerts;
+};
+
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+// RRULE day code -> index into the locale's weekday names (Sunday first, like Date#getDay()).
+const WEEKDAY_INDEX = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+
+const describeRecurrence = (r, { t, weekdays }) => {
+  if (!r) return "";
+  const every = r.interval > 1
+    ? t(r.freq === "daily" ? "recurrence.everyDays" : "recurrence.everyWeeks", { count: r.interval })
+    : t(`recurrence.${r.freq}`);
+  const on = r.byDay?.length ? ` ${t("recurrence.on", { days: r.byDay.map((d) => weekdays[WEEKDAY_INDEX[d]]).join(", ") })}` : "";
+  return `🔁 ${every}${on}`;
+};
+
+// "YYYY-MM-DDTHH:mm" in the browser's zone — same shape as todo.when, so strings compare directly.
+const localNow = () => {
+  const d = new Date();
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60_000).toISOString().slice(0, 16);
+};
+
+const groupTodos = (todos) => {
+  const now = localNow();
+  const today = now.slice(0, 10);
+  const groups = { overdue: [], today: [], upcoming: [], someday: [], done: [] };
+  for (const todo of todos) {
+    if (todo.done) groups.done.push(todo);
+    else if (!todo.when) groups.someday.push(todo);
+    else if (todo.when < now) groups.overdue.push(todo);
+    else if (todo.when.slice(0, 10) === today) groups.today.push(todo);
+    else groups.upcoming.push(todo);
+  }
+  for (const k of ["overdue", "today", "upcoming"]) groups[k].sort((a, b) => a.when.localeCompare(b.when));
+  return groups;
+};
+
+// Polls the in-app reminder feed and mirrors new reminders as browser notifications.
+const useNotifications = () => {
+  const [items, setItems] = useState([]);
+  const seen = useRef(null);
+
+  const load = useCallback(async () => {
+    const r = await api("/api/notifications");
+    if (!r.ok) return;
+    const data = await r.json();
+    if (seen.current && "Notification" in window && Notification.permission === "granted") {
+      for (const n of data) {
+        if (!n.readAt && !seen.current.has(n.id)) new Notification(n.title, { body: n.body, tag: n.id });
+      }
+    }
+    seen.current = new Set(data.map((n) => n.id));
+    setItems(data);
+  }, []);
+
+  useEffect(() => {
+    load();
+    const id = setInterval(load, 60_000);
+    return () => clearInterval(id);
+  }, [load]);
+
+  const markRead = async (id) => {
+    await api(`/api/notifications/${id}/read`, { method: "POST" });
+    setItems((x) => x.map((n) => (n.id === id ? { ...n, readAt: Date.now() } : n)));
+  };
+
+  return { items, markRead };
+};
+
+const ToDoTile = ({ crops, todos, setTodos, coords, onRecordLogged }) => {
   const [title, setTitle] = useState("");
   const [cropId, setCropId] = useState("");
   const [when, setWhen] = useState("");
+  const [repeat, setRepeat] = useState(""); // "", "daily" or "weekly"
+  const [interval, setInterval_] = useState(1);
+  const [byDay, setByDay] = useState([]);
+  const [error, setError] = useState("");
+  const [logging, setLogging] = useState(null); // id of the just-finished task offered a record
+  const alerts = useAlerts(coords, todos);
+  const { items: reminders, markRead } = useNotifications();
+  const unread = reminders.filter((n) => !n.readAt);
+  const groups = groupTodos(todos);
+  const i18n = useI18n();
+  const { t, formatDateTime, weekdays } = i18n;
 
   useEffect(() => { (async () => {
-    const r = await fetch("/api/todos");
-    const data = await r.json();
-    setTodos(data);
+    const r = await api("/api/todos", { stale: true });
+    if (r.ok) setTodos(await r.json());
   })(); }, [setTodos]);
 
   const add = async () => {
-    const r = await fetch("/api/todos", {
-      method: "POST", headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ title, cropId: cropId || null, when: when || null })
-    });
-    const t = await r.json();
-    setTodos((x) => [...x, t]);
-    setTitle(""); setCropId(""); setWhen("");
+    const recurrence = repeat
+      ? { freq: repeat, interval: Number(interval) || 1, ...(repeat === "weekly" && byDay.length ? { byDay } : {}) }
+      : null;
+    setError("");
+    const json = { title, cropId: cropId || null, when: when || null, done: false, recurrence };
+    const draft = { ...json, id: localId(), pending: true };
+    setTodos((x) => [...x, draft]);
+    const res = await settle("/api/todos", { method: "POST", queue: true, json });
+    setTodos((x) => (res.ok ? upsert(without(x, draft.id), res.body) : without(x, draft.id)));
+    if (!res.ok) {
+      setError(errorText(res.body, t("todos.saveFailed")));
+      return;
+    }
+    setTitle(""); setCropId(""); setWhen(""); setRepeat(""); setInterval_(1); setByDay([]);
+    if ("Notification" in window && Notification.permission === "default" && res.body.when) Notification.requestPermission();
   };
 
-  const toggle = async (t) => {
-    const r = await fetch(`/api/todos/${t.id}`, {
-      method: "PUT", headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ done: !t.done })
-    });
-    const updated = await r.json();
-    setTodos((x) => x.map((it) => (it.id === t.id ? updated : it)));
+  // Shows the change at once; the server's record (or its current copy on 409) settles it,
+  // anything else rolls back.
+  const save = async (todo, json) => {
+    setError("");
+    setTodos((x) => upsert(x, { ...todo, ...json }));
+    const res = await settle(`/api/todos/${todo.id}`, { method: "PUT", queue: true, version: todo.version, json });
+    if (res.ok) {
+      setTodos((x) => upsert(x, res.body));
+      return;
+    }
+    setTodos((x) => upsert(x, res.status === 409 ? res.body.details.current : todo));
+    setError(errorText(res.body, t("common.saveFailed")));
   };
 
-  const del = async (id) => {
-    await fetch(`/api/todos/${id}`, { method: "DELETE" });
-    setTodos((x) => x.filter((t) => t.id !== id));
+  const toggle = (todo) => {
+    setLogging(todo.done ? null : todo.id);
+    return save(todo, { done: !todo.done });
   };
 
-  const formatWhen = (val) => {
-    if (!val) return "";
-    return new Date(val).toLocaleString();
+  const del = (todo) => removeOptimistic(setTodos, todo, `/api/todos/${todo.id}`, setError, t("common.deleteFailed"));
+
+  const reschedule = async (alert) => {
+    const todo = todos.find((it) => it.id === alert.todoId);
+    if (todo) await save(todo, { when: alert.suggestion.when });
   };
 
   return (
     <div className="tile">
-      <h3>To‑Do</h3>
+      <h3>{t("todos.title")}</h3>
       <div className="row">
-        <input placeholder="Task" value={title} onChange={(e) => setTitle(e.target.value)} />
+        <input placeholder={t("todos.task")} value={title} onChange={(e) => setTitle(e.target.value)} />
         <select value={cropId} onChange={(e) => setCropId(e.target.value)}>
-          <option value="">No crop</option>
+          <option value="">{t("todos.noCrop")}</option>
           {crops.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
         </select>
         <input type="datetime-local" value={when} onChange={(e) => setWhen(e.target.value)} />
-        <button onClick={add} disabled={!title.trim()}>Add</button>
+        <select value={repeat} onChange={(e) => setRepeat(e.target.value)}>
+          <option value="">{t("todos.noRepeat")}</option>
+          <option value="daily">{t("todos.daily")}</option>
+          <option value="weekly">{t("todos.weekly")}</option>
+        </select>
+        {repeat && (
+          <input type="number" min="1" className="narrow" title={t(repeat === "daily" ? "todos.daysBetween" : "todos.weeksBetween")}
+            value={interval} onChange={(e) => setInterval_(e.target.value)} />
+        )}
+        <button onClick={add} disabled={!title.trim() || (repeat && !when)}>{t("common.add")}</button>
       </div>
-      <ul className="list">
-        {todos.map((t) => (
-          <li key={t.id}>
-            <label className={`check ${t.done ? "on" : ""}`}>
-              <input type="checkbox" checked={t.done} onChange={() => toggle(t)} />
-              <span>{t.title}</span>
+      {repeat === "weekly" && (
+        <div className="row weekdays">
+          {WEEKDAYS.map((d) => (
+            <label key={d} className={`check ${byDay.includes(d) ? "on-day" : ""}`}>
+              <input type="checkbox" checked={byDay.includes(d)}
+                onChange={() => setByDay((x) => (x.includes(d) ? x.filter((y) => y !== d) : [...x, d]))} />
+              <span>{weekdays[WEEKDAY_INDEX[d]]}</span>
             </label>
-            <span className="dim">
-              {crops.find(c => c.id === t.cropId)?.name ?? ""}
-              {t.when ? ` • ${formatWhen(t.when)}` : ""}
-            </span>
-            <button className="ghost" onClick={() => del(t.id)}>Delete</button>
-          </li>
+          ))}
+        </div>
+      )}
+      {error && <div className="error">{error}</div>}
+      {unread.length > 0 && (
+        <ul className="list reminders">
+          {unread.map((n) => (
+            <li key={n.id}>
+              <span>🔔 <strong>{n.title}</strong> • {n.body}</span>
+              <button className="ghost" onClick={() => markRead(n.id)}>{t("todos.dismiss")}</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {alerts.length > 0 && (
+        <ul className="list alerts">
+          {alerts.map((a) => (
+            <li key={a.id} className={a.severity}>
+              <span><strong>{a.todoTitle}</strong> • {t(`alert.${a.ruleId}`, a.stats, a.message)}</span>
+              {a.suggestion && (
+                <button className="ghost" onClick={() => reschedule(a)}>
+                  {t("todos.moveTo", { when: formatDateTime(a.suggestion.when) })}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {Object.entries(groups).filter(([, list]) => list.length).map(([key, list]) => (
+        <div key={key} className={`todo-group ${key}`}>
+          <h4>{t(`todos.group.${key}`)} <span className="dim">({list.length})</span></h4>
+          <ul className="list">
+            {list.map((todo) => (
+              <li key={todo.id} className={logging === todo.id ? "logging" : ""}>
+                <label className={`check ${todo.done ? "on" : ""}`}>
+                  <input type="checkbox" checked={todo.done} disabled={todo.id.startsWith("local-")} onChange={() => toggle(todo)} />
+                  <span>{todo.title}{todo.pending ? " ⏳" : ""}</span>
+                </label>
+                <span className="dim">
+                  {crops.find(c => c.id === todo.cropId)?.name ?? ""}
+                  {todo.when ? ` • ${formatDateTime(todo.when)}` : ""}
+                  {todo.recurrence ? ` • ${describeRecurrence(todo.recurrence, i18n)}` : ""}
+                </span>
+                <button className="ghost" onClick={() => del(todo)}>{t("common.delete")}</button>
+                {logging === todo.id && (
+                  <div className="log-record">
+                    <span className="dim">{t("records.logPrompt", { title: todo.title })}</span>
+                    <RecordForm
+                      crops={crops}
+                      todo={todo}
+                      onSaved={() => { setLogging(null); onRecordLogged?.(); }}
+                      onCancel={() => setLogging(null)}
+                    />
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+
+const seasonLabel = (t, key) => {
+  const { name, year } = parseSeason(key);
+  return t(`records.season.${name}`, { year, next: String(year + 1).slice(-2) }, key);
+};
+
+// Empty number fields are left out (optional) rather than sent as 0.
+const numberOrNull = (v) => (v === "" || v == null ? null : Number(v));
+
+// One input, expense or yield. With `todo` it starts from the record the task most likely
+// produced (see guessRecord) and links back to it; otherwise the kind is picked here.
+const RecordForm = ({ crops, todo = null, onSaved, onCancel }) => {
+  const { t } = useI18n();
+  const guess = useMemo(() => (todo ? guessRecord(todo.title) : { kind: "inputs" }), [todo]);
+  const [kind, setKind] = useState(guess.kind);
+  const [cropId, setCropId] = useState(todo?.cropId ?? crops[0]?.id ?? "");
+  const [date, setDate] = useState(todo?.when?.slice(0, 10) ?? "");
+  const [type, setType] = useState(guess.type ?? INPUT_TYPES[0]);
+  const [product, setProduct] = useState("");
+  const [quantity, setQuantity] = useState("");
+  const [unit, setUnit] = useState(guess.unit ?? (guess.kind === "yields" ? "quintal" : "kg"));
+  const [amount, setAmount] = useState(""); // input cost, expense amount or price per yield unit
+  const [category, setCategory] = useState(guess.category ?? EXPENSE_CATEGORIES[0]);
+  const [description, setDescription] = useState(todo?.title ?? "");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  // Crops may still be loading when the form first renders.
+  useEffect(() => {
+    if (!cropId && kind !== "expenses" && crops[0]) setCropId(crops[0].id);
+  }, [crops]);
+
+  const changeKind = (next) => {
+    setKind(next);
+    if (next !== "expenses" && !cropId) setCropId(crops[0]?.id ?? "");
+    if (next === "yields" && !YIELD_UNITS.includes(unit)) setUnit("quintal");
+  };
+
+  const body = () => {
+    const common = { cropId: cropId || null, ...(date ? { date } : {}), todoId: todo?.id ?? null };
+    if (kind === "inputs") return { ...common, type, product, quantity: Number(quantity), unit, cost: numberOrNull(amount) };
+    if (kind === "yields") return { ...common, quantity: Number(quantity), unit, pricePerUnit: numberOrNull(amount) };
+    return { ...common, category, amount: Number(amount), description };
+  };
+
+  const ready = kind === "expenses" ? amount !== "" : quantity !== "" && !!cropId;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError("");
+    const res = await settle(`/api/${kind}`, { method: "POST", queue: true, json: body() });
+    setBusy(false);
+    if (!res.ok) {
+      setError(errorText(res.body, t("records.saveFailed")));
+      return;
+    }
+    setQuantity("");
+    setAmount("");
+    setProduct("");
+    onSaved?.(res.body);
+  };
+
+  return (
+    <form className="record-form" onSubmit={submit}>
+      <div className="row">
+        <select value={kind} onChange={(e) => changeKind(e.target.value)} aria-label={t("records.kind")}>
+          {RECORD_KINDS.map((k) => <option key={k} value={k}>{t(`records.kind.${k}`)}</option>)}
+        </select>
+        <select value={cropId} onChange={(e) => setCropId(e.target.value)} aria-label={t("records.crop")}>
+          {kind === "expenses" && <option value="">{t("records.farmWide")}</option>}
+          {crops.map((c) => <option key={c.id} value={c.id}>{c.name}</option>)}
+        </select>
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} aria-label={t("records.date")} />
+      </div>
+      <div className="row">
+        {kind === "inputs" && (
+          <>
+            <select value={type} onChange={(e) => setType(e.target.value)}>
+              {INPUT_TYPES.map((x) => <option key={x} value={x}>{t(`records.inputType.${x}`)}</option>)}
+            </select>
+            <input placeholder={t("records.product")} value={product} onChange={(e) => setProduct(e.target.value)} />
+          </>
+        )}
+        {kind === "expenses" ? (
+          <>
+            <select value={category} onChange={(e) => setCategory(e.target.value)}>
+              {EXPENSE_CATEGORIES.map((x) => <option key={x} value={x}>{t(`records.category.${x}`)}</option>)}
+            </select>
+            <input placeholder={t("records.description")} value={description} onChange={(e) => setDescription(e.target.value)} />
+          </>
+        ) : (
+          <>
+            <input type="number" min="0" step="any" className="narrow" placeholder={t("records.quantity")}
+              value={quantity} onChange={(e) => setQuantity(e.target.value)} />
+            <select value={unit} onChange={(e) => setUnit(e.target.value)} aria-label={t("records.unit")}>
+              {(kind === "yields" ? YIELD_UNITS : INPUT_UNITS).map((u) => <option key={u} value={u}>{u}</option>)}
+            </select>
+          </>
+        )}
+        <input type="number" min="0" step="any" className="narrow"
+          placeholder={t(kind === "inputs" ? "records.cost" : kind === "yields" ? "records.price" : "records.amount")}
+          value={amount} onChange={(e) => setAmount(e.target.value)} />
+        <button type="submit" disabled={busy || !ready}>{t(todo ? "records.log" : "common.add")}</button>
+        {onCancel && <button type="button" className="ghost" onClick={onCancel}>{t("records.skip")}</button>}
+      </div>
+      {error && <div className="error">{error}</div>}
+    </form>
+  );
+};
+
+// Cost, yield and margin per crop and season from GET /api/records/summary. `rev` changes
+// whenever a record is added anywhere (this tile, a finished task or another dashboard).
+const RecordsTile = ({ crops, rev, onRecordLogged }) => {
+  const { t, formatNumber } = useI18n();
+  const [season, setSeason] = useState("");
+  const [summary, setSummary] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    (async () => {
+      const r = await api(`/api/records/summary${season ? `?season=${encodeURIComponent(season)}` : ""}`, { stale: true });
+      if (r.ok && live) setSummary(await r.json());
+    })().catch(() => {});
+    return () => { live = false; };
+  }, [season, rev]);
+
+  const money = (n) => (n == null ? "—" : formatNumber(n, { style: "currency", currency: CURRENCY, maximumFractionDigits: 0 }));
+  const kg = (n) => (n == null ? "—" : t("records.kg", { value: formatNumber(n, { maximumFractionDigits: 1 }) }));
+
+  return (
+    <div className="tile records">
+      <h3>{t("records.title")}</h3>
+      <RecordForm crops={crops} onSaved={onRecordLogged} />
+      {summary && (
+        <>
+          <div className="row">
+            <select value={season} onChange={(e) => setSeason(e.target.value)}>
+              <option value="">{t("records.allSeasons")}</option>
+              {summary.seasons.map((s) => <option key={s} value={s}>{seasonLabel(t, s)}</option>)}
+            </select>
+          </div>
+          {summary.crops.length === 0 && !summary.unallocated ? (
+            <p className="dim">{t("records.empty")}</p>
+          ) : (
+            <table className="records-table">
+              <thead>
+                <tr>
+                  <th>{t("records.col.crop")}</th>
+                  <th>{t("records.col.cost")}</th>
+                  <th>{t("records.col.costPerAcre")}</th>
+                  <th>{t("records.col.yieldPerAcre")}</th>
+                  <th>{t("records.col.margin")}</th>
+                  <th>{t("records.col.marginPerAcre")}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.crops.map((row) => (
+                  <tr key={`${row.cropId}:${row.season}`}>
+                    <td>
+                      {row.crop ?? t("records.deletedCrop")}
+                      <div className="dim">{seasonLabel(t, row.season)}</div>
+                    </td>
+                    <td>{money(row.cost)}</td>
+                    <td>{money(row.costPerAcre)}</td>
+                    <td>{kg(row.yieldPerAcre)}</td>
+                    <td className={row.margin < 0 ? "loss" : ""}>{money(row.margin)}</td>
+                    <td className={row.marginPerAcre < 0 ? "loss" : ""}>{money(row.marginPerAcre)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          {summary.unallocated > 0 && <p className="dim">{t("records.unallocated", { amount: money(summary.unallocated) })}</p>}
+          <p>
+            {t("records.totals", {
+              cost: money(summary.totals.cost),
+              revenue: money(summary.totals.revenue),
+              margin: money(summary.totals.margin)
+            })}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+const EXPORTS = [
+  { path: "/api/export/crops.csv", label: "data.exportCrops" },
+  { path: "/api/export/todos.csv", label: "data.exportTodos" },
+  { path: "/api/export/backup.json", label: "data.exportBackup" }
+];
+
+// Epoch ms -> browser-local "YYYY-MM-DDTHH:mm", the form formatDateTime prints.
+const localStamp = (ms) => new Date(ms - new Date(ms).getTimezoneOffset() * 60_000).toISOString().slice(0, 16);
+
+// Saves a response as a file under the name the server suggested.
+const download = async (r, fallbackName) => {
+  const name = /filename="([^"]+)"/.exec(r.headers.get("Content-Disposition") ?? "")?.[1] ?? fallbackName;
+  const url = URL.createObjectURL(await r.blob());
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Export (CSV / JSON backup), import with a dry-run report first, and the calendar feed link.
+const DataTile = ({ onImported }) => {
+  const { t, formatDateTime } = useI18n();
+  const [error, setError] = useState("");
+  const [file, setFile] = useState(null); // { name, text, csv }
+  const [collection, setCollection] = useState("todos");
+  const [mode, setMode] = useState("merge");
+  const [report, setReport] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [feed, setFeed] = useState(null); // { active, createdAt, path? }
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    api("/api/calendar/feed").then((r) => (r.ok ? r.json() : null)).then(setFeed).catch(() => {});
+  }, []);
+
+  const exportFile = async ({ path }) => {
+    setError("");
+    try {
+      const r = await api(path);
+      if (!r.ok) throw new Error((await r.json()).error);
+      await download(r, path.split("/").pop());
+    } catch (err) {
+      setError(err.message || t("data.failed"));
+    }
+  };
+
+  const pickFile = async (picked) => {
+    setReport(null);
+    setError("");
+    if (!picked) return setFile(null);
+    setFile({ name: picked.name, text: await picked.text(), csv: /\.csv$/i.test(picked.name) || picked.type === "text/csv" });
+  };
+
+  // dryRun: only the report; otherwise the import itself (refused as a whole on errors).
+  const runImport = async (dryRun) => {
+    setBusy(true);
+    setError("");
+    try {
+      const query = new URLSearchParams({ mode, ...(dryRun ? { dryRun: "1" } : {}), ...(file.csv ? { collection } : {}) });
+      const r = await api(`/api/import?${query}`, {
+        method: "POST",
+        headers: { "Content-Type": file.csv ? "text/csv" : "application/json" },
+        body: file.text
+      });
+      const data = await r.json();
+      if (r.status === 422) setReport(data.details);
+      else if (!r.ok) throw new Error(data.error);
+      else setReport(data);
+      if (r.ok && data.applied) {
+        setFile(null);
+        onImported?.();
+      }
+    } catch (err) {
+      setError(err.message || t("data.failed"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const feedUrl = feed?.path ? new URL(feed.path, window.location.origin).href : "";
+  const createFeed = async () => {
+    const r = await api("/api/calendar/feed", { method: "POST" });
+    if (r.ok) setFeed(await r.json());
+    setCopied(false);
+  };
+  const removeFeed = async () => {
+    const r = await api("/api/calendar/feed", { method: "DELETE" });
+    if (r.ok) setFeed({ active: false, createdAt: null });
+  };
+  const copyFeed = async () => {
+    await navigator.clipboard?.writeText(feedUrl);
+    setCopied(true);
+  };
+
+  return (
+    <div className="tile data">
+      <h3>{t("data.title")}</h3>
+      <div className="row">
+        {EXPORTS.map((x) => (
+          <button key={x.path} className="ghost" onClick={() => exportFile(x)}>⬇ {t(x.label)}</button>
         ))}
-      </ul>
+      </div>
+
+      <h4>{t("data.import")}</h4>
+      <div className="row">
+        <input type="file" accept=".json,.csv,application/json,text/csv" aria-label={t("data.importFile")}
+          onChange={(e) => pickFile(e.target.files?.[0])} />
+        {file?.csv && (
+          <select value={collection} onChange={(e) => { setCollection(e.target.value); setReport(null); }} aria-label={t("data.csvOf")}>
+            <option value="crops">{t("data.collection.crops")}</option>
+            <option value="todos">{t("data.collection.todos")}</option>
+          </select>
+        )}
+        <select value={mode} onChange={(e) => { setMode(e.target.value); setReport(null); }}>
+          <option value="merge">{t("data.mode.merge")}</option>
+          <option value="replace">{t("data.mode.replace")}</option>
+        </select>
+        <button className="ghost" disabled={!file || busy} onClick={() => runImport(true)}>{t("data.check")}</button>
+        <button disabled={!file || busy || !report || report.applied || report.errors.length > 0} onClick={() => runImport(false)}>
+          {t("data.apply")}
+        </button>
+      </div>
+      {report && (
+        <div className="import-report">
+          {report.applied && <p>✓ {t("data.imported")}</p>}
+          <ul className="list">
+            {Object.entries(report.collections).map(([name, c]) => (
+              <li key={name}>
+                <span>
+                  <strong>{t(`data.collection.${name}`)}</strong>{" "}
+                  {t("data.reportLine", { create: c.create.length, update: c.update.length, delete: c.delete.length, unchanged: c.unchanged })}
+                </span>
+                {c.delete.length > 0 && <span className="warn">{c.delete.map((d) => d.label).join(", ")}</span>}
+              </li>
+            ))}
+          </ul>
+          {report.errors.length > 0 && (
+            <div className="error">
+              {t("data.errors", { count: report.errors.length })}
+              <ul>
+                {report.errors.slice(0, 20).map((e, i) => (
+                  <li key={i}>{t("data.errorRow", { collection: t(`data.collection.${e.collection}`), row: e.row, field: e.field, message: e.message })}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      <h4>{t("data.calendar")}</h4>
+      <p className="dim">{t("data.calendarHint")}</p>
+      {feedUrl ? (
+        <div className="row">
+          <input readOnly value={feedUrl} onFocus={(e) => e.target.select()} aria-label={t("data.calendar")} />
+          <button className="ghost" onClick={copyFeed}>{t(copied ? "data.copied" : "data.copy")}</button>
+          <a className="btn ghost" href={feedUrl.replace(/^https?:/, "webcal:")}>{t("data.subscribe")}</a>
+        </div>
+      ) : feed?.active ? (
+        <p className="dim">{t("data.calendarActive", { date: formatDateTime(localStamp(feed.createdAt)) })}</p>
+      ) : null}
+      <div className="row">
+        <button className="ghost" onClick={createFeed}>{t(feed?.active ? "data.calendarRenew" : "data.calendarCreate")}</button>
+        {feed?.active && <button className="ghost" onClick={removeFeed}>{t("data.calendarOff")}</button>}
+      </div>
+      {error && <div className="error">{error}</div>}
     </div>
   );
 };
 
+// Rendered in the current language, so it carries no text of its own.
+const GREETING = { role: "assistant", greeting: true, text: "" };
+
+const TOOL_STATUS = ["done", "failed", "declined"];
+
+const ToolCall = ({ call }) => {
+  const { t, formatDateTime } = useI18n();
+  return (
+    <div className={`tool-call ${call.status}`}>
+      🔧 {call.name.replace(/_/g, " ")}
+      {call.args?.title ? `: ${call.args.title}` : ""}
+      {call.args?.when ? ` @ ${formatDateTime(call.args.when)}` : ""} {TOOL_STATUS.includes(call.status) ? t(`chat.tool.${call.status}`) : ""}
+    </div>
+  );
+};
+
+const READ_ALOUD_KEY = "farmbot.readAloud";
+
+// Hold-to-talk button. Shows the running transcript through onTranscript and hands the
+// finished recording ({ audio, transcript }) to onDone. Hidden when the browser can
+// neither record nor recognise speech.
+const MicButton = ({ disabled, onTranscript, onDone, onError }) => {
+  const { t, locale } = useI18n();
+  const [listening, setListening] = useState(false);
+  const recording = useRef(null);
+  const { record, transcribe } = voiceSupport();
 
+  useEffect(() => () => recording.current?.then((s) => s.cancel()).catch(() => {}), []);
+  if (!record && !transcribe) return null;
+
+  const start = (e) => {
+    e.preventDefault();
+    if (disabled || recording.current) return;
+    stopSpeaking();
+    setListening(true);
+    recording.current = startRecording({ locale, onTranscript });
+    recording.current.catch(() => {
+      recording.current = null;
+      setListening(false);
+      onError(t("chat.micUnavailable"));
+    });
+  };
+
+  const finish = async () => {
+    const pendingRecording = recording.current;
+    if (!pendingRecording) return;
+    recording.current = null;
+    setListening(false);
+    try {
+      const result = await (await pendingRecording).stop();
+      if (result.audio || result.transcript) onDone(result);
+    } catch {
+      // start failed; already reported
+    }
+  };
+
+  const onKey = (handler) => (e) => {
+    if (e.key === " " || e.key === "Enter") {
+      if (e.repeat) return e.preventDefault();
+      handler(e);
+    }
+  };
 
-const ChatTile = ({ activeCropName, coords }) => {
-  const [messages, setMessages] = useState([
-    { role: "assistant", text: "Hello! Ask about crop care, irrigation, or scheduling." }
-  ]);
+  return (
+    <button
+      type="button"
+      className={`mic ${listening ? "listening" : ""}`}
+      title={t("chat.holdToTalk")}
+      aria-label={t("chat.holdToTalk")}
+      aria-pressed={listening}
+      disabled={disabled}
+      onPointerDown={start}
+      onPointerUp={finish}
+      onPointerLeave={finish}
+      onKeyDown={onKey(start)}
+      onKeyUp={onKey(finish)}
+    >
+      {listening ? "⏺" : "🎤"}
+    </button>
+  );
+};
+
+const DIAGNOSIS_CATEGORIES = ["disease", "pest", "nutrient", "water", "weather", "healthy", "unclear", "other"];
+
+// Structured answer to a leaf photo. Recommended actions can be turned into tasks; the
+// ones already added (this session or earlier) stay ticked and disabled.
+const DiagnosisCard = ({ diagnosis, onTasksAdded }) => {
+  const { t, formatNumber } = useI18n();
+  const [added, setAdded] = useState(() => new Set(diagnosis.addedActions ?? []));
+  const [picked, setPicked] = useState(() => new Set(diagnosis.actions.map((_, i) => i).filter((i) => !added.has(i))));
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  const toggle = (i) =>
+    setPicked((p) => {
+      const next = new Set(p);
+      if (next.has(i)) next.delete(i);
+      else next.add(i);
+      return next;
+    });
+
+  const addTasks = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const r = await api(`/api/diagnoses/${diagnosis.id}/todos`, { method: "POST", json: { actions: [...picked] } });
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || t("diagnosis.failed"));
+      setAdded(new Set(data.diagnosis.addedActions));
+      setPicked(new Set());
+      onTasksAdded?.();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const category = DIAGNOSIS_CATEGORIES.includes(diagnosis.category) ? diagnosis.category : "other";
+  return (
+    <div className={`diagnosis ${category}`}>
+      <div className="diagnosis-head">
+        <strong>{diagnosis.issue}</strong>
+        <span className="badge">{t(`diagnosis.category.${category}`)}</span>
+        <span className="muted">{t("diagnosis.confidence", { percent: formatNumber(Math.round(diagnosis.confidence * 100)) })}</span>
+      </div>
+      {diagnosis.symptoms.length > 0 && (
+        <p className="muted">{t("diagnosis.symptoms")}: {diagnosis.symptoms.join("; ")}</p>
+      )}
+      {diagnosis.actions.length > 0 && (
+        <ul className="diagnosis-actions">
+          {diagnosis.actions.map((a, i) => (
+            <li key={i}>
+              <label className="check">
+                <input type="checkbox" checked={added.has(i) || picked.has(i)} disabled={added.has(i) || busy} onChange={() => toggle(i)} />
+                <span>
+                  {a.title}{" "}
+                  <span className="muted">({a.inDays ? t("diagnosis.inDays", { count: a.inDays }) : t("diagnosis.today")})</span>
+                </span>
+              </label>
+            </li>
+          ))}
+        </ul>
+      )}
+      {diagnosis.notes && <p>{diagnosis.notes}</p>}
+      {diagnosis.actions.length > 0 && (
+        added.size === diagnosis.actions.length ? (
+          <span className="muted">✓ {t("diagnosis.added")}</span>
+        ) : (
+          <button onClick={addTasks} disabled={busy || picked.size === 0}>{t("diagnosis.addTasks", { count: picked.size })}</button>
+        )
+      )}
+      {error && <div className="error">{error}</div>}
+    </div>
+  );
+};
+
+// Knowledge base passages an answer cites, numbered as in the reply text.
+const ChatSources = ({ sources }) => {
+  const { t } = useI18n();
+  return (
+    <div className="chat-sources">
+      <span className="muted">{t("chat.sources")}</span>
+      <ol>
+        {sources.map((s) => (
+          <li key={s.n} value={s.n}>
+            <details>
+              <summary>
+                {s.url ? <a href={s.url} target="_blank" rel="noreferrer">{s.title}</a> : s.title}
+                {s.heading && ` — ${s.heading}`}
+                {s.source && <span className="muted"> ({s.source})</span>}
+              </summary>
+              <blockquote>{s.excerpt}</blockquote>
+            </details>
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+// What the model was told for one answer (debug mode): the full system prompt and, per
+// context section, how many lines fitted the budget.
+const ChatContext = ({ context }) => {
+  const { t } = useI18n();
+  return (
+    <details className="chat-context">
+      <summary>{t("chat.contextSummary", { tokens: context.tokens, budget: context.budget })}</summary>
+      <ul>
+        {context.sections.map((s) => (
+          <li key={s.name}>
+            {s.name}: {t("chat.contextLines", { count: s.lines })}
+            {s.omitted > 0 && <span className="muted"> ({t("chat.contextOmitted", { count: s.omitted })})</span>}
+          </li>
+        ))}
+      </ul>
+      <pre>{context.system}</pre>
+      <p className="muted">{t("chat.contextHistory", { count: context.messages.length })}</p>
+    </details>
+  );
+};
+
+const ChatTile = ({ crops, coords, onFarmDataChanged }) => {
+  const { t, lang, locale } = useI18n();
+  // The crop questions are about ("" = the whole farm); the server adds its details to the prompt.
+  const [cropId, setCropId] = useState("");
+  const activeCrop = crops.find((c) => c.id === cropId) ?? null;
+  const [showContext, setShowContext] = useState(false);
+  const canSpeak = voiceSupport().speak;
+  const [readAloud, setReadAloud] = useState(() => canSpeak && localStorage.getItem(READ_ALOUD_KEY) === "1");
+  const toggleReadAloud = (on) => {
+    setReadAloud(on);
+    localStorage.setItem(READ_ALOUD_KEY, on ? "1" : "0");
+    if (!on) stopSpeaking();
+  };
+  const [messages, setMessages] = useState([GREETING]);
   const [input, setInput] = useState("");
+  const [conversationId, setConversationId] = useState(null);
+  const [threads, setThreads] = useState([]);
+  const [pending, setPending] = useState(null); // destructive action awaiting confirmation
+
+  const loadThreads = async () => {
+    const r = await api("/api/conversations");
+    if (r.ok) setThreads(await r.json());
+  };
+  useEffect(() => { loadThreads(); }, []);
 
-  const send = async () => {
-    // Optionally include last known weather from your weather hook if you want Gemini to use it:
-    // For now, omit or pass null.
-    const r = await fetch("/api/gemini-chat", {
+  const openThread = async (id) => {
+    setPending(null);
+    if (!id) {
+      setConversationId(null);
+      setMessages([GREETING]);
+      return;
+    }
+    const r = await api(`/api/conversations/${id}`);
+    if (!r.ok) return;
+    const data = await r.json();
+    setConversationId(data.id);
+    setMessages([GREETING, ...data.messages]);
+    setPending(data.pendingAction);
+  };
+
+  const deleteThread = async () => {
+    if (!conversationId) return;
+    await api(`/api/conversations/${conversationId}`, { method: "DELETE" });
+    setThreads((x) => x.filter((th) => th.id !== conversationId));
+    openThread(null);
+  };
+
+  const [streaming, setStreaming] = useState(false);
+  const abortRef = useRef(null);
+
+  const [voiceError, setVoiceError] = useState("");
+
+  // Streams the reply token by token into the last (assistant) message. A voice message
+  // sends the recording plus the browser's transcript (if any) as `message`.
+  const send = async ({ text = input, audio = null } = {}) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setInput("");
+    setVoiceError("");
+    setStreaming(true);
+    setPending(null);
+    stopSpeaking();
+    setMessages((m) => [...m, { role: "user", text: text || t("chat.voiceMessage"), voice: !!audio }, { role: "assistant", text: "" }]);
+    const appendReply = (piece) =>
+      setMessages((m) => [...m.slice(0, -1), { ...m[m.length - 1], text: m[m.length - 1].text + piece }]);
+    const setReply = (reply) =>
+      setMessages((m) => [...m.slice(0, -1), { ...m[m.length - 1], text: reply }]);
+
+    try {
+      // Weather, tasks and crops are looked up by the server; not-yet-synced crops go by name.
+      const r = await api("/api/gemini-chat/stream", {
+        method: "POST",
+        signal: controller.signal,
+        json: {
+          message: text,
+          cropId: activeCrop && !activeCrop.pending ? activeCrop.id : null,
+          crop: activeCrop?.pending ? activeCrop.name : "",
+          coords,      // { lat, lon } or null
+          conversationId,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          lang,
+          audio,
+          debug: showContext
+        }
+      });
+      if (!r.ok) {
+        const data = await r.json();
+        setReply(data.error || t("chat.noReply"));
+        return;
+      }
+      await readEvents(r, (event, data) => {
+        if (event === "start") {
+          if (data.conversationId !== conversationId) setConversationId(data.conversationId);
+          if (data.context) setMessages((m) => [...m.slice(0, -1), { ...m[m.length - 1], context: data.context }]);
+        } else if (event === "delta") {
+          appendReply(data.text);
+        } else if (event === "tool") {
+          setMessages((m) => {
+            const last = m[m.length - 1];
+            return [...m.slice(0, -1), { ...last, toolCalls: [...(last.toolCalls ?? []), data] }];
+          });
+          onFarmDataChanged?.();
+        } else if (event === "done") {
+          setMessages((m) => [...m.slice(0, -1), { ...m[m.length - 1], text: data.reply, sources: data.sources }]);
+          setPending(data.pendingAction);
+          if (readAloud) speak(data.reply, locale);
+        } else if (event === "error") {
+          setMessages((m) => {
+            const last = m[m.length - 1];
+            return [...m.slice(0, -1), { ...last, text: last.text ? `${last.text}\n⚠ ${data.error}` : `⚠ ${data.error}` }];
+          });
+        }
+      });
+    } catch (err) {
+      if (err.name !== "AbortError") setReply(t("chat.connectionLost"));
+    } finally {
+      setStreaming(false);
+      abortRef.current = null;
+      loadThreads();
+    }
+  };
+
+  const stop = () => abortRef.current?.abort();
+
+  // Leaf photo -> POST /api/diagnose (multipart); the typed text goes along as the question.
+  const photoInput = useRef(null);
+  const sendPhoto = async (file) => {
+    if (!file) return;
+    const question = input.trim();
+    setInput("");
+    setVoiceError("");
+    setStreaming(true);
+    setPending(null);
+    stopSpeaking();
+    setMessages((m) => [...m, { role: "user", text: `📷 ${question || t("chat.photoMessage")}`, photo: true }, { role: "assistant", text: "" }]);
+    const setLast = (msg) => setMessages((m) => [...m.slice(0, -1), { role: "assistant", ...msg }]);
+
+    try {
+      const form = new FormData();
+      form.append("photo", await shrinkPhoto(file), file.name || "leaf.jpg");
+      if (activeCrop?.id && !activeCrop.pending) form.append("cropId", activeCrop.id);
+      else if (activeCrop?.name) form.append("crop", activeCrop.name);
+      if (coords?.lat != null && coords?.lon != null) {
+        form.append("lat", String(coords.lat));
+        form.append("lon", String(coords.lon));
+      }
+      form.append("question", question);
+      form.append("lang", lang);
+      if (conversationId) form.append("conversationId", conversationId);
+
+      const r = await api("/api/diagnose", { method: "POST", body: form });
+      const data = await r.json();
+      if (!r.ok) {
+        setLast({ text: data.error || t("chat.noReply") });
+        return;
+      }
+      if (data.conversationId !== conversationId) setConversationId(data.conversationId);
+      setLast({ text: data.reply, diagnosis: data.diagnosis });
+      if (readAloud) speak(data.reply, locale);
+    } catch {
+      setLast({ text: t("chat.connectionLost") });
+    } finally {
+      setStreaming(false);
+      loadThreads();
+    }
+  };
+
+  const confirm = async (approve) => {
+    const action = pending;
+    setPending(null);
+    const r = await api("/api/gemini-chat/confirm", {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        message: input,
-        crop: activeCropName || "",
-        coords,      // { lat, lon } or null
-        weather: null
-      })
+      json: { conversationId, actionId: action.id, approve }
     });
     const data = await r.json();
-    const reply = data.reply || "No reply.";
-    setMessages((m) => [...m, { role: "user", text: input }, { role: "assistant", text: reply }]);
-    setInput("");
+    setMessages((m) => [...m, { role: "assistant", text: data.reply || data.error || t("chat.noReply"), toolCalls: data.toolCalls }]);
+    setPending(data.pendingAction ?? null);
+    if (readAloud && data.reply) speak(data.reply, locale);
+    if (data.toolCalls?.length) onFarmDataChanged?.();
   };
 
   return (
     <div className="tile chat">
-      <h3>Chat</h3>
+      <h3>{t("chat.title")}</h3>
+      <div className="row">
+        <select value={conversationId || ""} onChange={(e) => openThread(e.target.value)}>
+          <option value="">{t("chat.newConversation")}</option>
+          {threads.map((th) => <option key={th.id} value={th.id}>{th.title}</option>)}
+        </select>
+        {conversationId && <button className="ghost" onClick={deleteThread}>{t("chat.deleteThread")}</button>}
+        <select value={cropId} onChange={(e) => setCropId(e.target.value)} aria-label={t("chat.crop")}>
+          <option value="">{t("chat.wholeFarm")}</option>
+          {crops.map((c) => <option key={c.id} value={c.id}>{[c.name, c.variety].filter(Boolean).join(" ")}</option>)}
+        </select>
+        {canSpeak && (
+          <label className="check">
+            <input type="checkbox" checked={readAloud} onChange={(e) => toggleReadAloud(e.target.checked)} />
+            <span>{t("chat.readAloud")}</span>
+          </label>
+        )}
+        <label className="check">
+          <input type="checkbox" checked={showContext} onChange={(e) => setShowContext(e.target.checked)} />
+          <span>{t("chat.showContext")}</span>
+        </label>
+      </div>
       <div className="chat-box">
-        {messages.map((m, i) => <div key={i} className={m.role}>{m.text}</div>)}
+        {messages.map((m, i) => (
+          <div key={i} className={m.role}>
+            {m.toolCalls?.map((c, j) => <ToolCall key={j} call={c} />)}
+            {m.diagnosis ? (
+              <DiagnosisCard diagnosis={m.diagnosis} onTasksAdded={onFarmDataChanged} />
+            ) : m.greeting ? t("chat.greeting") : m.text || "…"}
+            {canSpeak && m.role === "assistant" && m.text && (
+              <button className="ghost speak" title={t("chat.speak")} aria-label={t("chat.speak")} onClick={() => speak(m.text, locale)}>🔊</button>
+            )}
+            {m.sources?.length > 0 && <ChatSources sources={m.sources} />}
+            {m.context && <ChatContext context={m.context} />}
+          </div>
+        ))}
       </div>
+      {pending && (
+        <div className="row confirm">
+          <span>{pending.summary}?</span>
+          <button onClick={() => confirm(true)}>{t("common.confirm")}</button>
+          <button className="ghost" onClick={() => confirm(false)}>{t("common.cancel")}</button>
+        </div>
+      )}
       <div className="row">
-        <input placeholder="Type your question…" value={input} onChange={(e) => setInput(e.target.value)} />
-        <button onClick={send} disabled={!input.trim()}>Send</button>
+        <input placeholder={t("chat.placeholder")} value={input} onChange={(e) => setInput(e.target.value)} />
+        <MicButton
+          disabled={streaming}
+          onTranscript={setInput}
+          onDone={({ audio, transcript }) => send({ text: transcript, audio })}
+          onError={setVoiceError}
+        />
+        <button
+          type="button"
+          className="ghost photo"
+          title={t("chat.photo")}
+          aria-label={t("chat.photo")}
+          disabled={streaming}
+          onClick={() => photoInput.current?.click()}
+        >
+          📷
+        </button>
+        <input
+          ref={photoInput}
+          type="file"
+          accept="image/*"
+          capture="environment"
+          hidden
+          onChange={(e) => {
+            sendPhoto(e.target.files?.[0]);
+            e.target.value = "";
+          }}
+        />
+        {streaming ? (
+          <button onClick={stop}>{t("chat.stop")}</button>
+        ) : (
+          <button onClick={() => send()} disabled={!input.trim()}>{t("chat.send")}</button>
+        )}
       </div>
+      {voiceError && <div className="error">{voiceError}</div>}
     </div>
   );
 };
 
+const AuthTile = ({ onAuthed }) => {
+  const [mode, setMode] = useState("login");
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [farmName, setFarmName] = useState("");
+  const [error, setError] = useState("");
+  const { t } = useI18n();
 
+  const submit = async (e) => {
+    e.preventDefault();
+    setError("");
+    try {
+      const body = mode === "register"
+        ? { username, password, farmName, timezone: Intl.DateTimeFormat().resolvedOptions().timeZone }
+        : { username, password };
+      const r = await api(`/api/auth/${mode}`, { method: "POST", json: body });
+      const data = await r.json();
+      if (!r.ok) throw new Error(data.error || t("auth.failed"));
+      session.set(data.token, data.farms[0]?.id);
+      onAuthed({ user: data.user, farms: data.farms });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
 
+  return (
+    <Card className="auth">
+      <h3>{t(mode === "login" ? "auth.signIn" : "auth.createAccount")}</h3>
+      <form className="row" onSubmit={submit}>
+        <input placeholder={t("auth.username")} value={username} onChange={(e) => setUsername(e.target.value)} autoComplete="username" />
+        <input type="password" placeholder={t("auth.password")} value={password} onChange={(e) => setPassword(e.target.value)}
+          autoComplete={mode === "login" ? "current-password" : "new-password"} />
+        {mode === "register" && (
+          <input placeholder={t("auth.farmName")} value={farmName} onChange={(e) => setFarmName(e.target.value)} />
+        )}
+        <button type="submit" disabled={!username.trim() || !password}>
+          {t(mode === "login" ? "auth.signIn" : "auth.register")}
+        </button>
+      </form>
+      {error && <p className="error">{error}</p>}
+      <button className="ghost" onClick={() => setMode(mode === "login" ? "register" : "login")}>
+        {t(mode === "login" ? "auth.toRegister" : "auth.toLogin")}
+      </button>
+    </Card>
+  );
+};
 
+// Restores the stored session on load and exposes login/logout/farm switching.
+const useSession = () => {
+  const [auth, setAuth] = useState(null); // { user, farms } once signed in
+  const [checking, setChecking] = useState(!!session.token);
 
+  const logout = async () => {
+    await api("/api/auth/logout", { method: "POST" }).catch(() => {});
+    session.clear();
+    setAuth(null);
+  };
 
-export default function App() {
+  useEffect(() => {
+    setUnauthorizedHandler(() => { session.clear(); setAuth(null); });
+    if (!session.token) return;
+    (async () => {
+      try {
+        const r = await api("/api/auth/me", { stale: true });
+        if (r.ok) {
+          const data = await r.json();
+          session.set(null, data.farm.id);
+          setAuth({ user: data.user, farms: data.farms });
+        }
+      } finally {
+        setChecking(false);
+      }
+    })();
+  }, []);
+
+  const switchFarm = (farmId) => {
+    session.set(null, farmId);
+    setAuth((a) => ({ ...a })); // re-render so tiles refetch for the new farm
+  };
+
+  return { auth, checking, setAuth, logout, switchFarm };
+};
+
+// Merges one change-feed event into its list. A copy we hold with a newer version (our own
+// edit racing the broadcast of an older one) wins.
+const mergeChange = (setters, { type, collection, id, record }) => {
+  const set = setters[collection];
+  if (!set) return;
+  set((list) => {
+    if (type === "deleted") return without(list, id);
+    const mine = list.find((it) => it.id === record.id);
+    return mine && (mine.version ?? 0) > (record.version ?? 0) ? list : upsert(list, record);
+  });
+};
+
+// Follows GET /api/changes so edits from other open dashboards (and the assistant or the
+// reminder scheduler) show up live. Reconnects with backoff and reloads everything after a
+// gap, since events sent while disconnected are lost.
+const useChangeFeed = (setters, reloadAll) => {
+  const settersRef = useRef(setters);
+  settersRef.current = setters;
+
+  useEffect(() => {
+    let stopped = false;
+    let controller = null;
+    (async () => {
+      let delay = 1000;
+      let connected = false;
+      while (!stopped) {
+        controller = new AbortController();
+        try {
+          const r = await api("/api/changes", { signal: controller.signal });
+          if (r.ok && !r.headers.has("X-Offline")) {
+            if (connected) reloadAll().catch(() => {});
+            connected = true;
+            delay = 1000;
+            await readEvents(r, (event, data) => {
+              if (event === "change") mergeChange(settersRef.current, data);
+            });
+          }
+        } catch {
+          // offline or dropped; retry below
+        }
+        if (stopped) break;
+        await new Promise((done) => setTimeout(done, delay));
+        delay = Math.min(delay * 2, 30_000);
+      }
+    })();
+    return () => {
+      stopped = true;
+      controller?.abort();
+    };
+  }, [reloadAll]);
+};
+
+const Dashboard = () => {
   const { coords: geoCoords, error } = useGeolocation();
   const [coords, setCoords] = useState(null);
   const [crops, setCrops] = useState([]);
   const [todos, setTodos] = useState([]);
-  const [weather, refreshWeather] = useWeather(coords);
+  const [plots, setPlots] = useState([]);
+  const [recordsRev, setRecordsRev] = useState(0);
+  const { lang } = useI18n();
+  const [weather, refreshWeather] = useWeather(coords, lang);
+
+  // The chat assistant can edit todos through tool calls; pull the fresh list afterwards.
+  const reloadTodos = useCallback(async () => {
+    const r = await api("/api/todos", { stale: true });
+    if (r.ok) setTodos(await r.json());
+  }, []);
+
+  const reloadAll = useCallback(async () => {
+    const [c, t, p] = await Promise.all(["/api/crops", "/api/todos", "/api/plots"].map((path) => api(path, { stale: true })));
+    if (c.ok) setCrops(await c.json());
+    if (t.ok) setTodos(await t.json());
+    if (p.ok) setPlots(await p.json());
+    setRecordsRev((n) => n + 1);
+  }, []);
+
+  // Queued offline edits reached the server: swap optimistic records for the real ones.
+  useEffect(() => {
+    const onSynced = () => { reloadAll().catch(() => {}); };
+    window.addEventListener(SYNCED_EVENT, onSynced);
+    return () => window.removeEventListener(SYNCED_EVENT, onSynced);
+  }, [reloadAll]);
+
+  // Farm records are only shown summarized, so a change to any of them just refreshes the summary.
+  const recordsChanged = useCallback(() => setRecordsRev((n) => n + 1), []);
+  useChangeFeed(
+    { crops: setCrops, todos: setTodos, plots: setPlots, inputs: recordsChanged, expenses: recordsChanged, yields: recordsChanged },
+    reloadAll
+  );
 
   useEffect(() => { if (geoCoords && !coords) setCoords(geoCoords); }, [geoCoords]);
 
-  const activeCropName = useMemo(() => (crops[0]?.name ?? ""), [crops]);
+  const cropNames = useMemo(() => [...new Set(crops.map((c) => c.name))], [crops]);
+  const forecast = useForecast(coords, cropNames, lang);
+
+  return (
+    <main className="grid">
+
+        <TreeTile />
+        
+      <LocationTile coords={coords} error={error} onManual={setCoords} />
+      <WeatherTile coords={coords} weather={weather} onRefresh={refreshWeather} />
+      <ForecastTile coords={coords} forecast={forecast} />
+      <PlotsTile plots={plots} setPlots={setPlots} crops={crops} coords={coords} onUseCoords={setCoords} />
+      <CropsTile crops={crops} setCrops={setCrops} plots={plots} onPlanCreated={reloadTodos} />
+      <ToDoTile crops={crops} todos={todos} setTodos={setTodos} coords={coords} onRecordLogged={recordsChanged} />
+      <RecordsTile crops={crops} rev={recordsRev} onRecordLogged={recordsChanged} />
+      <DataTile onImported={reloadAll} />
+      <ChatTile crops={crops} coords={coords} onFarmDataChanged={reloadTodos} />
+      
+    </main>
+  );
+};
+
+const useSyncStatus = () => {
+  const [status, setStatus] = useState(getStatus);
+  useEffect(() => subscribe(setStatus), []);
+  return status;
+};
+
+const conflictLabel = (t, c) => {
+  const what = c.path.split("/")[2]?.replace(/s$/, "") ?? "record";
+  const name = c.current?.title ?? c.current?.name ?? c.body?.title ?? c.body?.name ?? what;
+  return t(c.method === "DELETE" ? "sync.conflictDelete" : "sync.conflictEdit", { name, error: c.error });
+};
+
+// Online/offline/sync pill plus the edits the server refused while replaying the queue.
+const SyncStatus = () => {
+  const { online, syncing, pending, conflicts } = useSyncStatus();
+  const [open, setOpen] = useState(false);
+  const { t } = useI18n();
+  const label = !online
+    ? `${t("sync.offline")}${pending ? ` • ${t("sync.queued", { count: pending })}` : ""}`
+    : syncing ? t("sync.syncing") : pending ? t("sync.toSync", { count: pending }) : t("sync.online");
+
+  return (
+    <div className="sync">
+      <span className={`sync-pill ${online ? (syncing || pending ? "syncing" : "online") : "offline"}`}>● {label}</span>
+      {conflicts.length > 0 && (
+        <button className="ghost" onClick={() => setOpen((o) => !o)}>⚠ {t("sync.conflicts", { count: conflicts.length })}</button>
+      )}
+      {open && conflicts.length > 0 && (
+        <ul className="list conflicts">
+          {conflicts.map((c) => (
+            <li key={c.seq}>
+              <span>{conflictLabel(t, c)}</span>
+              <span className="actions">
+                {c.status === 409 && c.current && (
+                  <button className="ghost" onClick={() => resolveConflict(c, true)}>{t("sync.keepMine")}</button>
+                )}
+                <button className="ghost" onClick={() => resolveConflict(c, false)}>
+                  {t(c.status === 409 ? "sync.useServer" : "sync.discard")}
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default function App() {
+  const { auth, checking, setAuth, logout, switchFarm } = useSession();
+  const { t } = useI18n();
 
   return (
     <MotionConfig transition={{ duration: 0.45, ease: "easeInOut" }}>
       <div className="page">
-        <header>
+        <header className="app-header">
           <motion.h2 initial={{ y: -10, opacity: 0 }} animate={{ y: 0, opacity: 1 }}>
-            Farmer Chatbot Dashboard
+            {t("app.title")}
           </motion.h2>
+          {auth ? (
+            <div className="row account">
+              {auth.farms.length > 1 ? (
+                <select value={session.farmId || ""} onChange={(e) => switchFarm(e.target.value)}>
+                  {auth.farms.map((f) => <option key={f.id} value={f.id}>{f.name}</option>)}
+                </select>
+              ) : (
+                <span className="dim">{auth.farms[0]?.name}</span>
+              )}
+              <SyncStatus />
+              <span>{auth.user.username}</span>
+              <LanguageSelect />
+              <button className="ghost" onClick={logout}>{t("app.logout")}</button>
+            </div>
+          ) : (
+            <div className="row account"><LanguageSelect /></div>
+          )}
         </header>
 
-        <main className="grid">
-
-            <TreeTile />
-            
-          <LocationTile coords={coords} error={error} onManual={setCoords} />
-          <WeatherTile coords={coords} weather={weather} onRefresh={refreshWeather} />
-          <CropsTile crops={crops} setCrops={setCrops} />
-          <ToDoTile crops={crops} todos={todos} setTodos={setTodos} />
-          <ChatTile activeCropName={activeCropName} coords={coords} />
-          
-        </main>
+        {auth ? (
+          <Dashboard key={session.farmId} />
+        ) : checking ? (
+          <main className="grid"><p className="dim">{t("app.restoring")}</p></main>
+        ) : (
+          <main className="grid"><AuthTile onAuthed={setAuth} /></main>
+        )}
 
         <footer>
           <motion.small initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
-            Geolocation needs permission; for production use HTTPS and connect a weather API proxy.
+            {t("app.footer")}
           </motion.small>
         </footer>
       </div>
     </MotionConfig>
   );
 }
-
@@ -0,0 +1,223 @@
+// Small fetch wrapper: attaches the session token and active farm, and reports 401s
+// so the app can drop back to the login screen.
+//
+// Offline support (see offline.js):
+//   api(path, { stale: true })       — GET; remembers the body and serves it when the network fails
+//   api(path, { method, json, queue: true, version })
+//                                    — mutation; queued and answered with 202 + an optimistic body
+//                                      when offline, replayed in order by syncQueue()
+// `version` is sent as If-Match, so a replayed edit of a record someone else changed meanwhile
+// gets 409 and lands in the conflict list instead of silently overwriting.
+import {
+  cacheKey, cacheGet, cachePut, listQueue, enqueue, dequeue, replaceQueued,
+  addConflict, removeConflict, refreshStatus, getStatus, setStatus
+} from "./offline.js";
+
+const TOKEN_KEY = "farmbot.token";
+const FARM_KEY = "farmbot.farm";
+
+// Fired on window after queued edits reached the server (or were dropped); tiles reload.
+export const SYNCED_EVENT = "farmbot:synced";
+
+let onUnauthorized = () => {};
+
+export const session = {
+  get token() { return localStorage.getItem(TOKEN_KEY); },
+  get farmId() { return localStorage.getItem(FARM_KEY); },
+  set(token, farmId) {
+    if (token) localStorage.setItem(TOKEN_KEY, token);
+    if (farmId) localStorage.setItem(FARM_KEY, farmId);
+  },
+  clear() {
+    localStorage.removeItem(TOKEN_KEY);
+    localStorage.removeItem(FARM_KEY);
+  }
+};
+
+export const setUnauthorizedHandler = (fn) => { onUnauthorized = fn; };
+
+async function send(path, { json, headers, version, farmId = session.farmId, ...init } = {}) {
+  const h = { ...headers };
+  if (session.token) h.Authorization = `Bearer ${session.token}`;
+  if (farmId) h["X-Farm-Id"] = farmId;
+  if (json !== undefined) h["Content-Type"] = "application/json";
+  if (version != null) h["If-Match"] = String(version);
+  const r = await fetch(path, { ...init, headers: h, body: json !== undefined ? JSON.stringify(json) : init.body });
+  if (r.status === 401) onUnauthorized();
+  return r;
+}
+
+const jsonResponse = (status, body, offline) =>
+  new Response(body === undefined ? null : JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", ...(offline ? { "X-Offline": "1" } : {}) }
+  });
+
+// "/api/todos/abc" -> { collection: "/api/todos", id: "abc" }; null for other shapes.
+const splitPath = (path) => {
+  const m = path.match(/^(\/api\/[a-z-]+)(?:\/([^/?]+))?$/);
+  return m ? { collection: m[1], id: m[2] ?? null } : null;
+};
+
+// Applies queued edits to a collection list so they show up until the server has them.
+async function overlay(path, body) {
+  if (!Array.isArray(body)) return body;
+  let list = body;
+  for (const q of await listQueue()) {
+    const target = splitPath(q.path);
+    if (q.farmId !== session.farmId || target?.collection !== path) continue;
+    if (q.method === "POST" && !target.id) list = [...list, { ...q.body, id: q.tempId, pending: true }];
+    else if (q.method === "PUT") list = list.map((r) => (r.id === target.id ? { ...r, ...q.body, pending: true } : r));
+    else if (q.method === "DELETE") list = list.filter((r) => r.id !== target.id);
+  }
+  return list;
+}
+
+async function queueMutation(method, path, json, version) {
+  const target = splitPath(path);
+  const tempId = method === "POST" && target && !target.id ? `tmp-${crypto.randomUUID()}` : null;
+  await enqueue({ farmId: session.farmId, method, path, body: json, version, tempId });
+  if (method === "DELETE") return jsonResponse(202, { queued: true }, true);
+  if (tempId) return jsonResponse(202, { ...json, id: tempId, pending: true }, true);
+  const list = await overlay(target?.collection, await cacheGet(cacheKey(session.farmId, target?.collection)));
+  const current = Array.isArray(list) ? list.find((r) => r.id === target.id) : null;
+  return jsonResponse(202, { ...current, ...json, id: target?.id, pending: true }, true);
+}
+
+export async function api(path, { stale = false, queue = false, ...opts } = {}) {
+  const method = (opts.method || "GET").toUpperCase();
+  const mutation = queue && method !== "GET";
+  const key = cacheKey(session.farmId, path);
+
+  // Keep edits in order: while older ones wait in the queue, new ones join it.
+  if (mutation && (!navigator.onLine || getStatus().pending > 0)) {
+    const r = await queueMutation(method, path, opts.json, opts.version);
+    if (navigator.onLine) syncQueue();
+    return r;
+  }
+
+  let r;
+  try {
+    r = await send(path, opts);
+  } catch (e) {
+    if (e.name === "AbortError") throw e;
+    setStatus({ online: false });
+    if (stale && method === "GET") {
+      const body = await cacheGet(key).catch(() => undefined);
+      if (body !== undefined) return jsonResponse(200, await overlay(path, body), true);
+    }
+    if (mutation) return queueMutation(method, path, opts.json, opts.version);
+    throw e;
+  }
+  setStatus({ online: true });
+  if (stale && method === "GET" && r.ok) {
+    const body = await r.json();
+    cachePut(key, body).catch(() => {});
+    return jsonResponse(r.status, getStatus().pending ? await overlay(path, body) : body);
+  }
+  return r;
+}
+
+// After a queued edit succeeded: point later entries at the real id of a record created
+// offline, and at the record's new version so they do not conflict with our own edit.
+async function followUp(entry, body) {
+  for (const q of await listQueue()) {
+    let next = q;
+    if (entry.tempId && body?.id) {
+      const swap = (v) => (v === entry.tempId ? body.id : v);
+      next = {
+        ...next,
+        path: next.path.replace(entry.tempId, body.id),
+        body: next.body && Object.fromEntries(Object.entries(next.body).map(([k, v]) => [k, swap(v)]))
+      };
+    }
+    if (entry.method === "PUT" && next.path === entry.path && body?.version != null) {
+      next = { ...next, version: body.version };
+    }
+    if (next !== q) await replaceQueued(next);
+  }
+}
+
+async function replay() {
+  let changed = false;
+  setStatus({ syncing: true });
+  try {
+    for (;;) {
+      // Re-read each round: followUp() may have rewritten the remaining entries.
+      const [entry] = await listQueue();
+      if (!entry) break;
+      let r;
+      try {
+        r = await send(entry.path, { method: entry.method, json: entry.body, version: entry.version, farmId: entry.farmId });
+      } catch {
+        setStatus({ online: false });
+        break;
+      }
+      setStatus({ online: true });
+      if (r.status >= 500 || r.status === 401) break; // keep it and retry later
+      if (r.ok) {
+        await followUp(entry, r.status === 204 ? null : await r.json().catch(() => null));
+      } else if (!(r.status === 404 && entry.method === "DELETE")) {
+        const err = await r.json().catch(() => ({}));
+        await addConflict({ ...entry, status: r.status, error: err.error || `HTTP ${r.status}`, current: err.details?.current ?? null });
+      }
+      await dequeue(entry.seq);
+      changed = true;
+    }
+  } finally {
+    await refreshStatus();
+    setStatus({ syncing: false });
+  }
+  if (changed) window.dispatchEvent(new Event(SYNCED_EVENT));
+}
+
+let syncing = null;
+
+export function syncQueue() {
+  syncing ??= replay().catch(() => {}).finally(() => { syncing = null; });
+  return syncing;
+}
+
+// keepMine re-queues the edit on top of the server's current version; otherwise the server wins.
+export async function resolveConflict(conflict, keepMine) {
+  await removeConflict(conflict.seq);
+  if (keepMine && conflict.status === 409 && conflict.current) {
+    const { seq, status, error, current, ...entry } = conflict;
+    await enqueue({ ...entry, version: current.version });
+    syncQueue();
+  } else {
+    window.dispatchEvent(new Event(SYNCED_EVENT));
+  }
+}
+
+if (typeof window !== "undefined") {
+  window.addEventListener("online", () => { setStatus({ online: true }); syncQueue(); });
+  window.addEventListener("offline", () => setStatus({ online: false }));
+  refreshStatus().then(() => { if (getStatus().pending && navigator.onLine) syncQueue(); });
+  setInterval(() => { if (getStatus().pending && navigator.onLine) syncQueue(); }, 30_000);
+}
+
+// Reads a text/event-stream response body and calls onEvent(name, data) per event.
+// Resolves when the stream ends; rejects with AbortError if the request was aborted.
+export async function readEvents(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let sep;
+    while ((sep = buffer.indexOf("\n\n")) !== -1) {
+      const frame = buffer.slice(0, sep);
+      buffer = buffer.slice(sep + 2);
+      let event = "message";
+      const data = [];
+      for (const line of frame.split("\n")) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (data.length) onEvent(event, JSON.parse(data.join("\n")));
+    }
+  }
+}
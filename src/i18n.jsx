@@ -0,0 +1,125 @@
+// UI translations. Strings live in src/locales/<lang>.json as flat "area.key" entries with
+// {var} placeholders; plural forms are "key.one" / "key.other" (… per Intl.PluralRules) and
+// are picked when vars.count is given. Missing keys fall back to English, then to the
+// caller's fallback, then to the key itself.
+//
+// Dates: todo `when` values are farm-local wall-clock strings ("YYYY-MM-DDTHH:mm") and
+// are formatted as such — never shifted through the browser's time zone.
+
+import React, { createContext, useCallback, useContext, useEffect, useMemo, useState } from "react";
+import en from "./locales/en.json";
+import hi from "./locales/hi.json";
+import mr from "./locales/mr.json";
+import ta from "./locales/ta.json";
+import te from "./locales/te.json";
+
+export const LANGUAGES = [
+  { code: "en", label: "English", locale: "en-IN", messages: en },
+  { code: "hi", label: "हिन्दी", locale: "hi-IN", messages: hi },
+  { code: "mr", label: "मराठी", locale: "mr-IN", messages: mr },
+  { code: "ta", label: "தமிழ்", locale: "ta-IN", messages: ta },
+  { code: "te", label: "తెలుగు", locale: "te-IN", messages: te }
+];
+
+const STORAGE_KEY = "farmbot.lang";
+const byCode = new Map(LANGUAGES.map((l) => [l.code, l]));
+
+function initialLang() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (byCode.has(saved)) return saved;
+  } catch {
+    // storage disabled
+  }
+  const preferred = typeof navigator === "undefined" ? [] : navigator.languages ?? [navigator.language];
+  return preferred.map((l) => String(l).slice(0, 2).toLowerCase()).find((l) => byCode.has(l)) ?? "en";
+}
+
+const interpolate = (text, vars) =>
+  vars ? text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] ?? m)) : text;
+
+// Wall-clock parts of "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm" as a Date whose UTC fields carry
+// them, so formatting with timeZone "UTC" prints exactly what was stored.
+function wallClock(value) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(value ?? "");
+  if (!m) return null;
+  return new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] ?? 12), +(m[5] ?? 0)));
+}
+
+const I18nContext = createContext(null);
+
+export function I18nProvider({ children }) {
+  const [lang, setLangState] = useState(initialLang);
+  const { locale, messages } = byCode.get(lang);
+
+  const setLang = useCallback((code) => {
+    if (!byCode.has(code)) return;
+    setLangState(code);
+    try {
+      localStorage.setItem(STORAGE_KEY, code);
+    } catch {
+      // not persisted; still switches for this session
+    }
+  }, []);
+
+  useEffect(() => {
+    document.documentElement.lang = lang;
+  }, [lang]);
+
+  const value = useMemo(() => {
+    const plurals = new Intl.PluralRules(locale);
+    const dateTimeFmt = new Intl.DateTimeFormat(locale, { timeZone: "UTC", dateStyle: "medium", timeStyle: "short" });
+    const dateFmt = new Intl.DateTimeFormat(locale, { timeZone: "UTC", dateStyle: "medium" });
+    const weekdayFmt = new Intl.DateTimeFormat(locale, { timeZone: "UTC", weekday: "short" });
+
+    const lookup = (key) => messages[key] ?? en[key];
+
+    const t = (key, vars, fallback) => {
+      let text;
+      if (vars && typeof vars.count === "number") {
+        text = lookup(`${key}.${plurals.select(vars.count)}`) ?? lookup(`${key}.other`);
+      }
+      text ??= lookup(key) ?? fallback ?? key;
+      return interpolate(text, vars);
+    };
+
+    const formatWith = (fmt) => (value) => {
+      const d = wallClock(value);
+      return d ? fmt.format(d) : value ?? "";
+    };
+
+    // Short weekday names indexed like Date#getDay() (0 = Sunday); 2023-01-01 was a Sunday.
+    const weekdays = Array.from({ length: 7 }, (_, i) => weekdayFmt.format(Date.UTC(2023, 0, 1 + i)));
+
+    return {
+      lang,
+      locale,
+      setLang,
+      t,
+      formatDateTime: formatWith(dateTimeFmt),
+      formatDate: formatWith(dateFmt),
+      weekdays,
+      formatNumber: (n, options) => new Intl.NumberFormat(locale, options).format(n)
+    };
+  }, [lang, locale, messages, setLang]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+}
+
+export const useI18n = () => useContext(I18nContext);
+
+export function LanguageSelect({ className = "" }) {
+  const { lang, setLang, t } = useI18n();
+  return (
+    <select
+      className={`lang-select ${className}`}
+      aria-label={t("app.language")}
+      value={lang}
+      onChange={(e) => setLang(e.target.value)}
+    >
+      {LANGUAGES.map((l) => (
+        <option key={l.code} value={l.code}>{l.label}</option>
+      ))}
+    </select>
+  );
+}
@@ -0,0 +1,104 @@
+// Offline state for the dashboard, kept in IndexedDB so it survives reloads:
+//   cache     — last-known GET bodies (crops, todos, plots, weather…), keyed by farm + path
+//   queue     — mutations made while offline, replayed in order by syncQueue() in api.js
+//   conflicts — replays the server refused (409: changed meanwhile, or another 4xx)
+// plus a tiny status store (online / pending / syncing / conflicts) the UI subscribes to.
+
+const DB_NAME = "farmbot";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore("cache", { keyPath: "key" });
+      db.createObjectStore("queue", { keyPath: "seq", autoIncrement: true });
+      db.createObjectStore("conflicts", { keyPath: "seq" });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  return dbPromise;
+}
+
+// Runs fn(objectStore) in one transaction and resolves with the last request's result.
+async function tx(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(storeName, mode);
+    const req = fn(t.objectStore(storeName));
+    t.oncomplete = () => resolve(req?.result);
+    t.onerror = () => reject(t.error);
+    t.onabort = () => reject(t.error);
+  });
+}
+
+// ---- last-known responses ----
+
+export const cacheKey = (farmId, path) => `${farmId ?? "-"} ${path}`;
+
+export const cacheGet = async (key) => (await tx("cache", "readonly", (s) => s.get(key)))?.body;
+
+export const cachePut = (key, body) => tx("cache", "readwrite", (s) => s.put({ key, body, savedAt: Date.now() }));
+
+// ---- mutation queue ----
+// entry: { seq, farmId, method, path, body, version, tempId, queuedAt }
+
+export const listQueue = () => tx("queue", "readonly", (s) => s.getAll());
+
+export async function enqueue(entry) {
+  await tx("queue", "readwrite", (s) => s.add({ ...entry, queuedAt: Date.now() }));
+  await refreshStatus();
+}
+
+export const dequeue = (seq) => tx("queue", "readwrite", (s) => s.delete(seq));
+
+export const replaceQueued = (entry) => tx("queue", "readwrite", (s) => s.put(entry));
+
+// ---- conflicts ----
+// entry: queue entry + { error, current } (current = server record, or null if it is gone)
+
+export const listConflicts = () => tx("conflicts", "readonly", (s) => s.getAll());
+
+export const addConflict = (entry) => tx("conflicts", "readwrite", (s) => s.put(entry));
+
+export async function removeConflict(seq) {
+  await tx("conflicts", "readwrite", (s) => s.delete(seq));
+  await refreshStatus();
+}
+
+// ---- status ----
+
+let status = {
+  online: typeof navigator === "undefined" ? true : navigator.onLine,
+  syncing: false,
+  pending: 0,
+  conflicts: []
+};
+const listeners = new Set();
+
+export const getStatus = () => status;
+
+export function subscribe(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+export function setStatus(patch) {
+  const next = { ...status, ...patch };
+  if (Object.keys(patch).every((k) => next[k] === status[k])) return;
+  status = next;
+  for (const fn of listeners) fn(status);
+}
+
+export async function refreshStatus() {
+  try {
+    const [queue, conflicts] = await Promise.all([listQueue(), listConflicts()]);
+    setStatus({ pending: queue.length, conflicts });
+  } catch {
+    // IndexedDB unavailable (private mode on some browsers): stay online-only.
+  }
+}
@@ -0,0 +1,39 @@
+// Leaf photos for the chat tile's diagnosis button. Phone cameras produce 3–12 MB images;
+// the model needs far less, so photos are scaled down to MAX_EDGE px and re-encoded as JPEG
+// before upload. Anything the browser cannot decode (e.g. HEIC outside Safari) is sent as-is
+// and left to the server's type check.
+
+const MAX_EDGE = 1600;
+const QUALITY = 0.85;
+
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Unreadable image"));
+    };
+    img.src = url;
+  });
+
+// Resolves to a Blob (or the original File) ready to append to FormData.
+export async function shrinkPhoto(file, maxEdge = MAX_EDGE) {
+  try {
+    const img = await loadImage(file);
+    const scale = Math.min(1, maxEdge / Math.max(img.naturalWidth, img.naturalHeight));
+    if (scale === 1 && file.type === "image/jpeg") return file;
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(img.naturalWidth * scale);
+    canvas.height = Math.round(img.naturalHeight * scale);
+    canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", QUALITY));
+    return blob ?? file;
+  } catch {
+    return file;
+  }
+}
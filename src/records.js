@@ -0,0 +1,32 @@
+// Farm records on the client: the choices offered by the record forms (mirroring
+// server/records.js) and the draft suggested when a task is ticked off.
+
+export const RECORD_KINDS = ["inputs", "expenses", "yields"];
+export const INPUT_TYPES = ["fertilizer", "pesticide", "seed", "water"];
+export const INPUT_UNITS = ["kg", "g", "quintal", "t", "l", "ml", "bag", "packet", "m3", "mm", "hours"];
+export const EXPENSE_CATEGORIES = ["labour", "machinery", "fuel", "irrigation", "transport", "rent", "repairs", "other"];
+export const YIELD_UNITS = ["kg", "quintal", "t"];
+
+// Amounts are shown in this currency; the server stores plain numbers.
+export const CURRENCY = "INR";
+
+// Task title keywords -> the record a finished task most likely produced. First match wins,
+// so harvests and sprays are checked before the broader fertilizer words.
+const GUESSES = [
+  [/harvest|pick|reap/i, { kind: "yields", unit: "quintal" }],
+  [/spray|pesticide|fungicide|insecticide|herbicide|neem|mancozeb/i, { kind: "inputs", type: "pesticide", unit: "l" }],
+  [/sow|seed|transplant|nursery|gap filling/i, { kind: "inputs", type: "seed", unit: "kg" }],
+  [/irrigat|water/i, { kind: "inputs", type: "water", unit: "hours" }],
+  [/fertili[sz]|urea|dap|npk|potash|manure|compost|top-dress|nitrogen/i, { kind: "inputs", type: "fertilizer", unit: "kg" }],
+  [/weed|thin|labou?r|drain/i, { kind: "expenses", category: "labour" }]
+];
+
+// { kind, type?, unit?, category? } for a task title; an "other" expense when nothing matches.
+export const guessRecord = (title = "") =>
+  GUESSES.find(([re]) => re.test(title))?.[1] ?? { kind: "expenses", category: "other" };
+
+// "rabi-2025" -> { name: "rabi", year: 2025 }
+export const parseSeason = (key) => {
+  const [name, year] = key.split("-");
+  return { name, year: Number(year) };
+};
@@ -0,0 +1,127 @@
+// Voice for the chat tile: push-to-talk recording and read-aloud of replies.
+//
+// Recording uses MediaRecorder (the clip goes to the server as audio) and, where the browser
+// has it, the Web Speech API's SpeechRecognition in parallel (its transcript is sent along as
+// the text fallback). Either one alone is enough; with neither, the mic button is hidden.
+// Read-aloud uses speechSynthesis with a voice for the UI language when one is installed.
+
+const MAX_RECORDING_MS = 60_000;
+
+// Container/codec preference: Chrome and Edge record webm/opus, Firefox ogg/opus, Safari mp4/aac.
+const RECORDING_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/webm", "audio/mp4"];
+
+const SpeechRecognition =
+  typeof window === "undefined" ? null : window.SpeechRecognition ?? window.webkitSpeechRecognition ?? null;
+
+export const voiceSupport = () => ({
+  record: typeof MediaRecorder !== "undefined" && !!navigator.mediaDevices?.getUserMedia,
+  transcribe: !!SpeechRecognition,
+  speak: typeof window !== "undefined" && "speechSynthesis" in window
+});
+
+const toBase64 = (blob) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] ?? "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+
+// Starts listening in `locale` (e.g. "hi-IN"). Returns { stop, cancel }:
+// stop() resolves to { audio: { mimeType, data } | null, transcript }, cancel() discards.
+// onTranscript(text) is called with the running transcript while the user speaks.
+// Recording stops by itself after MAX_RECORDING_MS (the clip is kept).
+export async function startRecording({ locale, onTranscript } = {}) {
+  const support = voiceSupport();
+  let stream = null;
+  let recorder = null;
+  const chunks = [];
+
+  if (support.record) {
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const mimeType = RECORDING_TYPES.find((t) => MediaRecorder.isTypeSupported?.(t));
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+      recorder.start();
+    } catch {
+      // Microphone denied or busy: fall back to speech recognition alone (if any).
+      stream?.getTracks().forEach((t) => t.stop());
+      stream = null;
+      recorder = null;
+    }
+  }
+
+  let transcript = "";
+  let recognition = null;
+  let recognitionDone = Promise.resolve();
+  if (SpeechRecognition) {
+    recognition = new SpeechRecognition();
+    recognition.lang = locale;
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.onresult = (e) => {
+      transcript = Array.from(e.results, (r) => r[0].transcript).join(" ").replace(/\s+/g, " ").trim();
+      onTranscript?.(transcript);
+    };
+    recognitionDone = new Promise((resolve) => {
+      recognition.onend = resolve;
+      recognition.onerror = resolve;
+    });
+    try {
+      recognition.start();
+    } catch {
+      recognition = null;
+    }
+  }
+
+  if (!recorder && !recognition) throw new Error("Microphone not available");
+
+  const release = () => stream?.getTracks().forEach((t) => t.stop());
+  const timer = setTimeout(() => recorder?.state === "recording" && recorder.stop(), MAX_RECORDING_MS);
+
+  const stop = async () => {
+    clearTimeout(timer);
+    const recorded = recorder
+      ? new Promise((resolve) => {
+          if (recorder.state === "inactive") resolve();
+          else recorder.onstop = resolve;
+        })
+      : Promise.resolve();
+    if (recorder?.state === "recording") recorder.stop();
+    recognition?.stop();
+    await Promise.all([recorded, recognitionDone]);
+    release();
+
+    let audio = null;
+    if (chunks.length) {
+      const blob = new Blob(chunks, { type: recorder.mimeType || chunks[0].type });
+      audio = { mimeType: blob.type, data: await toBase64(blob) };
+    }
+    return { audio, transcript };
+  };
+
+  const cancel = () => {
+    clearTimeout(timer);
+    if (recorder?.state === "recording") recorder.stop();
+    recognition?.abort();
+    release();
+  };
+
+  return { stop, cancel };
+}
+
+// Speaks `text` in `locale`, interrupting anything already being read.
+export function speak(text, locale) {
+  if (!voiceSupport().speak || !text) return;
+  const synth = window.speechSynthesis;
+  synth.cancel();
+  const utterance = new SpeechSynthesisUtterance(text.replace(/[*_#`>]/g, ""));
+  utterance.lang = locale;
+  const lang = locale.slice(0, 2);
+  const voice = synth.getVoices().find((v) => v.lang === locale) ?? synth.getVoices().find((v) => v.lang.startsWith(lang));
+  if (voice) utterance.voice = voice;
+  synth.speak(utterance);
+}
+
+export const stopSpeaking = () => voiceSupport().speak && window.speechSynthesis.cancel();
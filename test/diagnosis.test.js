@@ -0,0 +1,21 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { followUpTodos } from "../server/diagnosis.js";
+
+const diagnosis = {
+  actions: [
+    { title: "Remove infected leaves", inDays: 0 },
+    { title: "Spray neem oil", inDays: 2 }
+  ]
+};
+
+test("follow-up tasks are never due in the past", () => {
+  assert.deepEqual(followUpTodos(diagnosis, { cropId: "c1", now: "2025-06-03T05:30" }).map((t) => t.when), [
+    "2025-06-03T07:00",
+    "2025-06-05T07:00"
+  ]);
+  assert.deepEqual(followUpTodos(diagnosis, { cropId: "c1", now: "2025-06-03T15:10" }).map((t) => t.when), [
+    "2025-06-03T15:10",
+    "2025-06-05T07:00"
+  ]);
+});
@@ -0,0 +1,75 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import { once } from "events";
+import { fileURLToPath } from "url";
+
+// Runs the API on a free port with in-memory storage and offline providers.
+let child;
+let base;
+
+before(async () => {
+  child = spawn(process.execPath, [fileURLToPath(new URL("../server.js", import.meta.url))], {
+    env: { ...process.env, PORT: "0", STORAGE_DRIVER: "memory", LLM_PROVIDER: "stub", WEATHER_PROVIDER: "fixture", LOG_LEVEL: "info" },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  let out = "";
+  child.stdout.setEncoding("utf8");
+  while (!base) {
+    const [chunk] = await once(child.stdout, "data");
+    out += chunk;
+    base = /"msg":"API listening","url":"([^"]+)"/.exec(out)?.[1];
+  }
+  child.stdout.resume();
+});
+
+after(() => child.kill());
+
+async function call(method, path, { token, farmId, body } = {}) {
+  const r = await fetch(`${base}${path}`, {
+    method,
+    headers: {
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(farmId ? { "X-Farm-Id": farmId } : {}),
+      ...(body ? { "Content-Type": "application/json" } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: r.status, body: r.status === 204 ? null : await r.json() };
+}
+
+const register = async (username) =>
+  (await call("POST", "/api/auth/register", { body: { username, password: "secret123", farmName: `${username}'s farm` } })).body;
+
+test("removing a member revokes their access to the farm", async () => {
+  const owner = await register("owner");
+  const helper = await register("helper");
+  const farmId = owner.farms[0].id;
+
+  const added = await call("POST", `/api/farms/${farmId}/members`, { token: owner.token, body: { username: "helper" } });
+  assert.deepEqual(added.body.members, [owner.user.id, helper.user.id]);
+  assert.equal((await call("GET", "/api/todos", { token: helper.token, farmId })).status, 200);
+
+  const removed = await call("DELETE", `/api/farms/${farmId}/members/${helper.user.id}`, { token: owner.token });
+  assert.equal(removed.status, 200);
+  assert.deepEqual(removed.body.members, [owner.user.id]);
+  const denied = await call("GET", "/api/todos", { token: helper.token, farmId });
+  assert.equal(denied.status, 403);
+  const me = await call("GET", "/api/auth/me", { token: helper.token });
+  assert.deepEqual(me.body.farms.map((f) => f.id), [helper.farms[0].id]);
+
+  assert.equal((await call("DELETE", `/api/farms/${farmId}/members/${helper.user.id}`, { token: owner.token })).status, 404);
+});
+
+test("a member can leave, but not as the farm's last member", async () => {
+  const a = await register("alice");
+  const b = await register("bob");
+  const farmId = a.farms[0].id;
+  await call("POST", `/api/farms/${farmId}/members`, { token: a.token, body: { username: "bob" } });
+
+  const left = await call("DELETE", `/api/farms/${farmId}/members/${b.user.id}`, { token: b.token, farmId });
+  assert.equal(left.status, 200);
+  const last = await call("DELETE", `/api/farms/${farmId}/members/${a.user.id}`, { token: a.token });
+  assert.equal(last.status, 409);
+  assert.equal((await call("DELETE", `/api/farms/${farmId}/members/${a.user.id}`, { token: b.token, farmId })).status, 403);
+});
@@ -0,0 +1,50 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createOpenWeatherProvider } from "../server/weather/openweather.js";
+import { createWeatherService } from "../server/weather/index.js";
+import { wrap, errorHandler } from "../server/errors.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// Answers OpenWeather calls with `status`, lets everything else (the test's own requests) through.
+const stubUpstream = (status, body) => {
+  globalThis.fetch = async (url, init) =>
+    String(url).startsWith("https://api.openweathermap.org/")
+      ? new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } })
+      : realFetch(url, init);
+};
+
+// GET /weather through the weather service and the shared error handler, like server.js.
+async function getWeather() {
+  const weather = createWeatherService({ provider: createOpenWeatherProvider({ apiKey: "k" }) });
+  const app = express();
+  app.get("/weather", wrap(async (_req, res) => res.json((await weather.current({ lat: 18.5, lon: 73.8 })).value)));
+  app.use(errorHandler);
+  const server = app.listen(0);
+  try {
+    const r = await fetch(`http://127.0.0.1:${server.address().port}/weather`);
+    return { status: r.status, body: await r.json() };
+  } finally {
+    server.close();
+  }
+}
+
+test("a rejected API key is not answered as 401, which would sign the farmer out", async () => {
+  stubUpstream(401, { cod: 401, message: "Invalid API key" });
+  const { status, body } = await getWeather();
+  assert.equal(status, 502);
+  assert.equal(body.code, "not_configured");
+  assert.equal(body.details.upstreamStatus, 401);
+});
+
+test("an upstream rate limit becomes 503, other failures 502", async () => {
+  stubUpstream(429, { cod: 429, message: "Too many requests" });
+  assert.deepEqual(await getWeather().then(({ status, body }) => [status, body.code]), [503, "upstream_busy"]);
+
+  stubUpstream(404, { cod: "404", message: "city not found" });
+  assert.deepEqual(await getWeather().then(({ status, body }) => [status, body.code]), [502, "upstream_error"]);
+});
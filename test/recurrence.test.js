@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { occurrences, parseRecurrence } from "../server/recurrence.js";
+import { createMemoryStore } from "../server/storage.js";
+import { createScheduler, clearSeries } from "../server/scheduler.js";
+
+const all = (rule, start) => [...occurrences(parseRecurrence(rule), start)];
+
+test("a weekly series starting off its days counts the start as its first occurrence", () => {
+  // 2025-06-03 is a Tuesday
+  assert.deepEqual(all("FREQ=WEEKLY;BYDAY=MO,TH,SA;COUNT=4", "2025-06-03T06:00"), [
+    "2025-06-03T06:00",
+    "2025-06-05T06:00",
+    "2025-06-07T06:00",
+    "2025-06-09T06:00"
+  ]);
+  assert.deepEqual(all("FREQ=WEEKLY;BYDAY=TU,FR;COUNT=3", "2025-06-03T06:00"), [
+    "2025-06-03T06:00",
+    "2025-06-06T06:00",
+    "2025-06-10T06:00"
+  ]);
+});
+
+async function setup({ todo, now }) {
+  const store = createMemoryStore();
+  await store.insert("farms", { id: "f1", name: "Farm", timezone: "UTC" });
+  await store.insert("todos", { id: "t1", farmId: "f1", title: "Irrigate", done: false, version: 1, ...todo });
+  let n = 0;
+  const scheduler = createScheduler({
+    store,
+    notifier: { notify: async () => {} },
+    makeId: () => `o${++n}`,
+    horizonDays: 14,
+    defaultTimezone: "UTC",
+    clock: () => new Date(now)
+  });
+  await scheduler.tick();
+  const whens = async () => (await store.list("todos")).map((t) => t.when).sort();
+  return { store, scheduler, whens };
+}
+
+async function tick(options) {
+  return (await setup(options)).whens();
+}
+
+test("the series template and its occurrences make up COUNT tasks", async () => {
+  const whens = await tick({
+    todo: { when: "2025-06-03T06:00", recurrence: parseRecurrence("FREQ=WEEKLY;BYDAY=MO,TH,SA;COUNT=4") },
+    now: "2025-06-01T00:00:00Z"
+  });
+  assert.deepEqual(whens, ["2025-06-03T06:00", "2025-06-05T06:00", "2025-06-07T06:00", "2025-06-09T06:00"]);
+});
+
+test("occurrences already past when a series is created are not backfilled", async () => {
+  const whens = await tick({
+    todo: { when: "2025-01-01T06:00", recurrence: parseRecurrence({ freq: "daily", interval: 1 }) },
+    now: "2025-06-01T12:00:00Z"
+  });
+  assert.equal(whens[0], "2025-01-01T06:00");
+  assert.equal(whens[1], "2025-06-02T06:00");
+  assert.equal(whens.at(-1), "2025-06-15T06:00");
+  assert.equal(whens.length, 15);
+});
+
+test("changing a series' rule regenerates its upcoming occurrences", async () => {
+  const { store, scheduler, whens } = await setup({
+    todo: { when: "2025-06-02T06:00", recurrence: parseRecurrence("FREQ=WEEKLY;BYDAY=MO") },
+    now: "2025-06-04T00:00:00Z"
+  });
+  assert.deepEqual(await whens(), ["2025-06-02T06:00", "2025-06-09T06:00", "2025-06-16T06:00"]);
+  const [past] = (await store.list("todos")).filter((t) => t.when === "2025-06-09T06:00");
+  await store.update("todos", past.id, { done: true });
+
+  // what updateTodo does when `recurrence` or `when` changes
+  await clearSeries(store, "t1", "2025-06-04T00:00");
+  await store.update("todos", "t1", { recurrence: parseRecurrence("FREQ=WEEKLY;BYDAY=FR"), materializedThrough: null });
+  await scheduler.tick();
+  assert.deepEqual(await whens(), [
+    "2025-06-02T06:00",
+    "2025-06-06T06:00",
+    "2025-06-09T06:00", // done, so kept
+    "2025-06-13T06:00"
+  ]);
+});
+
+test("deleting a series template removes its upcoming occurrences and unlinks the rest", async () => {
+  const { store } = await setup({
+    todo: { when: "2025-06-02T06:00", recurrence: parseRecurrence({ freq: "daily", interval: 1 }) },
+    now: "2025-06-04T00:00:00Z"
+  });
+  await store.insert("todos", { id: "old", farmId: "f1", title: "Irrigate", when: "2025-06-03T06:00", done: true, seriesId: "t1", version: 1 });
+
+  // what deleteTodo does for a template
+  await store.remove("todos", "t1");
+  await clearSeries(store, "t1", "2025-06-04T00:00", { unlink: true });
+  assert.deepEqual(await store.list("todos"), [
+    { id: "old", farmId: "f1", title: "Irrigate", when: "2025-06-03T06:00", done: true, seriesId: null, version: 2 }
+  ]);
+});
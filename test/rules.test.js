@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import { evaluateTodos } from "../server/rules.js";
+
+// Fixed OpenWeather forecast (city time zone UTC+5:30), 2025-10-10 to 2025-10-14 UTC:
+// wind 8.5 m/s late morning on the 11th, rain through the 12th, 1.6 °C on the night of the 13th.
+const forecast = JSON.parse(readFileSync(new URL("../server/weather/fixtures/forecast.json", import.meta.url), "utf8"));
+const now = Date.parse("2025-10-10T00:00:00Z");
+
+let n = 0;
+const todo = (title, when) => ({ id: `t${++n}`, title, when, done: false });
+const alerts = (...todos) => evaluateTodos(todos, forecast, { now });
+const ruleIds = (...todos) => alerts(...todos).map((a) => a.ruleId);
+
+// The suggested time must clear the rule that fired.
+function assertSuggestionClears(alert) {
+  assert.ok(alert.suggestion, `${alert.ruleId} has a suggestion`);
+  const moved = alerts(todo(alert.todoTitle, alert.suggestion.when));
+  assert.ok(!moved.some((a) => a.ruleId === alert.ruleId), `${alert.suggestion.when} clears ${alert.ruleId}`);
+}
+
+test("spraying is flagged during rain and during strong wind", () => {
+  const [rain] = alerts(todo("Spray fungicide on tomato", "2025-10-12T10:00"));
+  assert.equal(rain.ruleId, "spray-in-rain-or-wind");
+  assert.equal(rain.severity, "warning");
+  assert.ok(rain.stats.rainMm > 0.5);
+  assertSuggestionClears(rain);
+
+  const [wind] = alerts(todo("Spraying neem oil", "2025-10-11T12:00"));
+  assert.equal(wind.ruleId, "spray-in-rain-or-wind");
+  assert.equal(wind.stats.maxWindMs, 8.5);
+  assert.equal(wind.stats.rainMm, 0);
+  assertSuggestionClears(wind);
+
+  assert.deepEqual(ruleIds(todo("Spray pesticide", "2025-10-10T12:00")), []);
+});
+
+test("irrigation is flagged before heavy rain", () => {
+  const [alert] = alerts(todo("Irrigate wheat", "2025-10-12T06:00"));
+  assert.equal(alert.ruleId, "irrigation-before-heavy-rain");
+  assert.ok(alert.stats.rainMm >= 10);
+  assert.match(alert.message, /mm of rain/);
+  assertSuggestionClears(alert);
+
+  assert.deepEqual(ruleIds(todo("Water the chilli beds", "2025-10-12T06:00")), ["irrigation-before-heavy-rain"]);
+  assert.deepEqual(ruleIds(todo("Irrigate wheat", "2025-10-10T06:00")), []);
+});
+
+test("irrigation keywords match whole words only", () => {
+  assert.deepEqual(ruleIds(todo("Harvest watermelon", "2025-10-12T06:00")), []);
+  assert.deepEqual(ruleIds(todo("Check water tank", "2025-10-12T06:00")), []);
+});
+
+test("frost is flagged after transplanting", () => {
+  const [alert] = alerts(todo("Transplant tomato seedlings", "2025-10-13T12:00"));
+  assert.equal(alert.ruleId, "frost-after-transplanting");
+  assert.equal(alert.stats.minTempC, 1.6);
+  assert.deepEqual(ruleIds(todo("Transplant tomato seedlings", "2025-10-10T08:00")), []);
+});
+
+test("done, unscheduled and past todos are skipped", () => {
+  assert.deepEqual(
+    evaluateTodos(
+      [
+        { ...todo("Spray fungicide", "2025-10-12T10:00"), done: true },
+        todo("Spray fungicide", null),
+        todo("Spray fungicide", "2025-10-09T10:00")
+      ],
+      forecast,
+      { now }
+    ),
+    []
+  );
+});
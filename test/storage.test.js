@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createJsonFileStore } from "../server/storage.js";
+
+const tempFile = async () => path.join(await fs.mkdtemp(path.join(os.tmpdir(), "farm-store-")), "data", "farm.json");
+
+const onDisk = async (file) => JSON.parse(await fs.readFile(file, "utf8")).collections;
+
+test("writes recover after a failed write, which is rolled back in memory", async () => {
+  const file = await tempFile();
+  const store = await createJsonFileStore(file);
+  await store.insert("crops", { id: "c1", name: "Wheat" });
+
+  await fs.rm(path.dirname(file), { recursive: true });
+  await assert.rejects(store.insert("crops", { id: "c2", name: "Rice" }), { code: "ENOENT" });
+  await assert.rejects(store.update("crops", "c1", { name: "Barley" }), { code: "ENOENT" });
+  await assert.rejects(store.remove("crops", "c1"), { code: "ENOENT" });
+  assert.deepEqual(await store.list("crops"), [{ id: "c1", name: "Wheat" }]);
+
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await store.insert("crops", { id: "c3", name: "Maize" });
+  await store.update("crops", "c1", { name: "Durum" });
+  assert.deepEqual((await onDisk(file)).crops, [
+    { id: "c1", name: "Durum" },
+    { id: "c3", name: "Maize" }
+  ]);
+  await store.close();
+  await fs.rm(path.dirname(path.dirname(file)), { recursive: true });
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fromCsv, planImport } from "../server/transfer.js";
+
+const existing = {
+  crops: [{ id: "c1", farmId: "f1", name: "Wheat", variety: "HD-2967", plotId: "p1", template: "wheat", version: 2 }],
+  plots: [{ id: "p1", farmId: "f1", name: "North" }],
+  todos: [
+    {
+      id: "t1",
+      farmId: "f1",
+      title: "Irrigate",
+      cropId: "c1",
+      when: "2025-06-01T06:00",
+      done: false,
+      recurrence: { freq: "WEEKLY", interval: 1, byDay: ["MO"] },
+      remindBeforeMin: 30,
+      version: 3
+    }
+  ]
+};
+
+const plan = (incoming) =>
+  planImport({ incoming, existing, foreign: {}, makeId: () => "new" });
+
+test("a CSV row for an existing todo only changes the columns it has", () => {
+  const { records, errors } = fromCsv("todos", "id,title,done\r\nt1,Irrigate field,yes\r\n");
+  assert.deepEqual(errors, []);
+  const { ops, report } = plan({ todos: records });
+  assert.deepEqual(report.errors, []);
+  const [update] = ops.todos.update;
+  assert.equal(update.fields.title, "Irrigate field");
+  assert.equal(update.fields.done, true);
+  assert.equal(update.fields.remindBeforeMin, 30);
+  assert.equal(update.fields.cropId, "c1");
+  assert.deepEqual(update.fields.recurrence, existing.todos[0].recurrence);
+});
+
+test("a CSV row for an existing crop keeps its plot and template", () => {
+  const { records } = fromCsv("crops", "id,name,areaAcres\r\nc1,Wheat,2.5\r\n");
+  const { ops } = plan({ crops: records });
+  const [update] = ops.crops.update;
+  assert.equal(update.fields.areaAcres, 2.5);
+  assert.equal(update.fields.plotId, "p1");
+  assert.equal(update.fields.template, "wheat");
+  assert.equal(update.fields.variety, "HD-2967");
+});
+
+test("an unchanged row is not an update, and new rows still get defaults", () => {
+  const { records } = fromCsv("todos", "id,title\r\nt1,Irrigate\r\n,Weed\r\n");
+  const { ops } = plan({ todos: records });
+  assert.equal(ops.todos.update.length, 0);
+  const [create] = ops.todos.create;
+  assert.equal(create.fields.title, "Weed");
+  assert.equal(create.fields.remindBeforeMin, null);
+  assert.equal(create.fields.done, false);
+});